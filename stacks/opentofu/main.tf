@@ -30,6 +30,17 @@ resource "aws_security_group" "minecraft_sg" {
     cidr_blocks = ["0.0.0.0/0"]
   }
 
+  # RCON console used by the web manager - closed unless rcon_allowed_cidrs is set
+  dynamic "ingress" {
+    for_each = length(var.rcon_allowed_cidrs) > 0 ? [1] : []
+    content {
+      from_port   = 25575
+      to_port     = 25575
+      protocol    = "tcp"
+      cidr_blocks = var.rcon_allowed_cidrs
+    }
+  }
+
   egress {
     from_port   = 0
     to_port     = 0
@@ -60,6 +71,20 @@ yum install -y python3
 EOF
 }
 
+# Stop/start from the web manager sets TF_VAR_instance_state on the stack
+resource "aws_ec2_instance_state" "minecraft" {
+  instance_id = aws_instance.minecraft.id
+  state       = var.instance_state
+}
+
+# AWS gives the instance a new public IP on every start, so read it back once
+# the state above is applied - aws_instance.minecraft still has the old one
+data "aws_instance" "minecraft" {
+  instance_id = aws_instance.minecraft.id
+
+  depends_on = [aws_ec2_instance_state.minecraft]
+}
+
 resource "aws_s3_bucket" "minecraft_saves" {
   # Logic here to use provided TF_var "minecraft_s3_bucket" - if none provided, use "minesible-world-backups-${random_id.bucket_id.hex}"
   # "minesible-world-backups-${random_id.bucket_id.hex}" will be destroyed on infra teardown so it's recommended to save your files to a pre-created S3 bucket
@@ -1,5 +1,10 @@
+output "instance_state" {
+  value = aws_ec2_instance_state.minecraft.state
+}
+
 output "ec2_ip" {
-  value = aws_instance.minecraft.public_ip
+  # Empty while the instance is stopped
+  value = data.aws_instance.minecraft.public_ip
 }
 
 output "s3_bucket" {
@@ -21,3 +21,20 @@ variable "max_players" {
   type        = number
   default     = "10"
 }
+
+variable "rcon_allowed_cidrs" {
+  description = "CIDR blocks allowed to reach the RCON port - the public egress IPs the web manager connects from (its host, or the Vercel project's static IPs). Empty keeps the port closed"
+  type        = list(string)
+  default     = []
+}
+
+variable "instance_state" {
+  description = "Whether the EC2 instance is running or stopped (stopped keeps the instance and its disk)"
+  type        = string
+  default     = "running"
+
+  validation {
+    condition     = contains(["running", "stopped"], var.instance_state)
+    error_message = "instance_state must be \"running\" or \"stopped\"."
+  }
+}
@@ -0,0 +1,54 @@
+// api/audit.js
+// GET /api/audit?server=&user=&action=&from=&to=&limit= - Audit log, newest first
+
+require('dotenv').config();
+const { listAuditEntries, ACTIONS } = require('../lib/audit');
+const { ValidationError, sendError } = require('../lib/errors');
+const { authorize } = require('../lib/auth');
+const { applyCors } = require('../lib/cors');
+
+module.exports = async (req, res) => {
+    applyCors(req, res, 'GET, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed. Use GET.'
+        });
+    }
+
+    if (!await authorize(req, res, 'admin')) {
+        return;
+    }
+
+    try {
+        const { server, user, action, from, to } = req.query || {};
+        const limit = Math.min(Number(req.query && req.query.limit) || 50, 500);
+
+        if (action && !ACTIONS.includes(action)) {
+            throw new ValidationError(`Unknown action: ${action}`, { actions: ACTIONS });
+        }
+        [['from', from], ['to', to]].forEach(([name, value]) => {
+            if (value && isNaN(new Date(value).getTime())) {
+                throw new ValidationError(`Invalid ${name} time: ${value}`);
+            }
+        });
+
+        const entries = await listAuditEntries({ server, user, action, from, to });
+
+        return res.json({
+            success: true,
+            total: entries.length,
+            entries: entries.slice(0, limit),
+            actions: ACTIONS
+        });
+
+    } catch (error) {
+        console.error('Audit log error:', error);
+        return sendError(res, error);
+    }
+};
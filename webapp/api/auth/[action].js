@@ -0,0 +1,103 @@
+// webapp/api/auth/[action].js
+// POST /api/auth/login   - Start a session ({ "username": "...", "password": "..." })
+// POST /api/auth/logout  - End the current session
+// GET  /api/auth/me      - The logged-in user and their role
+
+require('dotenv').config();
+const { login, logout, getSessionUser } = require('../../lib/auth');
+const { applyCors, isOriginAllowed } = require('../../lib/cors');
+const { UnauthenticatedError, ForbiddenError, sendError } = require('../../lib/errors');
+const { parseBody } = require('../../lib/request');
+const { recordAudit } = require('../../lib/audit');
+
+module.exports = async (req, res) => {
+    applyCors(req, res, 'GET, POST, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    const { action } = req.query;
+
+    try {
+        if (!isOriginAllowed(req)) {
+            throw new ForbiddenError(`Origin ${req.headers.origin} is not allowed`);
+        }
+
+        if (action === 'login' && req.method === 'POST') {
+            return await handleLogin(req, res);
+        }
+        if (action === 'logout' && req.method === 'POST') {
+            return await handleLogout(req, res);
+        }
+        if (action === 'me' && req.method === 'GET') {
+            return await handleMe(req, res);
+        }
+
+        return res.status(404).json({
+            success: false,
+            error: `Unknown auth endpoint: ${req.method} /api/auth/${action}`
+        });
+
+    } catch (error) {
+        if (!(error instanceof UnauthenticatedError)) {
+            console.error('Auth route error:', error);
+        }
+        return sendError(res, error);
+    }
+};
+
+// Handler for POST /api/auth/login
+async function handleLogin(req, res) {
+    const body = parseBody(req);
+
+    try {
+        const session = await login(body.username, body.password);
+        res.setHeader('Set-Cookie', session.cookie);
+        await recordAudit(req, { action: 'auth.login', user: session.user.username, role: session.user.role });
+
+        return res.json({
+            success: true,
+            user: session.user,
+            expiresAt: session.expiresAt
+        });
+    } catch (error) {
+        if (error instanceof UnauthenticatedError) {
+            console.warn(`Failed login for "${body.username}"`);
+            await recordAudit(req, {
+                action: 'auth.login',
+                user: typeof body.username === 'string' ? body.username.slice(0, 100) : null,
+                result: 'failure',
+                error: error.message
+            });
+        }
+        throw error;
+    }
+}
+
+// Handler for POST /api/auth/logout
+async function handleLogout(req, res) {
+    const user = await getSessionUser(req);
+    res.setHeader('Set-Cookie', await logout(req));
+    if (user) {
+        await recordAudit(req, { action: 'auth.logout', user: user.username, role: user.role });
+    }
+
+    return res.json({
+        success: true,
+        message: 'Logged out'
+    });
+}
+
+// Handler for GET /api/auth/me
+async function handleMe(req, res) {
+    const user = await getSessionUser(req);
+    if (!user) {
+        throw new UnauthenticatedError();
+    }
+
+    return res.json({
+        success: true,
+        user
+    });
+}
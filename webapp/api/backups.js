@@ -0,0 +1,47 @@
+// api/backups.js
+// GET /api/backups?bucket=<bucket>&server=<server key> - World backups in a bucket
+
+require('dotenv').config();
+const { listBackups, DEFAULT_BACKUP_BUCKET } = require('../lib/backups');
+const { sendError } = require('../lib/errors');
+const { authorize } = require('../lib/auth');
+const { applyCors } = require('../lib/cors');
+
+module.exports = async (req, res) => {
+    // Set CORS headers
+    applyCors(req, res, 'GET, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed. Use GET.'
+        });
+    }
+
+    if (!await authorize(req, res, 'viewer')) {
+        return;
+    }
+
+    try {
+        const query = req.query || {};
+        const bucket = query.bucket || DEFAULT_BACKUP_BUCKET;
+        const server = query.server || null;
+
+        console.log('Listing backups in bucket:', bucket, server ? `(server ${server})` : '');
+        const backups = await listBackups(bucket, server);
+
+        return res.json({
+            success: true,
+            bucket,
+            backups
+        });
+
+    } catch (error) {
+        console.error('Backup listing error:', error);
+        return sendError(res, error);
+    }
+};
@@ -0,0 +1,63 @@
+// api/blueprint.js
+// GET /api/blueprint - Blueprint input definitions used to build the deploy form
+
+require('dotenv').config();
+const { getBlueprintSchema } = require('../lib/blueprint');
+const { instanceTypeCatalog, DEFAULT_HEAP_MB, MIN_HEAP_MB } = require('../lib/instance-types');
+const { DEFAULT_FLAVOR, listFlavors } = require('../lib/flavors');
+const { sendError } = require('../lib/errors');
+const { authorize } = require('../lib/auth');
+const { applyCors } = require('../lib/cors');
+
+module.exports = async (req, res) => {
+    // Set CORS headers
+    applyCors(req, res, 'GET, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed. Use GET.'
+        });
+    }
+
+    if (!await authorize(req, res, 'viewer')) {
+        return;
+    }
+
+    try {
+        const refresh = req.query && req.query.refresh === 'true';
+        const blueprint = await getBlueprintSchema(refresh);
+
+        return res.json({
+            success: true,
+            blueprint: {
+                id: blueprint.id,
+                name: blueprint.name,
+                space: blueprint.space
+            },
+            // Managed inputs are filled in by the deploy route, not the form
+            inputs: blueprint.inputs.filter(input => !input.managed),
+            features: {
+                rcon: blueprint.inputs.some(input => input.id === 'rcon_password'),
+                restoreBackup: blueprint.inputs.some(input => input.id === 'restore_backup_key'),
+                jvm: blueprint.inputs.some(input => input.id === 'jvm_heap_mb'),
+                minecraftVersion: blueprint.inputs.some(input => input.id === 'server_jar_url'),
+                flavors: blueprint.inputs.some(input => input.id === 'server_flavor')
+            },
+            // Server distributions the deploy form offers (lib/flavors/)
+            flavors: listFlavors(),
+            defaultFlavor: DEFAULT_FLAVOR,
+            // Memory per instance type and the heap/GC flags recommended for it
+            instanceTypes: instanceTypeCatalog(),
+            jvmDefaults: { heapMb: DEFAULT_HEAP_MB, minHeapMb: MIN_HEAP_MB }
+        });
+
+    } catch (error) {
+        console.error('Blueprint schema error:', error);
+        return sendError(res, error);
+    }
+};
@@ -0,0 +1,50 @@
+// api/cron.js
+// GET|POST /api/cron - Periodic tick that advances due background jobs and
+// checks for idle, expired and scheduled servers and players joining. Point Vercel Cron (or any
+// scheduler) at it every minute; one tick runs for at most CRON_BUDGET_MS. It stops and deletes
+// servers, so it needs CRON_SECRET as a bearer token - or an admin session, to run a tick by hand.
+
+require('dotenv').config();
+const crypto = require('crypto');
+const { sendError } = require('../lib/errors');
+const { runCronTick } = require('../lib/cron-tick');
+const { authorize } = require('../lib/auth');
+
+function hasCronSecret(req, cronSecret) {
+    const expected = Buffer.from(`Bearer ${cronSecret}`);
+    const given = Buffer.from(req.headers.authorization || '');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+module.exports = async (req, res) => {
+    if (!['GET', 'POST'].includes(req.method)) {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed. Use GET or POST.'
+        });
+    }
+
+    // Vercel Cron sends "Authorization: Bearer $CRON_SECRET" when it is set
+    const cronSecret = process.env.CRON_SECRET;
+    if (!cronSecret || !hasCronSecret(req, cronSecret)) {
+        if (!cronSecret) {
+            console.warn('CRON_SECRET is not set - only admins can run the cron tick');
+        }
+        if (!await authorize(req, res, 'admin')) {
+            return;
+        }
+    }
+
+    try {
+        // One deadline for everything, so the tick ends before the function
+        // time limit - see lib/cron-tick.js
+        return res.json({
+            success: true,
+            ...await runCronTick()
+        });
+
+    } catch (error) {
+        console.error('Cron tick error:', error);
+        return sendError(res, error);
+    }
+};
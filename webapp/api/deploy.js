@@ -1,94 +1,44 @@
 require('dotenv').config();
-const axios = require('axios');
+const { ValidationError, NotFoundError, sendError } = require('../lib/errors');
+const { parseBody } = require('../lib/request');
+const { authorize } = require('../lib/auth');
+const { applyCors } = require('../lib/cors');
+const { beginAudit, recordAuditFailure } = require('../lib/audit');
+const { labelNewServer } = require('../lib/label-migration');
+const {
+    BLUEPRINT_ID,
+    getBlueprintSchema,
+    extractSubmittedValues,
+    buildTemplateInputs,
+    storableValues,
+    createStacksFromBlueprint
+} = require('../lib/blueprint');
+const { generateRconNonce, deriveRconPassword } = require('../lib/rcon');
+const { createServerRecord } = require('../lib/server-records');
+const { normalizeIdlePolicy } = require('../lib/idle-watcher');
+const { resolveExpiry } = require('../lib/server-expiry');
+const { isValidBackupKey, backupExists, DEFAULT_BACKUP_BUCKET } = require('../lib/backups');
+const { normalizeJvmOverride, resolveJvmSettings, jvmInputValues } = require('../lib/instance-types');
+const { DEFAULT_FLAVOR, resolveServerInstall, describeInstall, serverInstallInputValues } = require('../lib/flavors');
+const { publishEvent } = require('../lib/events');
+const { startReadyWatch } = require('../lib/server-jobs');
+const { refreshCachedStacks } = require('../lib/server-cache');
 
-// Spacelift API configuration
-const SPACELIFT_API_URL = process.env.SPACELIFT_API_ENDPOINT;
-const SPACELIFT_API_KEY_ID = process.env.SPACELIFT_API_KEY_ID;
-const SPACELIFT_API_KEY_SECRET = process.env.SPACELIFT_API_KEY_SECRET;
-
-// Blueprint ID
-const BLUEPRINT_ID = process.env.BLUEPRINT_ID || 'minesible-blueprint-01K4X20PX3PAVEMBW3AEE5DJET';
-
-// Validate required environment variables
-if (!SPACELIFT_API_URL || !SPACELIFT_API_KEY_ID || !SPACELIFT_API_KEY_SECRET) {
-    console.error('Missing required environment variables');
-}
-
-// Cache for JWT token
-let currentJWT = null;
-let jwtExpiry = null;
-
-// Function to get JWT token from API key
-async function getJWTToken() {
-    if (currentJWT && jwtExpiry && Date.now() < jwtExpiry) {
-        return currentJWT;
-    }
-
-    try {
-        const response = await axios.post(SPACELIFT_API_URL, {
-            query: `
-                mutation GetSpaceliftToken($id: ID!, $secret: String!) {
-                    apiKeyUser(id: $id, secret: $secret) {
-                        jwt
-                    }
-                }
-            `,
-            variables: {
-                id: SPACELIFT_API_KEY_ID,
-                secret: SPACELIFT_API_KEY_SECRET
-            }
-        }, {
-            headers: {
-                'Content-Type': 'application/json'
-            }
-        });
-
-        if (response.data.errors) {
-            throw new Error(response.data.errors[0].message);
-        }
-
-        currentJWT = response.data.data.apiKeyUser.jwt;
-        jwtExpiry = Date.now() + (50 * 60 * 1000);
-        
-        return currentJWT;
-    } catch (error) {
-        console.error('Failed to get JWT token:', error.response?.data || error.message);
-        throw error;
-    }
+// Helper function to hide secret inputs before logging
+function redactInputs(inputs, templateInputs) {
+    const secretIds = inputs.filter(input => input.type === 'secret' || input.managed).map(input => input.id);
+    return templateInputs.map(input => secretIds.includes(input.id) ? { id: input.id, value: '***' } : input);
 }
 
-// GraphQL helper function
-async function spaceliftQuery(query, variables = {}) {
-    try {
-        const jwt = await getJWTToken();
-        
-        const response = await axios.post(SPACELIFT_API_URL, {
-            query,
-            variables
-        }, {
-            headers: {
-                'Authorization': `Bearer ${jwt}`,
-                'Content-Type': 'application/json'
-            }
-        });
-
-        if (response.data.errors) {
-            console.error('GraphQL errors:', response.data.errors);
-            throw new Error(response.data.errors[0].message);
-        }
-
-        return response.data.data;
-    } catch (error) {
-        console.error('Spacelift API error:', error.response?.data || error.message);
-        throw error;
-    }
+// Same, for submitted values keyed by input id (audit log)
+function redactValues(inputs, values) {
+    return redactInputs(inputs, Object.keys(values).map(id => ({ id, value: values[id] })))
+        .reduce((redacted, input) => ({ ...redacted, [input.id]: input.value }), {});
 }
 
 module.exports = async (req, res) => {
     // Set CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    applyCors(req, res, 'POST, OPTIONS');
     
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
@@ -101,142 +51,210 @@ module.exports = async (req, res) => {
         });
     }
 
+    if (!await authorize(req, res, 'admin')) {
+        return;
+    }
+
     try {
-        const { instanceType, s3Bucket, motd, maxPlayers } = req.body;
-
-        // Validate inputs
-        if (!instanceType || !s3Bucket || !motd || !maxPlayers) {
-            return res.status(400).json({
-                success: false,
-                error: 'Missing required fields: instanceType, s3Bucket, motd, maxPlayers'
-            });
-        }
+        const body = parseBody(req);
 
         console.log('=== STARTING DEPLOYMENT ===');
         console.log('Blueprint ID:', BLUEPRINT_ID);
-        console.log('Deploy inputs:', { instanceType, s3Bucket, motd, maxPlayers });
-
-        // Get blueprint details first
-        const blueprintQuery = `
-            query GetBlueprint($id: ID!) {
-                blueprint(id: $id) {
-                    id
-                    name
-                    space {
-                        id
-                        name
-                    }
-                    rawTemplate
-                }
+        const audit = beginAudit(req, 'server.deploy');
+
+        // Get blueprint details and its input definitions first
+        const blueprint = await getBlueprintSchema();
+
+        console.log('Blueprint found:', blueprint.name);
+        console.log('Blueprint space:', blueprint.space);
+
+        // Give the server an RCON password if the blueprint takes one. Only
+        // the nonce is stored; the password is derived again when needed.
+        const managedValues = {};
+        let rconNonce = null;
+        if (blueprint.inputs.some(input => input.id === 'rcon_password')) {
+            rconNonce = generateRconNonce();
+            managedValues.rcon_password = deriveRconPassword(rconNonce);
+            if (!managedValues.rcon_password) {
+                console.warn('RCON_SECRET is not set - deploying without an RCON console');
+                rconNonce = null;
             }
-        `;
+        }
 
-        const blueprintResult = await spaceliftQuery(blueprintQuery, { id: BLUEPRINT_ID });
-        
-        if (!blueprintResult.blueprint) {
-            return res.status(404).json({
-                success: false,
-                error: `Blueprint not found: ${BLUEPRINT_ID}`
-            });
+        // Restore a chosen backup instead of starting from the legacy world.zip
+        const submittedValues = extractSubmittedValues(body);
+        audit.update({
+            inputs: {
+                ...redactValues(blueprint.inputs, submittedValues),
+                restoreBackupKey: body.restoreBackupKey || null,
+                idlePolicy: body.idlePolicy || null,
+                ttlHours: body.ttlHours || null,
+                expiresAt: body.expiresAt || null,
+                jvm: body.jvm || null,
+                flavor: body.flavor || null,
+                minecraftVersion: body.minecraftVersion || null
+            }
+        });
+
+        // What to do when nobody plays - checked before any stack exists
+        const idlePolicy = body.idlePolicy ? normalizeIdlePolicy(body.idlePolicy) : null;
+        // When the server is deleted again ("destroy after 6 hours" or at a set time)
+        const expiresAt = resolveExpiry(body);
+        if (expiresAt) {
+            console.log('Server expires at:', expiresAt);
         }
+        if (body.restoreBackupKey) {
+            if (!blueprint.inputs.some(input => input.id === 'restore_backup_key')) {
+                throw new ValidationError('This blueprint does not support restoring a backup on deploy');
+            }
+            if (!isValidBackupKey(body.restoreBackupKey)) {
+                throw new ValidationError(`Invalid backup key: ${body.restoreBackupKey}`);
+            }
+
+            const bucketInput = blueprint.inputs.find(input => input.id === 's3_bucket');
+            const bucket = submittedValues.s3_bucket || (bucketInput && bucketInput.default) || DEFAULT_BACKUP_BUCKET;
+            if (!await backupExists(bucket, body.restoreBackupKey)) {
+                throw new NotFoundError(`Backup ${body.restoreBackupKey} not found in bucket ${bucket}`);
+            }
 
-        console.log('Blueprint found:', blueprintResult.blueprint.name);
-        console.log('Blueprint space:', blueprintResult.blueprint.space);
+            console.log('Restoring backup on deploy:', `s3://${bucket}/${body.restoreBackupKey}`);
+            managedValues.restore_backup_key = body.restoreBackupKey;
+        }
 
-        // Prepare template inputs
-        const templateInputs = [
-            { id: 'instance_type', value: instanceType },
-            { id: 's3_bucket', value: s3Bucket },
-            { id: 'motd', value: motd },
-            { id: 'max_players', value: maxPlayers.toString() }
-        ];
+        // Size the JVM heap for the instance type, unless the advanced section
+        // of the form overrides it (checked against the type's memory)
+        const instanceTypeInput = blueprint.inputs.find(input => input.id === 'instance_type');
+        const instanceType = submittedValues.instance_type || (instanceTypeInput && instanceTypeInput.default) || null;
+        const hasJvmInputs = blueprint.inputs.some(input => input.id === 'jvm_heap_mb');
+        let jvmOverride = null;
+        if (body.jvm) {
+            if (!hasJvmInputs) {
+                throw new ValidationError('This blueprint does not support JVM settings');
+            }
+            jvmOverride = normalizeJvmOverride(body.jvm, instanceType);
+        }
+        const jvm = resolveJvmSettings(instanceType, jvmOverride);
+        if (hasJvmInputs) {
+            console.log(`JVM heap for ${instanceType || 'default instance'}: ${jvm.heapMb} MiB${jvm.recommended ? ' (recommended)' : ''}`);
+            Object.assign(managedValues, jvmInputValues(jvm));
+        }
 
-        console.log('Template inputs:', templateInputs);
-        
-        // Create stack from blueprint
-        const createStackMutation = `
-            mutation CreateStackFromBlueprint($id: ID!, $input: BlueprintStackCreateInput!) {
-                blueprintCreateStack(id: $id, input: $input) {
-                    stackIds
-                }
+        // Install the chosen flavor and Minecraft version (and the Java it
+        // needs) instead of the playbook's default vanilla server. A flavor
+        // without a version gets the flavor's latest release.
+        let install = null;
+        if (body.minecraftVersion || body.flavor) {
+            if (!blueprint.inputs.some(input => input.id === 'server_jar_url')) {
+                throw new ValidationError('This blueprint does not support choosing a Minecraft version');
             }
-        `;
-        
-        const mutationVariables = {
-            id: BLUEPRINT_ID,
-            input: {
-                templateInputs: templateInputs
+            if ((body.flavor || DEFAULT_FLAVOR) !== DEFAULT_FLAVOR && !blueprint.inputs.some(input => input.id === 'server_flavor')) {
+                throw new ValidationError('This blueprint does not support server flavors');
             }
-        };
+            install = await resolveServerInstall(body.flavor || DEFAULT_FLAVOR, body.minecraftVersion || null);
+            console.log(`${describeInstall(install)} (Java ${install.javaVersion}):`, install.server.url);
+            Object.assign(managedValues, serverInstallInputValues(install));
+        }
+        const minecraftVersion = install ? install.minecraftVersion : null;
+        const flavor = install ? install.flavor : DEFAULT_FLAVOR;
 
-        console.log('Creating stack with variables:', JSON.stringify(mutationVariables, null, 2));
-        
-        let result;
+        // Validate the submitted values against the blueprint's inputs
+        const templateInputs = buildTemplateInputs(blueprint.inputs, submittedValues, managedValues);
+
+        console.log('Template inputs:', redactInputs(blueprint.inputs, templateInputs));
         
+        // Create the stacks from the blueprint
+        const stackIds = await createStacksFromBlueprint(templateInputs);
+
+        // Remember per-server settings. The stacks already exist, so a storage
+        // failure doesn't fail the deploy - it comes back as a warning instead
+        const warnings = [];
+        let record = null;
         try {
-            result = await spaceliftQuery(createStackMutation, mutationVariables);
-            console.log('Stack creation successful:', result);
-        } catch (firstError) {
-            console.log('First attempt failed:', firstError.message);
-            
-            // Try with space_id in templateInputs
-            const templateInputsWithSpace = [
-                ...templateInputs,
-                { id: 'space_id', value: 'opentofu-01JB2XV5E3ZR3NDTKCN80KS6RH' }
-            ];
-
-            const mutationVariablesWithSpace = {
-                id: BLUEPRINT_ID,
-                input: {
-                    templateInputs: templateInputsWithSpace
-                }
-            };
-
-            console.log('Second attempt with space_id:', JSON.stringify(mutationVariablesWithSpace, null, 2));
-            
-            try {
-                result = await spaceliftQuery(createStackMutation, mutationVariablesWithSpace);
-                console.log('Success with space in templateInputs:', result);
-            } catch (secondError) {
-                console.log('Second attempt failed:', secondError.message);
-                
-                // Try with root space
-                const templateInputsWithRootSpace = [
-                    ...templateInputs,
-                    { id: 'space_id', value: 'root' }
-                ];
-
-                const mutationVariablesWithRootSpace = {
-                    id: BLUEPRINT_ID,
-                    input: {
-                        templateInputs: templateInputsWithRootSpace
-                    }
-                };
-
-                console.log('Third attempt with root space:', JSON.stringify(mutationVariablesWithRootSpace, null, 2));
-                
-                try {
-                    result = await spaceliftQuery(createStackMutation, mutationVariablesWithRootSpace);
-                    console.log('Success with root space:', result);
-                } catch (thirdError) {
-                    console.log('All attempts failed:', thirdError.message);
-                    throw thirdError;
-                }
+            // The submitted values let a schedule deploy the server again after
+            // tearing it down (lib/server-schedule.js) - all but the secrets
+            const storable = storableValues(blueprint.inputs, submittedValues);
+            const recordFields = { rconNonce, deployValues: storable.values };
+            if (storable.omitted.length > 0) recordFields.omittedSecretInputs = storable.omitted;
+            if (idlePolicy) recordFields.idlePolicy = idlePolicy;
+            if (expiresAt) recordFields.expiresAt = expiresAt;
+            // Kept so a resize or redeploy uses the same override where it fits
+            if (jvmOverride && Object.keys(jvmOverride).length > 0) recordFields.jvm = jvmOverride;
+            if (install) {
+                recordFields.flavor = flavor;
+                recordFields.minecraftVersion = minecraftVersion;
+                // The exact jar - what an upgrade's rollback puts back
+                recordFields.serverInstall = serverInstallInputValues(install);
             }
+            record = await createServerRecord(stackIds, recordFields);
+            console.log('Created server record:', record.id);
+        } catch (recordError) {
+            console.error('Failed to save server record:', recordError.message);
+            warnings.push(expiresAt
+                ? `The server's settings could not be saved, so it will NOT be deleted at ${expiresAt} - delete it yourself when you are done with it (${recordError.message})`
+                : `The server's settings (idle policy, console access) could not be saved (${recordError.message})`);
         }
-        
-        const stackIds = result.blueprintCreateStack.stackIds;
-        console.log('Created stacks:', stackIds);
-
-        if (!stackIds || stackIds.length === 0) {
-            return res.status(500).json({
-                success: false,
-                error: 'No stacks were created from the blueprint'
-            });
+
+        // Servers are identified by their stack labels from here on. The stacks
+        // already exist, so a labelling failure is logged (the label migration
+        // can fix it later) rather than failing the deploy.
+        let serverKey = null;
+        try {
+            serverKey = await labelNewServer(stackIds);
+            console.log('Server key:', serverKey);
+        } catch (labelError) {
+            console.error('Failed to label the new server stacks:', labelError.message);
+            warnings.push(`The new stacks could not be labelled - run the label migration (${labelError.message})`);
+        }
+        // Shown in the list straight away, before Spacelift's first webhook.
+        // The next list load or webhook fills the cache in anyway.
+        try {
+            await refreshCachedStacks(stackIds);
+        } catch (cacheError) {
+            console.error('Failed to cache the new server stacks:', cacheError.message);
         }
 
+        await audit.success({
+            server: serverKey,
+            stackIds,
+            details: {
+                serverRecordId: record ? record.id : null,
+                rconEnabled: Boolean(record && rconNonce),
+                expiresAt: record ? record.expiresAt || null : null,
+                warnings,
+                heapMb: hasJvmInputs ? jvm.heapMb : null,
+                flavor,
+                minecraftVersion,
+                flavorVersion: install ? install.flavorVersion : null
+            }
+        });
+
+        // Tell Discord and webhooks now, and again once the server is up with its address
+        await publishEvent('deploy.started', {
+            serverKey,
+            recordId: record ? record.id : null,
+            stackIds,
+            instanceType: submittedValues.instance_type || null,
+            flavor,
+            minecraftVersion,
+            requestedBy: req.user.username
+        });
+        await startReadyWatch(stackIds[0], { recordId: record ? record.id : null, reason: 'deploy' })
+            .catch(error => console.error('Failed to start watching the new server:', error.message));
+
         return res.json({
             success: true,
+            serverRecordId: record ? record.id : null,
+            rconEnabled: Boolean(record && rconNonce),
+            // null if the record couldn't be saved - warnings then says so
+            expiresAt: record ? record.expiresAt || null : null,
+            // What went wrong after the stacks were created - the UI shows these
+            warnings,
+            // null when the blueprint doesn't pass JVM settings on (the playbook default applies)
+            jvm: hasJvmInputs ? { heapMb: jvm.heapMb, flags: jvm.flags, recommended: jvm.recommended } : null,
+            // null means the playbook's default version
+            flavor,
+            minecraftVersion,
+            flavorVersion: install ? install.flavorVersion : null,
             stackId: stackIds[0],
             stackName: `Stack ${stackIds[0]}`,
             allStackIds: stackIds,
@@ -245,9 +263,7 @@ module.exports = async (req, res) => {
 
     } catch (error) {
         console.error('Deploy error:', error);
-        return res.status(500).json({
-            success: false,
-            error: error.message || 'Deployment failed'
-        });
+        await recordAuditFailure(req, error);
+        return sendError(res, error);
     }
 };
@@ -0,0 +1,140 @@
+// api/events.js
+// GET /api/events - Server-Sent Events stream of server state for the page:
+//
+//   snapshot - { servers: [...] } every server's state, sent first
+//   server   - one server's state after its status, IP or stacks changed
+//   removed  - { id } a server is gone
+//   run      - { serverId, stackId, role, runId, runState, at } a Spacelift run moved on
+//
+// Server state is the card as lib/server-stacks.js groups it (status, ip,
+// instanceState, instanceType, opentofu, ansible, ...), without the records'
+// settings. With Spacelift webhooks set up the stream follows the change feed
+// (lib/server-cache.js) and resumes from Last-Event-ID; without them it reads
+// the stacks from Spacelift every SPACELIFT_POLL_MS. Each connection ends after
+// STREAM_MS - EventSource reconnects on its own.
+
+require('dotenv').config();
+const { sendError } = require('../lib/errors');
+const { authorize } = require('../lib/auth');
+const { applyCors } = require('../lib/cors');
+const { listMinesibleStacks, groupServerStacks } = require('../lib/server-stacks');
+const { isCacheEnabled, listCachedStacks, listServerChanges } = require('../lib/server-cache');
+
+const STREAM_MS = 25000;
+const STREAM_INTERVAL_MS = 2000;
+const SPACELIFT_POLL_MS = 15000;
+
+async function listServers() {
+    const stacks = isCacheEnabled()
+        ? (await listCachedStacks()).stacks
+        : await listMinesibleStacks();
+    return groupServerStacks(stacks);
+}
+
+// The card a change belongs to - as groupServerStacks names it
+function changeServerId(change) {
+    return change.serverKey || `unlabelled-${change.stackId}`;
+}
+
+module.exports = async (req, res) => {
+    applyCors(req, res, 'GET, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed. Use GET.'
+        });
+    }
+
+    if (!await authorize(req, res, 'viewer')) {
+        return;
+    }
+
+    let servers;
+    // Taken before reading, so nothing written meanwhile is skipped
+    let cursor = Number(req.headers['last-event-id']) || Date.now();
+    try {
+        // Fail with a normal JSON error before switching to a stream
+        servers = await listServers();
+    } catch (error) {
+        console.error('Events error:', error);
+        return sendError(res, error);
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+
+    let closed = false;
+    req.on('close', () => { closed = true; });
+
+    const send = (event, data, id = null) => {
+        res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    send('snapshot', { servers }, isCacheEnabled() ? cursor : null);
+    let known = new Map(servers.map(server => [server.id, JSON.stringify(server)]));
+
+    const startedAt = Date.now();
+    let polledAt = startedAt;
+
+    // Send what differs from what this stream last sent
+    const sendDifferences = latest => {
+        const next = new Map(latest.map(server => [server.id, JSON.stringify(server)]));
+        latest.forEach(server => {
+            if (known.get(server.id) !== next.get(server.id)) {
+                send('server', server);
+            }
+        });
+        known.forEach((value, id) => {
+            if (!next.has(id)) {
+                send('removed', { id });
+            }
+        });
+        known = next;
+    };
+
+    while (!closed && Date.now() - startedAt < STREAM_MS) {
+        await new Promise(resolve => setTimeout(resolve, STREAM_INTERVAL_MS));
+        if (closed) break;
+
+        try {
+            if (isCacheEnabled()) {
+                const readAt = Date.now();
+                const changes = await listServerChanges(cursor);
+                cursor = readAt;
+                if (changes.length > 0) {
+                    sendDifferences(await listServers());
+                    changes.filter(change => change.runId).forEach(change => {
+                        send('run', {
+                            serverId: changeServerId(change),
+                            stackId: change.stackId,
+                            role: change.role,
+                            runId: change.runId,
+                            runState: change.runState,
+                            at: change.at
+                        }, cursor);
+                    });
+                }
+                // Lets a reconnect resume from here
+                res.write(`id: ${cursor}\n: ping\n\n`);
+            } else if (Date.now() - polledAt >= SPACELIFT_POLL_MS) {
+                polledAt = Date.now();
+                sendDifferences(await listServers());
+            } else {
+                res.write(': ping\n\n');
+            }
+        } catch (error) {
+            // The next tick (or reconnect) tries again
+            console.error('Events stream error:', error.message);
+        }
+    }
+
+    res.end();
+};
@@ -1,9 +1,9 @@
 // Health check endpoint
 
+const { applyCors } = require('../lib/cors');
+
 module.exports = async (req, res) => {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    applyCors(req, res, 'GET, OPTIONS');
     
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
@@ -0,0 +1,56 @@
+// api/jobs.js
+// GET /api/jobs?type=&status=&target=&limit= - Recent background jobs
+
+require('dotenv').config();
+const { listJobs } = require('../lib/jobs');
+const { sendError } = require('../lib/errors');
+const { authorize } = require('../lib/auth');
+const { applyCors } = require('../lib/cors');
+require('../lib/server-jobs');
+
+module.exports = async (req, res) => {
+    // Set CORS headers
+    applyCors(req, res, 'GET, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed. Use GET.'
+        });
+    }
+
+    if (!await authorize(req, res, 'viewer')) {
+        return;
+    }
+
+    try {
+        const { type, status, target } = req.query || {};
+        const limit = Math.min(Number(req.query && req.query.limit) || 20, 100);
+
+        const jobs = await listJobs({ type, status, target });
+
+        return res.json({
+            success: true,
+            // The list only carries a summary - fetch a job for its status updates
+            jobs: jobs.slice(0, limit).map(job => ({
+                id: job.id,
+                type: job.type,
+                status: job.status,
+                step: job.step,
+                target: job.target || null,
+                error: job.error,
+                createdAt: job.createdAt,
+                updatedAt: job.updatedAt,
+                finishedAt: job.finishedAt
+            }))
+        });
+
+    } catch (error) {
+        console.error('Job listing error:', error);
+        return sendError(res, error);
+    }
+};
@@ -0,0 +1,139 @@
+// webapp/api/jobs/[id].js
+// GET /api/jobs/:id         - Job state and status updates (?since=N for new updates only)
+// GET /api/jobs/:id/events  - Server-Sent Events stream of the same updates
+//
+// Reading a job also advances it when it is due, so a client that polls
+// keeps its own job moving even without the cron tick.
+
+require('dotenv').config();
+const { getJob, advanceJob, isTerminal } = require('../../lib/jobs');
+const { sendError } = require('../../lib/errors');
+const { authorize } = require('../../lib/auth');
+const { applyCors } = require('../../lib/cors');
+require('../../lib/server-jobs');
+
+// Keep polls quick - the job carries on at the next poll
+const POLL_BUDGET_MS = 5000;
+// Serverless functions have a time limit; EventSource reconnects on its own
+const STREAM_MS = 25000;
+const STREAM_INTERVAL_MS = 2000;
+
+module.exports = async (req, res) => {
+    // Set CORS headers
+    applyCors(req, res, 'GET, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed. Use GET.'
+        });
+    }
+
+    const { id: jobId } = req.query;
+
+    if (!await authorize(req, res, 'viewer')) {
+        return;
+    }
+
+    try {
+        if (req.url && req.url.includes('/events')) {
+            return await handleJobEvents(req, res, jobId);
+        }
+        return await handleGetJob(req, res, jobId);
+    } catch (error) {
+        console.error('Job route error:', error);
+        if (res.headersSent) {
+            return res.end();
+        }
+        return sendError(res, error);
+    }
+};
+
+// Helper function to advance a job without letting a step failure hide its state
+async function advanceQuietly(jobId, budgetMs) {
+    try {
+        return await advanceJob(jobId, budgetMs);
+    } catch (error) {
+        console.error(`Job ${jobId} failed to advance:`, error.message);
+        return getJob(jobId);
+    }
+}
+
+function jobSummary(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        step: job.step,
+        target: job.target || null,
+        result: job.result,
+        error: job.error,
+        runAfter: job.runAfter,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        finishedAt: job.finishedAt
+    };
+}
+
+// Handler for GET /api/jobs/:id
+async function handleGetJob(req, res, jobId) {
+    await getJob(jobId);
+    const job = await advanceQuietly(jobId, POLL_BUDGET_MS);
+    const since = Math.max(Number(req.query.since) || 0, 0);
+
+    return res.json({
+        success: true,
+        job: {
+            ...jobSummary(job),
+            statusUpdates: job.statusUpdates.slice(since)
+        },
+        // Pass back as ?since= to only get updates added after this response
+        nextSince: job.statusUpdates.length
+    });
+}
+
+// Handler for GET /api/jobs/:id/events
+async function handleJobEvents(req, res, jobId) {
+    // Fail with a normal JSON error before switching to a stream
+    await getJob(jobId);
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+
+    // EventSource sends Last-Event-ID when it reconnects
+    let sent = Number(req.headers['last-event-id'] || req.query.since) || 0;
+    let closed = false;
+    req.on('close', () => { closed = true; });
+
+    const startedAt = Date.now();
+
+    while (!closed) {
+        const job = await advanceQuietly(jobId, POLL_BUDGET_MS);
+
+        job.statusUpdates.slice(sent).forEach((update, index) => {
+            res.write(`id: ${sent + index + 1}\nevent: update\ndata: ${JSON.stringify(update)}\n\n`);
+        });
+        sent = job.statusUpdates.length;
+
+        res.write(`event: status\ndata: ${JSON.stringify(jobSummary(job))}\n\n`);
+
+        if (isTerminal(job)) {
+            res.write(`event: done\ndata: ${JSON.stringify(jobSummary(job))}\n\n`);
+            break;
+        }
+        if (Date.now() - startedAt > STREAM_MS) {
+            break;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, STREAM_INTERVAL_MS));
+    }
+
+    res.end();
+}
@@ -0,0 +1,69 @@
+// api/migrations/labels.js
+// GET  /api/migrations/labels - Which unlabelled stacks would be labelled (dry run)
+// POST /api/migrations/labels - Add the server labels to them
+
+require('dotenv').config();
+const { planLabelMigrationForAllStacks, applyLabelMigration } = require('../../lib/label-migration');
+const { sendError } = require('../../lib/errors');
+const { authorize } = require('../../lib/auth');
+const { applyCors } = require('../../lib/cors');
+const { beginAudit, recordAuditFailure } = require('../../lib/audit');
+
+module.exports = async (req, res) => {
+    applyCors(req, res, 'GET, POST, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (!['GET', 'POST'].includes(req.method)) {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed. Use GET or POST.'
+        });
+    }
+
+    if (!await authorize(req, res, 'admin')) {
+        return;
+    }
+
+    try {
+        const plan = await planLabelMigrationForAllStacks();
+        console.log(`Label migration: ${plan.servers.length} server(s) to label, ${plan.skipped.length} skipped`);
+
+        if (req.method === 'GET') {
+            return res.json({
+                success: true,
+                dryRun: true,
+                servers: plan.servers,
+                skipped: plan.skipped
+            });
+        }
+
+        const audit = beginAudit(req, 'server.label-migration', {
+            stackIds: plan.servers.flatMap(server => server.stacks.map(stack => stack.id))
+        });
+
+        const results = await applyLabelMigration(plan);
+        const failed = results.filter(result => !result.labelled);
+
+        await audit.success({
+            error: failed.length > 0 ? failed.map(result => `${result.name}: ${result.error}`).join('; ') : null,
+            details: { servers: plan.servers.map(server => server.serverKey), skipped: plan.skipped, results }
+        }, failed.length > 0 ? 'failure' : 'success');
+
+        return res.json({
+            success: failed.length === 0,
+            dryRun: false,
+            labelled: results.filter(result => result.labelled).length,
+            failed: failed.length,
+            results,
+            skipped: plan.skipped
+        });
+
+    } catch (error) {
+        console.error('Label migration error:', error);
+        await recordAuditFailure(req, error);
+        return sendError(res, error);
+    }
+};
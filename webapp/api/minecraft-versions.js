@@ -0,0 +1,62 @@
+// api/minecraft-versions.js
+// GET /api/minecraft-versions?flavor=paper&snapshots=true&refresh=true - Minecraft versions a flavor can be deployed with
+// GET /api/minecraft-versions?flavor=paper&version=<id> - What one version installs: server jar, flavor build and Java
+// Without a flavor, vanilla. Flavors come from lib/flavors/.
+
+require('dotenv').config();
+const { DEFAULT_FLAVOR, listFlavorVersions, resolveServerInstall } = require('../lib/flavors');
+const { sendError } = require('../lib/errors');
+const { authorize } = require('../lib/auth');
+const { applyCors } = require('../lib/cors');
+
+module.exports = async (req, res) => {
+    // Set CORS headers
+    applyCors(req, res, 'GET, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed. Use GET.'
+        });
+    }
+
+    if (!await authorize(req, res, 'viewer')) {
+        return;
+    }
+
+    try {
+        const query = req.query || {};
+        const flavor = query.flavor || DEFAULT_FLAVOR;
+
+        if (query.version) {
+            const install = await resolveServerInstall(flavor, query.version);
+            return res.json({
+                success: true,
+                version: install
+            });
+        }
+
+        const catalog = await listFlavorVersions(flavor, query.refresh === 'true');
+        const includeSnapshots = query.snapshots === 'true';
+
+        return res.json({
+            success: true,
+            flavor: catalog.flavor,
+            latest: catalog.latest,
+            // Where the list came from: live/mojang, cache or bundled (Mojang unreachable)
+            source: catalog.source,
+            fetchedAt: catalog.fetchedAt,
+            versions: catalog.versions
+                .filter(version => includeSnapshots || version.type === 'release')
+                .map(version => ({ id: version.id, type: version.type, releaseTime: version.releaseTime }))
+        });
+
+    } catch (error) {
+        console.error('Minecraft version listing error:', error);
+        return sendError(res, error);
+    }
+};
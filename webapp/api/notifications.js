@@ -0,0 +1,76 @@
+// api/notifications.js
+// GET /api/notifications - Global Discord notification settings
+// PUT /api/notifications - Replace them ({ "webhookUrls": [...], "events": [...] })
+// Servers add their own webhooks through PUT /api/servers/:id/notifications.
+
+require('dotenv').config();
+const {
+    NOTIFICATION_EVENTS,
+    normalizeNotificationSettings,
+    notificationStatus,
+    envWebhookUrls,
+    maskWebhookUrl,
+    getGlobalNotificationSettings,
+    saveGlobalNotificationSettings
+} = require('../lib/notifications');
+const { sendError } = require('../lib/errors');
+const { parseBody } = require('../lib/request');
+const { authorize } = require('../lib/auth');
+const { applyCors } = require('../lib/cors');
+const { beginAudit, recordAuditFailure } = require('../lib/audit');
+
+// What the UI needs to draw the settings form
+async function settingsResponse() {
+    return {
+        success: true,
+        notifications: notificationStatus(await getGlobalNotificationSettings()),
+        // Set in the environment - every event goes to them, whatever is saved here
+        envWebhooks: envWebhookUrls().map(maskWebhookUrl),
+        events: Object.keys(NOTIFICATION_EVENTS).map(id => ({ id, title: NOTIFICATION_EVENTS[id].title }))
+    };
+}
+
+module.exports = async (req, res) => {
+    applyCors(req, res, 'GET, PUT, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET' && req.method !== 'PUT') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed. Use GET or PUT.'
+        });
+    }
+
+    if (!await authorize(req, res, 'admin')) {
+        return;
+    }
+
+    try {
+        if (req.method === 'GET') {
+            return res.json(await settingsResponse());
+        }
+
+        const body = parseBody(req);
+        const audit = beginAudit(req, 'notifications.update', { inputs: body });
+
+        const previous = await getGlobalNotificationSettings();
+        const settings = normalizeNotificationSettings(body, previous);
+        await saveGlobalNotificationSettings(settings);
+        console.log(`Global notifications: ${settings.webhookUrls.length} webhook(s) for ${settings.events.join(', ')}`);
+
+        await audit.success({
+            inputs: { events: settings.events, count: settings.webhookUrls.length },
+            details: { previous: { events: previous.events, count: (previous.webhookUrls || []).length } }
+        });
+
+        return res.json(await settingsResponse());
+
+    } catch (error) {
+        console.error('Notification settings error:', error);
+        await recordAuditFailure(req, error);
+        return sendError(res, error);
+    }
+};
@@ -0,0 +1,58 @@
+// api/notifications/test.js
+// POST /api/notifications/test - Send a test message to the global webhooks.
+// { "webhookUrls": [...] } tests those instead, before they are saved.
+
+require('dotenv').config();
+const {
+    normalizeNotificationSettings,
+    envWebhookUrls,
+    getGlobalNotificationSettings,
+    sendTestNotification
+} = require('../../lib/notifications');
+const { ValidationError, sendError } = require('../../lib/errors');
+const { parseBody } = require('../../lib/request');
+const { authorize } = require('../../lib/auth');
+const { applyCors } = require('../../lib/cors');
+
+module.exports = async (req, res) => {
+    applyCors(req, res, 'POST, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed. Use POST.'
+        });
+    }
+
+    if (!await authorize(req, res, 'admin')) {
+        return;
+    }
+
+    try {
+        const body = parseBody(req);
+        const saved = await getGlobalNotificationSettings();
+
+        const urls = body.webhookUrls
+            ? normalizeNotificationSettings({ webhookUrls: body.webhookUrls }, saved).webhookUrls
+            : [...envWebhookUrls(), ...saved.webhookUrls].filter((url, index, all) => all.indexOf(url) === index);
+        if (urls.length === 0) {
+            throw new ValidationError('No webhooks to test - add a Discord webhook URL first');
+        }
+
+        const results = await sendTestNotification(urls, { user: req.user.username, scope: 'global' });
+
+        return res.json({
+            success: true,
+            delivered: results.every(result => result.delivered),
+            results
+        });
+
+    } catch (error) {
+        console.error('Test notification error:', error);
+        return sendError(res, error);
+    }
+};
@@ -3,93 +3,69 @@
 // Dynamic route handler for individual server operations
 
 require('dotenv').config();
-const axios = require('axios');
-
-// Spacelift API configuration
-const SPACELIFT_API_URL = process.env.SPACELIFT_API_ENDPOINT;
-const SPACELIFT_API_KEY_ID = process.env.SPACELIFT_API_KEY_ID;
-const SPACELIFT_API_KEY_SECRET = process.env.SPACELIFT_API_KEY_SECRET;
-
-// Validate required environment variables
-if (!SPACELIFT_API_URL || !SPACELIFT_API_KEY_ID || !SPACELIFT_API_KEY_SECRET) {
-    console.error('Missing required environment variables');
-}
-
-// Cache for JWT token
-let currentJWT = null;
-let jwtExpiry = null;
-
-// Function to get JWT token from API key
-async function getJWTToken() {
-    if (currentJWT && jwtExpiry && Date.now() < jwtExpiry) {
-        return currentJWT;
-    }
-
-    try {
-        const response = await axios.post(SPACELIFT_API_URL, {
-            query: `
-                mutation GetSpaceliftToken($id: ID!, $secret: String!) {
-                    apiKeyUser(id: $id, secret: $secret) {
-                        jwt
-                    }
-                }
-            `,
-            variables: {
-                id: SPACELIFT_API_KEY_ID,
-                secret: SPACELIFT_API_KEY_SECRET
-            }
-        }, {
-            headers: {
-                'Content-Type': 'application/json'
-            }
-        });
-
-        if (response.data.errors) {
-            throw new Error(response.data.errors[0].message);
-        }
-
-        currentJWT = response.data.data.apiKeyUser.jwt;
-        jwtExpiry = Date.now() + (50 * 60 * 1000);
-        
-        return currentJWT;
-    } catch (error) {
-        console.error('Failed to get JWT token:', error.response?.data || error.message);
-        throw error;
-    }
-}
-
-// GraphQL helper function
-async function spaceliftQuery(query, variables = {}) {
-    try {
-        const jwt = await getJWTToken();
-        
-        const response = await axios.post(SPACELIFT_API_URL, {
-            query,
-            variables
-        }, {
-            headers: {
-                'Authorization': `Bearer ${jwt}`,
-                'Content-Type': 'application/json'
-            }
-        });
-
-        if (response.data.errors) {
-            console.error('GraphQL errors:', response.data.errors);
-            throw new Error(response.data.errors[0].message);
-        }
-
-        return response.data.data;
-    } catch (error) {
-        console.error('Spacelift API error:', error.response?.data || error.message);
-        throw error;
-    }
+const { ValidationError, NotFoundError, ConflictError, UpstreamError, ForbiddenError, sendError } = require('../../lib/errors');
+const { parseBody } = require('../../lib/request');
+const { authorize, roleAllows } = require('../../lib/auth');
+const { applyCors } = require('../../lib/cors');
+const { pingServer, reportedVersion, DEFAULT_PORT } = require('../../lib/minecraft-ping');
+const { runRconCommand, deriveRconPassword, DEFAULT_RCON_PORT } = require('../../lib/rcon');
+const {
+    getServerRecord,
+    resolveServerRecord,
+    createServerRecord,
+    updateServerRecord
+} = require('../../lib/server-records');
+const { defaultIdlePolicy, normalizeIdlePolicy, idleStatus } = require('../../lib/idle-watcher');
+const { extendExpiry, expiryStatus } = require('../../lib/server-expiry');
+const {
+    normalizeSchedule,
+    scheduleStatus,
+    buildScheduleCalendar,
+    feedTokenMatches
+} = require('../../lib/server-schedule');
+const { getJob, isTerminal } = require('../../lib/jobs');
+const { getServerStacks, getServerDetails, serverStackIds } = require('../../lib/server-stacks');
+const { spaceliftLogsResponse } = require('../../lib/run-logs');
+const {
+    newBackupKey,
+    saveWorldCommand,
+    restoreWorldCommand,
+    isValidBackupKey,
+    listBackups,
+    backupExists,
+    DEFAULT_BACKUP_BUCKET
+} = require('../../lib/backups');
+const { triggerTask, getTaskStatus, waitForTask } = require('../../lib/tasks');
+const {
+    startDeleteServerJob,
+    startSaveTracking,
+    startPowerJob,
+    startResizeJob,
+    startUpgradeJob,
+    startRollbackJob
+} = require('../../lib/server-jobs');
+const { validateBlueprintValue } = require('../../lib/blueprint');
+const { resolveJvmSettings } = require('../../lib/instance-types');
+const { compareVersions } = require('../../lib/minecraft-versions');
+const { DEFAULT_FLAVOR, resolveServerInstall, describeInstall, serverInstallInputValues } = require('../../lib/flavors');
+const { normalizeNotificationSettings, notificationStatus, sendTestNotification } = require('../../lib/notifications');
+const { beginAudit, recordAuditFailure } = require('../../lib/audit');
+
+// Longest a task-status request waits for the task to finish
+const TASK_WAIT_MS = 20000;
+
+// Viewers read, operators act on a running server (save, restore, console,
+// idle policy, lifetime, schedule, upgrade, notifications), admins resize or
+// destroy it
+function requiredRole(method) {
+    if (method === 'DELETE' || method === 'PATCH') return 'admin';
+    if (method === 'POST' || method === 'PUT') return 'operator';
+    return 'viewer';
 }
 
 module.exports = async (req, res) => {
     // Set CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    applyCors(req, res, 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
     
     if (req.method === 'OPTIONS') {
         return res.status(200).end();
@@ -103,12 +79,30 @@ module.exports = async (req, res) => {
     console.log('Server ID:', serverId);
     console.log('URL:', req.url);
 
+    // Calendar apps can't log in - the feed checks its own token
+    if (req.method === 'GET' && req.url && req.url.includes('/schedule.ics')) {
+        return handleScheduleFeed(req, res, serverId);
+    }
+
+    if (!await authorize(req, res, requiredRole(req.method))) {
+        return;
+    }
+
     try {
         // Handle different HTTP methods and URL patterns
         if (req.method === 'GET') {
             // Check if this is a request for Spacelift logs
             if (req.url && req.url.includes('/spacelift-logs')) {
                 return await handleSpaceliftLogs(req, res, serverId);
+            } else if (req.url && req.url.includes('/tasks/')) {
+                // Progress of a save/restore task
+                return await handleTaskStatus(req, res, serverId);
+            } else if (req.url && req.url.includes('/backups')) {
+                // World backups for this server
+                return await handleListServerBackups(req, res, serverId);
+            } else if (req.url && req.url.includes('/ping')) {
+                // Live Minecraft status via Server List Ping
+                return await handlePingServer(req, res, serverId);
             } else {
                 // Regular GET request for server details
                 return await handleGetServer(req, res, serverId);
@@ -117,11 +111,55 @@ module.exports = async (req, res) => {
         
         if (req.method === 'POST') {
             // Check if this is a save world request
-            if (req.url && req.url.includes('/save')) {
+            if (req.url && req.url.includes('/notifications/test')) {
+                // Send a test message to the server's webhooks
+                return await handleTestNotifications(req, res, serverId);
+            } else if (req.url && req.url.includes('/save')) {
                 return await handleSaveWorld(req, res, serverId);
+            } else if (req.url && req.url.includes('/restore')) {
+                // Replace the world with a chosen backup
+                return await handleRestoreWorld(req, res, serverId);
+            } else if (req.url && req.url.includes('/rcon')) {
+                // Run a console command over RCON
+                return await handleRconCommand(req, res, serverId);
+            } else if (req.url && req.url.includes('/stop')) {
+                // Save the world and stop the instance, keeping it
+                return await handlePowerAction(req, res, serverId, 'stop');
+            } else if (req.url && req.url.includes('/start')) {
+                // Start a stopped instance and Minecraft on it
+                return await handlePowerAction(req, res, serverId, 'start');
+            } else if (req.url && req.url.includes('/extend')) {
+                // Push back when the server is deleted
+                return await handleExtendExpiry(req, res, serverId);
+            } else if (req.url && req.url.includes('/upgrade/rollback')) {
+                // Undo an upgrade that didn't come back
+                return await handleRollbackUpgrade(req, res, serverId);
+            } else if (req.url && req.url.includes('/upgrade')) {
+                // Move to a newer Minecraft version
+                return await handleUpgradeServer(req, res, serverId);
             }
         }
         
+        if (req.method === 'PUT' && req.url && req.url.includes('/idle-policy')) {
+            // What to do when nobody has played for a while
+            return await handleUpdateIdlePolicy(req, res, serverId);
+        }
+
+        if (req.method === 'PUT' && req.url && req.url.includes('/schedule')) {
+            // Recurring start/stop times
+            return await handleUpdateSchedule(req, res, serverId);
+        }
+
+        if (req.method === 'PUT' && req.url && req.url.includes('/notifications')) {
+            // Discord webhooks for this server's events
+            return await handleUpdateNotifications(req, res, serverId);
+        }
+
+        if (req.method === 'PATCH') {
+            // Change the instance type in place
+            return await handleResizeServer(req, res, serverId);
+        }
+
         if (req.method === 'DELETE') {
             return await handleDeleteServer(req, res, serverId);
         }
@@ -133,10 +171,8 @@ module.exports = async (req, res) => {
 
     } catch (error) {
         console.error('Dynamic route error:', error);
-        return res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        await recordAuditFailure(req, error);
+        return sendError(res, error);
     }
 };
 
@@ -144,473 +180,716 @@ module.exports = async (req, res) => {
 async function handleGetServer(req, res, serverId) {
     console.log('Getting server details for:', serverId);
     
-    const getStackQuery = `
-        query GetStack($id: ID!) {
-            stack(id: $id) {
-                id
-                name
-                state
-                createdAt
-                outputs {
-                    id
-                    value
-                }
-                labels
-                latestRun {
-                    id
-                    state
-                    createdAt
-                    finishedAt
-                }
-            }
-        }
-    `;
+    return res.json({
+        success: true,
+        server: await getServerDetails(serverId)
+    });
+}
 
-    const result = await spaceliftQuery(getStackQuery, { id: serverId });
-    
-    if (!result.stack) {
-        return res.status(404).json({
-            success: false,
-            error: 'Stack not found'
-        });
-    }
+// Handler for GET /api/servers/:id/ping
+async function handlePingServer(req, res, serverId) {
+    console.log('Pinging Minecraft server for stack:', serverId);
 
-    if (!result.stack.labels || !result.stack.labels.includes('minesible')) {
-        return res.status(404).json({
-            success: false,
-            error: 'Server not found (not a minesible stack)'
+    const server = await getServerStacks(serverId);
+    const ip = server.outputs.ec2_ip || null;
+
+    if (!ip) {
+        return res.json({
+            success: true,
+            ip: null,
+            status: {
+                online: false,
+                error: 'Server has no IP address yet'
+            }
         });
     }
 
-    const stack = result.stack;
-    const outputs = stack.outputs ? stack.outputs.reduce((acc, output) => {
-        acc[output.id] = output.value;
-        return acc;
-    }, {}) : {};
+    const status = await pingServer(ip, DEFAULT_PORT);
 
     return res.json({
         success: true,
-        server: {
-            id: stack.id,
-            name: stack.name,
-            status: stack.state,
-            ip: outputs.ec2_ip || null,
-            instanceType: outputs.instance_type || 'unknown',
-            maxPlayers: outputs.max_players || 'unknown',
-            created: stack.createdAt,
-            latestRun: stack.latestRun
+        ip,
+        port: DEFAULT_PORT,
+        status
+    });
+}
+
+// Handler for POST /api/servers/:id/rcon
+async function handleRconCommand(req, res, serverId) {
+    const body = parseBody(req);
+    const command = typeof body.command === 'string' ? body.command.trim().replace(/^\//, '') : '';
+
+    if (!command) {
+        throw new ValidationError('A console command is required');
+    }
+    if (/[\r\n]/.test(command)) {
+        throw new ValidationError('Console commands must be a single line');
+    }
+
+    console.log('Running RCON command for stack:', serverId, '-', command);
+    const audit = beginAudit(req, 'server.rcon', { stackIds: [serverId], inputs: { command } });
+
+    // A stack the web manager doesn't own throws NotFoundError, which the
+    // route records as a failed audit entry
+    const server = await getServerStacks(serverId);
+    audit.update({ server: server.serverKey });
+
+    const ip = server.outputs.ec2_ip || null;
+    if (!ip) {
+        throw new ConflictError('Server has no IP address yet');
+    }
+
+    const record = await resolveServerRecord(server);
+    const password = record && record.rconNonce ? deriveRconPassword(record.rconNonce) : null;
+    if (!password) {
+        throw new ConflictError('RCON is not enabled for this server');
+    }
+
+    let output;
+    try {
+        output = await runRconCommand(ip, DEFAULT_RCON_PORT, password, command);
+    } catch (error) {
+        console.error('RCON command failed:', error.message);
+        if (error.unreachable) {
+            throw new UpstreamError(`RCON not reachable on ${ip}:${DEFAULT_RCON_PORT} - set rcon_allowed_cidrs on the OpenTofu stack to the web manager's egress address`, {
+                reason: error.message
+            });
         }
+        throw new UpstreamError(error.message);
+    }
+
+    await audit.success({ details: { ip } });
+
+    return res.json({
+        success: true,
+        command,
+        // Drop Minecraft formatting codes (e.g. "§a") from the console output
+        output: output.replace(/\u00a7[0-9a-fk-or]/gi, '')
     });
 }
 
 // Handler for POST /api/servers/:id/save
 async function handleSaveWorld(req, res, serverId) {
     console.log('Saving world for server:', serverId);
-    
-    const getStackQuery = `
-        query GetStack($id: ID!) {
-            stack(id: $id) {
-                id
-                name
-                labels
-            }
-        }
-    `;
+    const audit = beginAudit(req, 'server.save', { stackIds: [serverId] });
 
-    const stackResult = await spaceliftQuery(getStackQuery, { id: serverId });
-    
-    if (!stackResult.stack || !stackResult.stack.labels || !stackResult.stack.labels.includes('minesible')) {
-        return res.status(404).json({
-            success: false,
-            error: 'Server not found'
-        });
+    const server = await getServerStacks(serverId);
+    audit.update({ server: server.serverKey });
+
+    if (!server.ansible) {
+        throw new NotFoundError(`Ansible stack not found for server ${server.serverKey || serverId}`);
     }
 
-    // Extract the random string from the stack name to find the corresponding Ansible stack
-    const randomString = stackResult.stack.name.split('-').pop();
-    const ansibleStackName = `Minesible-Ansible-Blueprint-${randomString}`;
+    // Every save gets its own timestamped key under the server's prefix
+    const backupKey = newBackupKey(server.serverKey);
+    console.log('Saving world to:', backupKey);
 
-    console.log('Looking for Ansible stack:', ansibleStackName);
+    const task = await triggerTask(server.ansible.id, saveWorldCommand(backupKey));
 
-    const getAllStacksQuery = `
-        query GetAllStacks {
-            stacks {
-                id
-                name
-                labels
-            }
-        }
-    `;
+    await audit.success({
+        stackIds: [serverId, server.ansible.id],
+        details: { backupKey, taskId: task.id }
+    });
 
-    const allStacksResult = await spaceliftQuery(getAllStacksQuery);
-    const ansibleStack = allStacksResult.stacks.find(stack => 
-        stack.name === ansibleStackName && 
-        stack.labels && 
-        stack.labels.includes('minesible')
-    );
+    // Announces how the save went; the save itself doesn't depend on it
+    await startSaveTracking({
+        stackId: serverId,
+        serverKey: server.serverKey,
+        ansibleId: server.ansible.id,
+        taskId: task.id,
+        backupKey
+    }).catch(error => console.error('Failed to start tracking the save:', error.message));
 
-    if (!ansibleStack) {
-        return res.status(404).json({
-            success: false,
-            error: `Ansible stack not found: ${ansibleStackName}`
-        });
+    return res.json({
+        success: true,
+        taskId: task.id,
+        backupKey,
+        bucket: server.outputs.s3_bucket || null,
+        message: 'World save task triggered successfully'
+    });
+}
+
+// Handler for POST /api/servers/:id/restore
+async function handleRestoreWorld(req, res, serverId) {
+    const body = parseBody(req);
+    const { backupKey } = body;
+    // Back up the current world first unless explicitly told not to
+    const saveFirst = body.saveFirst !== false;
+
+    if (!isValidBackupKey(backupKey)) {
+        throw new ValidationError(`Invalid backup key: ${backupKey}`);
     }
 
-    const triggerTaskMutation = `
-        mutation TriggerTask($stackId: ID!, $command: String!) {
-            taskTrigger(
-                stack: $stackId,
-                command: $command
-            ) {
-                id
-                state
-            }
-        }
-    `;
+    console.log('Restoring world for server:', serverId, 'from', backupKey);
+    const audit = beginAudit(req, 'server.restore', { stackIds: [serverId], inputs: { backupKey, saveFirst } });
+
+    const server = await getServerStacks(serverId);
+    audit.update({ server: server.serverKey });
+
+    if (!server.ansible) {
+        throw new NotFoundError(`Ansible stack not found for server ${server.serverKey || serverId}`);
+    }
+    if (server.ansible.state !== 'FINISHED') {
+        throw new ConflictError(`Server is not ready to restore (Ansible stack is ${server.ansible.state})`);
+    }
+
+    const bucket = server.outputs.s3_bucket || DEFAULT_BACKUP_BUCKET;
+    if (!await backupExists(bucket, backupKey)) {
+        throw new NotFoundError(`Backup ${backupKey} not found in bucket ${bucket}`);
+    }
 
-    const taskResult = await spaceliftQuery(triggerTaskMutation, {
-        stackId: ansibleStack.id,
-        command: 'ansible-playbook save-world.yml'
+    const saveFirstKey = saveFirst ? newBackupKey(server.serverKey) : null;
+    const task = await triggerTask(server.ansible.id, restoreWorldCommand(backupKey, saveFirstKey));
+
+    console.log('Restore task triggered:', task.id);
+    await audit.success({
+        stackIds: [serverId, server.ansible.id],
+        details: { taskId: task.id, savedTo: saveFirstKey }
     });
 
     return res.json({
         success: true,
-        taskId: taskResult.taskTrigger.id,
-        message: 'World save task triggered successfully'
+        taskId: task.id,
+        backupKey,
+        savedTo: saveFirstKey,
+        message: 'World restore task triggered successfully'
+    });
+}
+
+// Handler for GET /api/servers/:id/tasks/:taskId
+async function handleTaskStatus(req, res, serverId) {
+    const match = req.url.match(/\/tasks\/([^/?]+)/);
+    const taskId = (req.query && req.query.taskId) || (match && decodeURIComponent(match[1]));
+
+    if (!taskId) {
+        throw new ValidationError('A task id is required');
+    }
+
+    // Save and restore tasks run on the server's Ansible stack
+    const server = await getServerStacks(serverId);
+    if (!server.ansible) {
+        throw new NotFoundError(`Ansible stack not found for server ${server.serverKey || serverId}`);
+    }
+
+    // ?wait=true holds the request until the task finishes (or ~20s pass)
+    const wait = req.query && req.query.wait === 'true';
+    const task = wait
+        ? await waitForTask(server.ansible.id, taskId, { timeoutMs: TASK_WAIT_MS })
+        : await getTaskStatus(server.ansible.id, taskId);
+
+    return res.json({
+        success: true,
+        stackId: server.ansible.id,
+        task
     });
 }
 
-// Handler for GET /api/servers/:id/spacelift-logs
+// Handler for GET /api/servers/:id/backups
+async function handleListServerBackups(req, res, serverId) {
+    const server = await getServerStacks(serverId);
+    const bucket = server.outputs.s3_bucket || DEFAULT_BACKUP_BUCKET;
+
+    if (!server.serverKey) {
+        throw new ValidationError('Backups are only available for blueprint servers');
+    }
+
+    // ?all=true lists every backup in the bucket, e.g. to restore another server's world
+    const all = req.query && req.query.all === 'true';
+    const backups = await listBackups(bucket, all ? null : server.serverKey);
+
+    return res.json({
+        success: true,
+        server: server.serverKey,
+        bucket,
+        backups
+    });
+}
+
+// Handler for GET /api/servers/:id/spacelift-logs - the stack's runs, or
+// with ?runId= that run's phase logs since ?cursor= (lib/run-logs.js)
 async function handleSpaceliftLogs(req, res, stackId) {
-    console.log('Getting Spacelift logs for stack:', stackId);
-    
-    const formatDate = (dateValue) => {
-        if (!dateValue) return 'Unknown';
-        
-        let date;
-        if (typeof dateValue === 'number') {
-            date = new Date(dateValue > 1000000000000 ? dateValue : dateValue * 1000);
-        } else {
-            date = new Date(dateValue);
-        }
-        
-        if (isNaN(date.getTime()) || date.getFullYear() < 2020) {
-            return 'Invalid date';
-        }
-        
-        return date.toLocaleString();
-    };
-
-    const getStackWithRunsQuery = `
-        query GetStackWithRuns($stackId: ID!) {
-            stack(id: $stackId) {
-                id
-                name
-                state
-                createdAt
-                runs {
-                    id
-                    type
-                    state
-                    createdAt
-                    finished
-                    branch
-                    triggeredBy
-                }
-            }
-        }
-    `;
+    console.log('Getting Spacelift logs for stack:', stackId, req.query.runId ? `run ${req.query.runId}` : '');
 
-    let stackResult;
-    try {
-        stackResult = await spaceliftQuery(getStackWithRunsQuery, { stackId });
-    } catch (runsError) {
-        console.log('Failed to get runs, trying basic stack info:', runsError.message);
-        
-        // Fallback to basic stack info
-        const basicStackQuery = `
-            query GetBasicStack($id: ID!) {
-                stack(id: $id) {
-                    id
-                    name
-                    state
-                    createdAt
-                }
-            }
-        `;
-        
-        try {
-            stackResult = await spaceliftQuery(basicStackQuery, { id: stackId });
-        } catch (basicError) {
-            return res.status(500).json({
-                success: false,
-                error: `Failed to fetch stack information: ${basicError.message}`
+    return res.json({
+        success: true,
+        ...await spaceliftLogsResponse(stackId, req.query)
+    });
+}
+
+// Handler for POST /api/servers/:id/stop and /start
+// Like deletion these take minutes, so they run as background jobs; poll
+// GET /api/jobs/:jobId.
+async function handlePowerAction(req, res, serverId, action) {
+    const body = parseBody(req);
+    // Stopping saves the world unless told not to
+    const saveWorld = action === 'stop' ? body.saveWorld !== false : undefined;
+
+    console.log(`=== ${action.toUpperCase()} SERVER ===`, serverId);
+    const audit = beginAudit(req, `server.${action}`, {
+        stackIds: [serverId],
+        inputs: action === 'stop' ? { saveWorld } : null
+    });
+
+    const job = await startPowerJob(action, serverId, {
+        saveWorld,
+        requestedBy: req.user ? { username: req.user.username, role: req.user.role } : null
+    });
+
+    // The job records the outcome when it finishes
+    await audit.success({ details: { jobId: job.id } }, 'started');
+
+    return res.status(202).json({
+        success: true,
+        jobId: job.id,
+        job,
+        message: action === 'stop' ? 'Server stop started' : 'Server start started'
+    });
+}
+
+// Handler for PATCH /api/servers/:id ({ "instanceType": "t3.large", "saveWorld": true })
+async function handleResizeServer(req, res, serverId) {
+    const body = parseBody(req);
+    const saveWorld = body.saveWorld !== false;
+
+    console.log('=== RESIZE SERVER ===', serverId);
+    const server = await getServerStacks(serverId);
+    const stackIds = serverStackIds(server);
+    const audit = beginAudit(req, 'server.resize', {
+        server: server.serverKey,
+        stackIds,
+        inputs: { instanceType: body.instanceType, saveWorld }
+    });
+
+    if (!server.opentofu) {
+        throw new ConflictError('Server has no OpenTofu stack to resize');
+    }
+    // A stopped instance would be started by the change - start it first
+    if (server.outputs.instance_state === 'stopped') {
+        throw new ConflictError('Start the server before resizing it');
+    }
+
+    const instanceType = await validateBlueprintValue('instance_type', body.instanceType);
+    const previousInstanceType = server.outputs.instance_type || null;
+    if (instanceType === previousInstanceType) {
+        throw new ValidationError(`Server is already a ${instanceType}`);
+    }
+
+    // Minecraft gets the heap recommended for the new type, or the one chosen
+    // on deploy while it still fits
+    const record = await resolveServerRecord(server);
+    const jvm = resolveJvmSettings(instanceType, record && record.jvm);
+    console.log(`JVM heap after resize: ${jvm.heapMb} MiB${jvm.recommended ? ' (recommended)' : ''}`);
+
+    const job = await startResizeJob(server.opentofu.id, instanceType, {
+        saveWorld,
+        jvm,
+        previousInstanceType,
+        requestedBy: req.user ? { username: req.user.username, role: req.user.role } : null
+    });
+
+    // The job records the outcome when it finishes
+    await audit.success({ details: { jobId: job.id, previousInstanceType, heapMb: jvm.heapMb } }, 'started');
+
+    return res.status(202).json({
+        success: true,
+        jobId: job.id,
+        job,
+        heapMb: jvm.heapMb,
+        message: `Resize from ${previousInstanceType || 'unknown'} to ${instanceType} started`
+    });
+}
+
+// Handler for POST /api/servers/:id/upgrade ({ "version": "1.21.10", "force": false })
+async function handleUpgradeServer(req, res, serverId) {
+    const body = parseBody(req);
+    const force = body.force === true;
+
+    console.log('=== UPGRADE SERVER ===', serverId, body.version);
+    const server = await getServerStacks(serverId);
+    const stackIds = serverStackIds(server);
+    const audit = beginAudit(req, 'server.upgrade', {
+        server: server.serverKey,
+        stackIds,
+        inputs: { version: body.version || null, force }
+    });
+
+    if (!server.ansible) {
+        throw new ConflictError('Server has no Ansible stack to upgrade');
+    }
+    if (server.outputs.instance_state === 'stopped') {
+        throw new ConflictError('Start the server before upgrading it');
+    }
+    if (!body.version) {
+        throw new ValidationError('Give the Minecraft version to upgrade to');
+    }
+
+    let record = await resolveServerRecord(server);
+    if (!record) {
+        record = await createServerRecord(stackIds, {});
+    }
+    // Upgrades keep the flavor - its plugins or mods are still on the disk
+    const flavor = record.flavor || DEFAULT_FLAVOR;
+    const target = await resolveServerInstall(flavor, body.version);
+
+    // What the server runs now: the version it was deployed or upgraded to,
+    // else (playbook default) whatever it says it is
+    let currentVersion = record.minecraftVersion || null;
+    if (!currentVersion && server.outputs.ec2_ip) {
+        const status = await pingServer(server.outputs.ec2_ip, DEFAULT_PORT);
+        currentVersion = status.online && status.version ? reportedVersion(status.version.name) : null;
+    }
+    // A rollback needs the current jar, recorded now. Records from before
+    // serverInstall was kept resolve it from their version. Without a recorded
+    // version (playbook default) there is nothing to roll back to.
+    let previousInputs = record.serverInstall || null;
+    if (!previousInputs && record.minecraftVersion) {
+        previousInputs = serverInstallInputValues(await resolveServerInstall(flavor, record.minecraftVersion));
+    }
+
+    if (currentVersion === target.minecraftVersion) {
+        throw new ValidationError(`Server already runs Minecraft ${target.minecraftVersion}`);
+    }
+    // Worlds saved by a newer version don't load in an older one. When the
+    // current version is unknown (offline, or not in Mojang's manifest) this
+    // could be a downgrade just as well.
+    const comparison = currentVersion ? await compareVersions(target.minecraftVersion, currentVersion) : null;
+    if (comparison === null || comparison < 0) {
+        if (!force) {
+            const reason = comparison === null
+                ? `Can't tell whether ${target.minecraftVersion} is newer than what the server runs (${currentVersion || 'unknown'})`
+                : `${target.minecraftVersion} is older than ${currentVersion}`;
+            throw new ConflictError(`${reason} - worlds can't be downgraded safely. Pass "force": true to do it anyway.`, {
+                currentVersion,
+                version: target.minecraftVersion
             });
         }
+        if (!roleAllows(req.user.role, 'admin')) {
+            throw new ForbiddenError('Only admins can force an upgrade past the downgrade check');
+        }
+        console.warn(`Forced ${comparison === null ? 'unchecked upgrade' : 'downgrade'} of ${server.serverKey || serverId} from ${currentVersion || 'unknown'} to ${target.minecraftVersion}`);
     }
-    
-    if (!stackResult.stack) {
-        return res.status(404).json({
-            success: false,
-            error: 'Stack not found'
-        });
+    console.log(`Upgrading to ${describeInstall(target)}:`, target.server.url);
+
+    // Run from the OpenTofu stack, like the other jobs that restart the server
+    const targetStackId = server.opentofu ? server.opentofu.id : server.ansible.id;
+    const job = await startUpgradeJob(targetStackId, {
+        recordId: record.id,
+        flavor,
+        version: target.minecraftVersion,
+        inputs: serverInstallInputValues(target),
+        previousVersion: record.minecraftVersion || null,
+        previousInputs,
+        force
+    }, {
+        requestedBy: req.user ? { username: req.user.username, role: req.user.role } : null
+    });
+
+    const rollbackAvailable = Boolean(previousInputs);
+    if (!rollbackAvailable) {
+        console.warn(`No recorded version for ${server.serverKey || serverId} - this upgrade can't be rolled back`);
     }
 
-    const stack = stackResult.stack;
-    const runs = stack.runs || [];
-    const latestRun = runs[0];
-    
-    console.log('Stack found:', stack.name, 'State:', stack.state);
-    console.log('Found runs:', runs.length);
-
-    let logInfo = `=== STACK INFORMATION ===
-Stack Name: ${stack.name}
-Stack ID: ${stack.id}
-Current State: ${stack.state}
-Created: ${formatDate(stack.createdAt)}
-
-`;
-
-    if (latestRun) {
-        logInfo += `=== LATEST RUN ===
-Run ID: ${latestRun.id}
-Type: ${latestRun.type}
-State: ${latestRun.state}
-Branch: ${latestRun.branch || 'N/A'}
-Triggered By: ${latestRun.triggeredBy || 'Unknown'}
-Started: ${formatDate(latestRun.createdAt)}
-${latestRun.finished ? `Finished: ${formatDate(latestRun.finished)}` : 'Still running...'}
-
-`;
-    }
-
-    if (runs.length > 1) {
-        logInfo += `=== RECENT RUNS ===
-`;
-        runs.slice(1, 6).forEach((run, index) => {
-            logInfo += `${index + 2}. ${run.type} - ${run.state} - ${formatDate(run.createdAt)}
-`;
-        });
-        logInfo += `
-`;
-    } else if (runs.length === 0) {
-        logInfo += `=== RUN HISTORY ===
-No run history available through API.
+    // The job records the outcome when it finishes
+    await audit.success({ details: { jobId: job.id, currentVersion, downgrade: comparison !== null && comparison < 0, unchecked: comparison === null, rollbackAvailable } }, 'started');
+
+    return res.status(202).json({
+        success: true,
+        jobId: job.id,
+        job,
+        rollbackAvailable,
+        message: `Upgrade from ${currentVersion || 'unknown'} to ${describeInstall(target)} started`
+            + (rollbackAvailable ? '' : ' - the previous version was never recorded, so it can\'t be rolled back')
+    });
+}
 
-`;
+// Handler for POST /api/servers/:id/upgrade/rollback ({ "jobId": "<upgrade job>" })
+async function handleRollbackUpgrade(req, res, serverId) {
+    const body = parseBody(req);
+
+    console.log('=== ROLL BACK UPGRADE ===', serverId, body.jobId);
+    const server = await getServerStacks(serverId);
+    const stackIds = serverStackIds(server);
+    const audit = beginAudit(req, 'server.upgrade-rollback', {
+        server: server.serverKey,
+        stackIds,
+        inputs: { jobId: body.jobId || null }
+    });
+
+    if (!body.jobId) {
+        throw new ValidationError('Give the jobId of the upgrade to roll back');
+    }
+    const upgrade = await getJob(body.jobId);
+    if (upgrade.type !== 'upgrade-server' || !stackIds.includes(upgrade.params.stackId)) {
+        throw new NotFoundError(`No upgrade ${body.jobId} for this server`);
+    }
+    if (!isTerminal(upgrade)) {
+        throw new ConflictError('The upgrade is still running');
+    }
+    const backupKey = upgrade.data && upgrade.data.backupKey;
+    if (!backupKey) {
+        throw new ConflictError('The upgrade never got as far as its backup - nothing to roll back');
     }
+    // Without them the playbook would install its default jar, not what the server ran
+    const { previousVersion, previousInputs } = upgrade.params;
+    if (!previousVersion || !previousInputs || !previousInputs.server_jar_url) {
+        throw new ConflictError(`The version the server ran before the upgrade was not recorded - restore ${backupKey} and upgrade to the right version instead`, { backupKey });
+    }
+
+    const job = await startRollbackJob(upgrade.params.stackId, {
+        recordId: upgrade.params.recordId || null,
+        upgradeJobId: upgrade.id,
+        backupKey,
+        flavor: upgrade.params.flavor || DEFAULT_FLAVOR,
+        version: previousVersion,
+        inputs: previousInputs
+    }, {
+        requestedBy: req.user ? { username: req.user.username, role: req.user.role } : null
+    });
+
+    await audit.success({ details: { jobId: job.id, backupKey, version: previousVersion } }, 'started');
+
+    return res.status(202).json({
+        success: true,
+        jobId: job.id,
+        job,
+        message: `Rolling back to ${previousVersion} and ${backupKey}`
+    });
+}
+
+// Handler for PUT /api/servers/:id/idle-policy ({ "action": "stop", "idleMinutes": 30 })
+async function handleUpdateIdlePolicy(req, res, serverId) {
+    const body = parseBody(req);
+    const server = await getServerStacks(serverId);
+    const stackIds = serverStackIds(server);
+    const audit = beginAudit(req, 'server.idle-policy', { server: server.serverKey, stackIds, inputs: body });
 
-    logInfo += `=== DETAILED LOGS ===
-For complete execution logs with real-time updates, visit:
-https://spacelift-solutions.app.spacelift.io/stack/${stackId}
+    let record = await resolveServerRecord(server);
 
-=== API LIMITATIONS ===
-The Spacelift GraphQL API has limited log access. For full logs:
-1. Click the link above to view in Spacelift UI
-2. Use the Spacelift CLI: 'spacelift stack logs ${stackId}'
-3. Check the Functions tab in Spacelift for real-time updates`;
+    const previous = (record && record.idlePolicy) || defaultIdlePolicy();
+    const policy = normalizeIdlePolicy(body, previous);
+
+    // Idling out by deletion destroys the server, which only admins may do
+    if (policy.action === 'delete' && previous.action !== 'delete' && !roleAllows(req.user.role, 'admin')) {
+        throw new ForbiddenError('Only admins can have a server deleted when idle');
+    }
+
+    record = record
+        ? await updateServerRecord(record.id, { idlePolicy: policy })
+        : await createServerRecord(stackIds, { idlePolicy: policy });
+    console.log(`Idle policy for ${server.serverKey || serverId}: ${policy.action} after ${policy.idleMinutes} minutes`);
+
+    await audit.success({ inputs: policy, details: { previous } });
 
     return res.json({
         success: true,
-        logs: logInfo,
-        stackName: stack.name,
-        runCount: runs.length,
-        latestRun: latestRun ? {
-            id: latestRun.id,
-            type: latestRun.type,
-            state: latestRun.state,
-            createdAt: latestRun.createdAt,
-            finished: latestRun.finished
-        } : null,
-        note: 'Complete execution logs available in Spacelift UI',
-        spaceliftUrl: `https://spacelift-solutions.app.spacelift.io/stack/${stackId}`
+        idle: idleStatus(record)
     });
 }
 
-// Handler for DELETE /api/servers/:id
-async function handleDeleteServer(req, res, serverId) {
-    console.log('=== STARTING SERVER DELETION ===');
-    console.log('Server ID:', serverId);
-    
-    // Parse request body for saveWorld option
-    let body = {};
-    if (req.body) {
-        body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+// Handler for POST /api/servers/:id/extend ({ "hours": 2 } or { "expiresAt": "..." })
+async function handleExtendExpiry(req, res, serverId) {
+    const body = parseBody(req);
+    const server = await getServerStacks(serverId);
+    const stackIds = serverStackIds(server);
+    const audit = beginAudit(req, 'server.extend', { server: server.serverKey, stackIds, inputs: body });
+
+    let record = await resolveServerRecord(server);
+    if (!record || !record.expiresAt) {
+        throw new ConflictError('This server has no expiry to extend');
     }
-    const { saveWorld } = body;
-    
-    console.log('Save world first:', saveWorld);
 
-    const destroyStackMutation = `
-        mutation DeleteStack($id: ID!, $destroyResources: Boolean) {
-            stackDelete(id: $id, destroyResources: $destroyResources) {
-                id
-            }
+    // Too late once the scheduler has started deleting it
+    if (record.expiry && record.expiry.jobId) {
+        const job = await getJob(record.expiry.jobId).catch(() => null);
+        if (job && !isTerminal(job)) {
+            throw new ConflictError('The server has expired and is being deleted', { jobId: job.id });
         }
-    `;
-    
-    const destroyResults = [];
-    let saveMessage = '';
-    const statusUpdates = [];
-
-    // Helper function to add status update
-    function addStatusUpdate(message, type = 'info') {
-        const update = {
-            timestamp: new Date().toISOString(),
-            message,
-            type
-        };
-        statusUpdates.push(update);
-        console.log(`[${type.toUpperCase()}] ${message}`);
-    }
-
-    addStatusUpdate('Starting server deletion process...', 'info');
-
-    const getStackQuery = `
-        query GetStack($id: ID!) {
-            stack(id: $id) {
-                id
-                name
-                labels
-                state
-            }
+    }
+
+    const previous = record.expiresAt;
+    const expiresAt = extendExpiry(previous, body);
+    record = await updateServerRecord(record.id, { expiresAt, expiry: null });
+    console.log(`Expiry for ${server.serverKey || serverId} extended from ${previous} to ${expiresAt}`);
+
+    await audit.success({ details: { previous, expiresAt } });
+
+    return res.json({
+        success: true,
+        expiry: expiryStatus(record)
+    });
+}
+
+// The server's stacks and record, for the notification handlers
+async function resolveNotificationTarget(serverId) {
+    const server = await getServerStacks(serverId);
+    const stackIds = serverStackIds(server);
+    const record = await resolveServerRecord(server);
+    return { server, stackIds, record };
+}
+
+// Handler for PUT /api/servers/:id/notifications ({ "webhookUrls": [...], "events": [...] })
+async function handleUpdateNotifications(req, res, serverId) {
+    const body = parseBody(req);
+    const { server, stackIds, record: existing } = await resolveNotificationTarget(serverId);
+    const audit = beginAudit(req, 'server.notifications', { server: server.serverKey, stackIds, inputs: body });
+
+    const previous = (existing && existing.notifications) || null;
+    const notifications = normalizeNotificationSettings(body, previous);
+
+    const record = existing
+        ? await updateServerRecord(existing.id, { notifications })
+        : await createServerRecord(stackIds, { notifications });
+    console.log(`Notifications for ${server.serverKey || serverId}: ${notifications.webhookUrls.length} webhook(s)`);
+
+    await audit.success({
+        inputs: { events: notifications.events, count: notifications.webhookUrls.length },
+        details: { previous: previous ? { events: previous.events, count: previous.webhookUrls.length } : null }
+    });
+
+    return res.json({
+        success: true,
+        notifications: notificationStatus(record.notifications)
+    });
+}
+
+// Handler for POST /api/servers/:id/notifications/test - the saved webhooks,
+// or { "webhookUrls": [...] } to try some before saving them
+async function handleTestNotifications(req, res, serverId) {
+    const body = parseBody(req);
+    const { server, record } = await resolveNotificationTarget(serverId);
+    const saved = (record && record.notifications) || null;
+
+    const urls = body.webhookUrls
+        ? normalizeNotificationSettings({ webhookUrls: body.webhookUrls }, saved).webhookUrls
+        : (saved ? saved.webhookUrls : []);
+    if (urls.length === 0) {
+        throw new ValidationError('This server has no webhooks of its own - add a Discord webhook URL first');
+    }
+
+    const results = await sendTestNotification(urls, {
+        user: req.user.username,
+        scope: `${server.serverKey || serverId} server`
+    });
+
+    return res.json({
+        success: true,
+        delivered: results.every(result => result.delivered),
+        results
+    });
+}
+
+// Schedules outlive a server torn down between sessions, so they are also
+// reachable by record id (srv-...). Returns { server, record, stackIds } -
+// server is null for a torn-down server.
+async function resolveScheduleTarget(serverId) {
+    if (serverId.startsWith('srv-')) {
+        const record = await getServerRecord(serverId);
+        if (!record) {
+            throw new NotFoundError('Server not found');
         }
-    `;
+        return { server: null, record, stackIds: record.stackIds || [] };
+    }
 
-    const stackResult = await spaceliftQuery(getStackQuery, { id: serverId });
-    
-    if (!stackResult.stack) {
-        return res.status(404).json({
-            success: false,
-            error: 'Stack not found',
-            statusUpdates
-        });
+    const server = await getServerStacks(serverId);
+    const stackIds = serverStackIds(server);
+    const record = await resolveServerRecord(server);
+    return { server, record, stackIds };
+}
+
+// Handler for PUT /api/servers/:id/schedule
+async function handleUpdateSchedule(req, res, serverId) {
+    const body = parseBody(req);
+    const target = await resolveScheduleTarget(serverId);
+    const { server, stackIds } = target;
+    let record = target.record;
+    const serverKey = server ? server.serverKey : (record.scheduleState && record.scheduleState.serverKey) || null;
+    const audit = beginAudit(req, 'server.schedule', { server: serverKey, stackIds, inputs: body });
+
+    const previous = record ? record.schedule || null : null;
+    const schedule = normalizeSchedule(body, record);
+
+    // Tearing down deletes the server, which only admins may do
+    const tearsDown = [schedule, previous].some(candidate => candidate && candidate.mode === 'teardown');
+    if (tearsDown && !roleAllows(req.user.role, 'admin')) {
+        throw new ForbiddenError('Only admins can set or change schedules that delete the server');
     }
 
-    if (!stackResult.stack.labels || !stackResult.stack.labels.includes('minesible')) {
-        return res.status(404).json({
-            success: false,
-            error: 'Server not found (not a minesible stack)',
-            statusUpdates
-        });
+    if (record) {
+        // Removing the schedule of a torn-down server leaves it deleted
+        const changes = { schedule };
+        if (!schedule) changes.scheduleState = null;
+        record = await updateServerRecord(record.id, changes);
+    } else if (schedule) {
+        record = await createServerRecord(stackIds, { schedule });
     }
+    console.log(`Schedule for ${serverKey || serverId}: ${schedule ? `${schedule.mode}, ${schedule.windows.length} window(s) in ${schedule.timezone}` : 'removed'}`);
 
-    addStatusUpdate(`Found stack: ${stackResult.stack.name} (${stackResult.stack.state})`, 'info');
+    await audit.success({
+        inputs: schedule ? { mode: schedule.mode, timezone: schedule.timezone, windows: schedule.windows } : { windows: [] },
+        details: { previous: previous ? { mode: previous.mode, timezone: previous.timezone, windows: previous.windows } : null }
+    });
 
-    // Handle direct stack deletion
-    if (stackResult.stack.name.includes('Opentofu') || stackResult.stack.name.includes('Ansible')) {
-        addStatusUpdate('Direct stack deletion detected', 'info');
-        
-        // If deleting OpenTofu stack, find and delete Ansible stack first
-        if (stackResult.stack.name.toLowerCase().includes('opentofu')) {
-            addStatusUpdate('OpenTofu stack deletion - checking for dependent stacks...', 'info');
-            
-            // Extract the blueprint identifier to find the corresponding Ansible stack
-            const blueprintMatch = stackResult.stack.name.match(/Blueprint-([A-Za-z0-9]+)$/);
-            if (blueprintMatch) {
-                const randomString = blueprintMatch[1];
-                const ansibleStackName = `Minesible-Ansible-Blueprint-${randomString}`;
-                
-                addStatusUpdate(`Looking for Ansible stack: ${ansibleStackName}`, 'info');
-                
-                // Find the Ansible stack
-                const getAllStacksQuery = `
-                    query GetAllStacks {
-                        stacks {
-                            id
-                            name
-                            labels
-                            state
-                        }
-                    }
-                `;
-
-                const allStacksResult = await spaceliftQuery(getAllStacksQuery);
-                const ansibleStack = allStacksResult.stacks.find(stack => 
-                    stack.name === ansibleStackName && 
-                    stack.labels && 
-                    stack.labels.includes('minesible')
-                );
-                
-                if (ansibleStack) {
-                    addStatusUpdate(`Found dependent Ansible stack: ${ansibleStack.name} (${ansibleStack.state})`, 'info');
-                    addStatusUpdate('Deleting Ansible stack first (dependency requirement)...', 'warning');
-                    
-                    try {
-                        const ansibleResult = await spaceliftQuery(destroyStackMutation, {
-                            id: ansibleStack.id,
-                            destroyResources: true
-                        });
-                        destroyResults.push({ 
-                            stack: 'ansible', 
-                            stackId: ansibleStack.id,
-                            deleted: true,
-                            result: ansibleResult.stackDelete
-                        });
-                        addStatusUpdate(`✅ Ansible stack deleted successfully: ${ansibleStack.name}`, 'success');
-                        
-                        // Wait a bit before deleting OpenTofu stack
-                        addStatusUpdate('Waiting 10 seconds before deleting OpenTofu stack...', 'info');
-                        await new Promise(resolve => setTimeout(resolve, 10000));
-                        
-                    } catch (ansibleError) {
-                        addStatusUpdate(`❌ Ansible stack deletion failed: ${ansibleError.message}`, 'error');
-                        destroyResults.push({ 
-                            stack: 'ansible', 
-                            stackId: ansibleStack.id,
-                            error: ansibleError.message 
-                        });
-                        addStatusUpdate('Continuing with OpenTofu deletion despite Ansible failure...', 'warning');
-                    }
-                } else {
-                    addStatusUpdate('No dependent Ansible stack found, proceeding with OpenTofu deletion', 'info');
-                }
-            }
-        } else {
-            addStatusUpdate('Ansible stack deletion - no dependencies to check', 'info');
+    return res.json({
+        success: true,
+        schedule: scheduleStatus(record)
+    });
+}
+
+// Handler for GET /api/servers/:id/schedule.ics?token=... - the token comes
+// with the feed URL shown on the card; logged-in viewers don't need it
+async function handleScheduleFeed(req, res, serverId) {
+    try {
+        const token = req.query && req.query.token;
+        if (!token && !await authorize(req, res, 'viewer')) {
+            return;
         }
-        
-        // Now delete the requested stack
-        const stackType = stackResult.stack.name.includes('Opentofu') ? 'OpenTofu' : 'Ansible';
-        addStatusUpdate(`Deleting ${stackType} stack: ${stackResult.stack.name}...`, 'info');
-        
-        try {
-            const directResult = await spaceliftQuery(destroyStackMutation, {
-                id: stackResult.stack.id,
-                destroyResources: true
-            });
-            destroyResults.push({ 
-                stack: stackResult.stack.name.includes('Opentofu') ? 'opentofu' : 'ansible', 
-                stackId: stackResult.stack.id,
-                deleted: true,
-                result: directResult.stackDelete
-            });
-            addStatusUpdate(`✅ ${stackType} stack deleted successfully: ${stackResult.stack.name}`, 'success');
-        } catch (error) {
-            addStatusUpdate(`❌ ${stackType} stack deletion failed: ${error.message}`, 'error');
-            destroyResults.push({ 
-                stack: stackResult.stack.name.includes('Opentofu') ? 'opentofu' : 'ansible', 
-                stackId: stackResult.stack.id,
-                error: error.message 
-            });
+
+        const { server, record } = await resolveScheduleTarget(serverId);
+        if (token && !feedTokenMatches(record, token)) {
+            throw new ForbiddenError('Invalid calendar token');
+        }
+        if (!record || !record.schedule) {
+            throw new NotFoundError('This server has no schedule');
         }
 
-        addStatusUpdate('Stack deletion process completed', 'success');
-        return res.json({
-            success: true,
-            message: 'Stack deletion completed.',
-            destroyResults,
-            statusUpdates,
-            worldSaved: false
-        });
+        const name = server
+            ? server.serverKey || server.stack.name
+            : (record.scheduleState && record.scheduleState.serverKey) || record.id;
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Content-Disposition', `inline; filename="minesible-${name}.ics"`);
+        res.setHeader('Cache-Control', 'no-cache');
+        return res.status(200).send(buildScheduleCalendar(record, name));
+
+    } catch (error) {
+        console.error('Schedule feed error:', error);
+        return sendError(res, error);
     }
+}
 
-    // If we reach here, handle server group deletion (less common case)
-    addStatusUpdate('Server group deletion not implemented in this route', 'warning');
-    
-    return res.json({
-        success: false,
-        error: 'Server group deletion should be handled through the main server list',
-        statusUpdates
+// Handler for DELETE /api/servers/:id
+// Deletion (optionally saving the world first) takes longer than a function
+// invocation, so it runs as a background job; poll GET /api/jobs/:jobId.
+async function handleDeleteServer(req, res, serverId) {
+    console.log('=== STARTING SERVER DELETION ===');
+    console.log('Server ID:', serverId);
+
+    const { saveWorld } = parseBody(req);
+
+    console.log('Save world first:', saveWorld);
+    const audit = beginAudit(req, 'server.delete', { stackIds: [serverId], inputs: { saveWorld: Boolean(saveWorld) } });
+
+    const job = await startDeleteServerJob(serverId, {
+        saveWorld,
+        requestedBy: req.user ? { username: req.user.username, role: req.user.role } : null
     });
-};
+
+    // The job records the outcome when it finishes
+    await audit.success({ details: { jobId: job.id } }, 'started');
+
+    return res.status(202).json({
+        success: true,
+        jobId: job.id,
+        job,
+        message: 'Server deletion started'
+    });
+}
@@ -0,0 +1,46 @@
+// api/servers/changes.js
+// GET /api/servers/changes?since=<cursor> - Server state changes Spacelift
+// reported since the cursor GET /api/servers returned. The page reloads its
+// list when there are any; the returned cursor is the next `since`.
+
+require('dotenv').config();
+const { sendError } = require('../../lib/errors');
+const { authorize } = require('../../lib/auth');
+const { applyCors } = require('../../lib/cors');
+const { listServerChanges } = require('../../lib/server-cache');
+
+module.exports = async (req, res) => {
+    applyCors(req, res, 'GET, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed. Use GET.'
+        });
+    }
+
+    if (!await authorize(req, res, 'viewer')) {
+        return;
+    }
+
+    try {
+        // Taken before reading, so nothing written meanwhile is skipped next time
+        const cursor = Date.now();
+        const since = Number(req.query && req.query.since) || 0;
+        const changes = await listServerChanges(since);
+
+        return res.json({
+            success: true,
+            changes,
+            cursor
+        });
+
+    } catch (error) {
+        console.error('Server changes error:', error);
+        return sendError(res, error);
+    }
+};
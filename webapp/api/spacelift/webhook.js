@@ -0,0 +1,65 @@
+// api/spacelift/webhook.js
+// POST /api/spacelift/webhook - Spacelift run state webhooks. Keeps the server
+// state cache (lib/server-cache.js) current. No login: the request must carry
+// Spacelift's X-Signature-256 for the body, keyed with SPACELIFT_WEBHOOK_SECRET.
+
+require('dotenv').config();
+const { ValidationError, UnauthenticatedError, sendError } = require('../../lib/errors');
+const { isCacheEnabled, verifySpaceliftSignature, applySpaceliftWebhook } = require('../../lib/server-cache');
+
+// The signature is over the exact bytes sent. The local Express server keeps
+// them as req.rawBody; a serverless function reads the stream itself.
+async function readRawBody(req) {
+    if (req.rawBody) {
+        return req.rawBody;
+    }
+    const chunks = [];
+    for await (const chunk of req) {
+        chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+module.exports = async (req, res) => {
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed. Use POST.'
+        });
+    }
+
+    try {
+        if (!isCacheEnabled()) {
+            return res.status(404).json({
+                success: false,
+                error: 'Spacelift webhooks are not set up (SPACELIFT_WEBHOOK_SECRET)'
+            });
+        }
+
+        const rawBody = await readRawBody(req);
+        if (!verifySpaceliftSignature(rawBody, req.headers['x-signature-256'])) {
+            throw new UnauthenticatedError('Invalid webhook signature');
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(rawBody.toString('utf8'));
+        } catch (parseError) {
+            throw new ValidationError('Webhook body is not JSON');
+        }
+
+        const result = await applySpaceliftWebhook(payload);
+        if (result.ignored) {
+            console.log(`Spacelift webhook ignored: ${result.ignored}`);
+        }
+
+        return res.json({
+            success: true,
+            ...result
+        });
+
+    } catch (error) {
+        console.error('Spacelift webhook error:', error.message);
+        return sendError(res, error);
+    }
+};
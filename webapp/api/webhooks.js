@@ -0,0 +1,68 @@
+// api/webhooks.js
+// GET  /api/webhooks - Webhook subscriptions (secrets left out)
+// POST /api/webhooks - Subscribe a URL ({ "url": "https://...", "events": [...], "description": "..." });
+//                      the response carries the signing secret, the only time it is shown
+
+require('dotenv').config();
+const {
+    WEBHOOK_EVENTS,
+    displayUrl,
+    publicSubscription,
+    listSubscriptions,
+    createSubscription
+} = require('../lib/webhooks');
+const { sendError } = require('../lib/errors');
+const { parseBody } = require('../lib/request');
+const { authorize } = require('../lib/auth');
+const { applyCors } = require('../lib/cors');
+const { beginAudit, recordAuditFailure } = require('../lib/audit');
+
+module.exports = async (req, res) => {
+    applyCors(req, res, 'GET, POST, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({
+            success: false,
+            error: 'Method not allowed. Use GET or POST.'
+        });
+    }
+
+    if (!await authorize(req, res, 'admin')) {
+        return;
+    }
+
+    try {
+        if (req.method === 'GET') {
+            const subscriptions = await listSubscriptions();
+            return res.json({
+                success: true,
+                webhooks: subscriptions.map(publicSubscription),
+                events: WEBHOOK_EVENTS
+            });
+        }
+
+        const body = parseBody(req);
+        const audit = beginAudit(req, 'webhook.create', {
+            inputs: { url: body.url ? displayUrl(body.url) : null, events: body.events, description: body.description }
+        });
+
+        const subscription = await createSubscription(body, req.user.username);
+        await audit.success({ details: { id: subscription.id, events: subscription.events } });
+
+        return res.status(201).json({
+            success: true,
+            webhook: publicSubscription(subscription),
+            secret: subscription.secret,
+            message: 'Keep the secret - it is not shown again'
+        });
+
+    } catch (error) {
+        console.error('Webhooks error:', error);
+        await recordAuditFailure(req, error);
+        return sendError(res, error);
+    }
+};
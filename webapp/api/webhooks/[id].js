@@ -0,0 +1,133 @@
+// api/webhooks/[id].js
+// GET    /api/webhooks/:id                                 - A subscription (secret left out)
+// PUT    /api/webhooks/:id                                 - Change it ({ url, events, description, active };
+//                                                             { "rotateSecret": true } returns a new secret)
+// DELETE /api/webhooks/:id                                 - Remove it and its delivery log
+// GET    /api/webhooks/:id/deliveries?limit=               - Delivery log, newest first
+// POST   /api/webhooks/:id/deliveries/:deliveryId/replay   - Send a delivery's event again
+
+require('dotenv').config();
+const {
+    displayUrl,
+    publicSubscription,
+    getSubscription,
+    updateSubscription,
+    deleteSubscription,
+    listDeliveries,
+    getDelivery,
+    replayDelivery
+} = require('../../lib/webhooks');
+const { NotFoundError, sendError } = require('../../lib/errors');
+const { parseBody } = require('../../lib/request');
+const { authorize } = require('../../lib/auth');
+const { applyCors } = require('../../lib/cors');
+const { beginAudit, recordAuditFailure } = require('../../lib/audit');
+
+module.exports = async (req, res) => {
+    applyCors(req, res, 'GET, POST, PUT, DELETE, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+        return res.status(200).end();
+    }
+
+    if (!await authorize(req, res, 'admin')) {
+        return;
+    }
+
+    const { id: subscriptionId } = req.query;
+
+    try {
+        if (req.method === 'GET' && req.url && req.url.includes('/deliveries')) {
+            await getSubscription(subscriptionId);
+            const limit = Math.min(Number(req.query && req.query.limit) || 50, 100);
+            return res.json({
+                success: true,
+                deliveries: await listDeliveries(subscriptionId, limit)
+            });
+        }
+
+        if (req.method === 'GET') {
+            return res.json({
+                success: true,
+                webhook: publicSubscription(await getSubscription(subscriptionId))
+            });
+        }
+
+        if (req.method === 'POST' && req.url && req.url.includes('/replay')) {
+            return await handleReplay(req, res, subscriptionId);
+        }
+
+        if (req.method === 'PUT') {
+            return await handleUpdate(req, res, subscriptionId);
+        }
+
+        if (req.method === 'DELETE') {
+            const audit = beginAudit(req, 'webhook.delete', { details: { id: subscriptionId } });
+            const subscription = await deleteSubscription(subscriptionId);
+            await audit.success({ inputs: { url: displayUrl(subscription.url) } });
+            return res.json({
+                success: true,
+                message: `Webhook ${subscriptionId} deleted`
+            });
+        }
+
+        return res.status(405).json({
+            success: false,
+            error: `Method ${req.method} not allowed for this endpoint`
+        });
+
+    } catch (error) {
+        console.error('Webhook route error:', error);
+        await recordAuditFailure(req, error);
+        return sendError(res, error);
+    }
+};
+
+// Handler for PUT /api/webhooks/:id
+async function handleUpdate(req, res, subscriptionId) {
+    const body = parseBody(req);
+    const audit = beginAudit(req, 'webhook.update', {
+        inputs: {
+            url: body.url ? displayUrl(body.url) : undefined,
+            events: body.events,
+            description: body.description,
+            active: body.active,
+            rotateSecret: Boolean(body.rotateSecret)
+        },
+        details: { id: subscriptionId }
+    });
+
+    const subscription = await updateSubscription(subscriptionId, body);
+    await audit.success();
+
+    return res.json({
+        success: true,
+        webhook: publicSubscription(subscription),
+        // Only when it was replaced
+        secret: body.rotateSecret ? subscription.secret : undefined
+    });
+}
+
+// Handler for POST /api/webhooks/:id/deliveries/:deliveryId/replay
+async function handleReplay(req, res, subscriptionId) {
+    const match = req.url.match(/\/deliveries\/([^/?]+)\/replay/);
+    const deliveryId = (req.query && req.query.deliveryId) || (match && decodeURIComponent(match[1]));
+
+    const original = await getDelivery(deliveryId);
+    if (original.subscriptionId !== subscriptionId) {
+        throw new NotFoundError(`Delivery ${deliveryId} is not one of webhook ${subscriptionId}'s`);
+    }
+    const audit = beginAudit(req, 'webhook.replay', {
+        inputs: { deliveryId, event: original.event.type },
+        details: { id: subscriptionId }
+    });
+
+    const delivery = await replayDelivery(deliveryId, req.user.username);
+    await audit.success({ details: { id: subscriptionId, replayedAs: delivery.id } });
+
+    return res.status(202).json({
+        success: true,
+        delivery,
+        message: `Replaying ${original.event.type} as ${delivery.id}`
+    });
+}
@@ -0,0 +1,168 @@
+// webapp/lib/audit.js
+// Durable record of every action that changes something: who did it, to
+// which server and stacks, with which inputs and how it turned out.
+//
+// Handlers call beginAudit() once they know what they are about to do, then
+// either entry.success(...) or - from their catch block - recordAuditFailure().
+// Writing an entry never throws; a lost audit line must not fail the action.
+
+const crypto = require('crypto');
+const { putDocument, listDocuments } = require('./store');
+
+const COLLECTION = 'audit';
+
+const ACTIONS = [
+    'auth.login',
+    'auth.logout',
+    'server.deploy',
+    'server.save',
+    'server.restore',
+    'server.rcon',
+    'server.stop',
+    'server.start',
+    'server.resize',
+    'server.upgrade',
+    'server.upgrade-rollback',
+    'server.idle-policy',
+    'server.extend',
+    'server.schedule',
+    'server.notifications',
+    'server.delete',
+    'server.force-delete',
+    'server.label-migration',
+    'notifications.update',
+    'webhook.create',
+    'webhook.update',
+    'webhook.delete',
+    'webhook.replay'
+];
+
+// Input names that never reach the log, whatever the caller passes
+const SECRET_PATTERN = /password|secret|token|nonce|webhook/i;
+
+function redact(value, key = '') {
+    if (SECRET_PATTERN.test(key)) {
+        return '***';
+    }
+    if (Array.isArray(value)) {
+        // Template inputs come as [{ id, value }] pairs
+        return value.map(item => (item && typeof item === 'object' && 'id' in item && 'value' in item)
+            ? { id: item.id, value: redact(item.value, item.id) }
+            : redact(item));
+    }
+    if (value && typeof value === 'object') {
+        return Object.keys(value).reduce((copy, name) => {
+            copy[name] = redact(value[name], name);
+            return copy;
+        }, {});
+    }
+    return value;
+}
+
+function clientIp(req) {
+    const forwarded = req.headers && req.headers['x-forwarded-for'];
+    if (forwarded) {
+        return forwarded.split(',')[0].trim();
+    }
+    return (req.socket && req.socket.remoteAddress) || null;
+}
+
+async function writeAuditEntry(entry) {
+    // Ids start with the time so they sort in order
+    const now = new Date();
+    const doc = {
+        id: `aud-${now.getTime().toString(36)}-${crypto.randomBytes(4).toString('hex')}`,
+        timestamp: now.toISOString(),
+        user: null,
+        role: null,
+        action: null,
+        server: null,
+        stackIds: [],
+        inputs: null,
+        result: 'success',
+        error: null,
+        details: null,
+        ip: null,
+        ...entry
+    };
+    doc.inputs = doc.inputs ? redact(doc.inputs) : null;
+    doc.details = doc.details ? redact(doc.details) : null;
+
+    try {
+        await putDocument(COLLECTION, doc.id, doc);
+        console.log(`Audit: ${doc.user || 'anonymous'} ${doc.action} ${doc.server || doc.stackIds.join(',') || '-'} -> ${doc.result}`);
+    } catch (error) {
+        console.error('Failed to write audit entry:', error.message, JSON.stringify(doc));
+    }
+    return doc;
+}
+
+// Record an action taken in a request. The user comes from req.user (set by
+// authorize), unless the entry names one itself (login).
+async function recordAudit(req, entry) {
+    return writeAuditEntry({
+        user: req.user ? req.user.username : null,
+        role: req.user ? req.user.role : null,
+        ip: clientIp(req),
+        ...entry
+    });
+}
+
+// Remember what the request is about to do, so a failure anywhere after this
+// point is recorded with the same details
+function beginAudit(req, action, fields = {}) {
+    const pending = { action, ...fields };
+    req.audit = pending;
+
+    return {
+        // Add what was learnt along the way (server key, stack ids, ...)
+        update(changes) {
+            Object.assign(pending, changes);
+        },
+        async success(changes = {}, result = 'success') {
+            Object.assign(pending, changes);
+            req.audit = null;
+            return recordAudit(req, { ...pending, result });
+        }
+    };
+}
+
+// Call from a handler's catch block - does nothing if no action was started
+async function recordAuditFailure(req, error) {
+    if (!req.audit) {
+        return null;
+    }
+    const pending = req.audit;
+    req.audit = null;
+    return recordAudit(req, {
+        ...pending,
+        result: 'failure',
+        error: error.message || String(error)
+    });
+}
+
+// filters: { server, user, action, from, to } - server matches the server key
+// or any of the stack ids; from/to are ISO times (inclusive)
+async function listAuditEntries(filters = {}) {
+    const fromTime = filters.from ? new Date(filters.from).getTime() : null;
+    const toTime = filters.to ? new Date(filters.to).getTime() : null;
+
+    const entries = await listDocuments(COLLECTION);
+    return entries
+        .filter(entry => !filters.server || entry.server === filters.server || (entry.stackIds || []).includes(filters.server))
+        .filter(entry => !filters.user || entry.user === filters.user)
+        .filter(entry => !filters.action || entry.action === filters.action)
+        .filter(entry => fromTime === null || new Date(entry.timestamp).getTime() >= fromTime)
+        .filter(entry => toTime === null || new Date(entry.timestamp).getTime() <= toTime)
+        .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+}
+
+module.exports = {
+    ACTIONS,
+    redact,
+    writeAuditEntry,
+    recordAudit,
+    beginAudit,
+    recordAuditFailure,
+    listAuditEntries
+};
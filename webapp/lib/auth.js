@@ -0,0 +1,210 @@
+// webapp/lib/auth.js
+// Web manager users, login sessions and roles.
+//
+//   MINESIBLE_USERS    - "name:role:hash,name:role:hash" (hash from hashPassword below)
+//   SESSION_TTL_HOURS  - how long a login lasts (default 12)
+//
+// Roles build on each other: a viewer can list servers and read their status,
+// an operator can also save, restore, restart and use the console, and an
+// admin can also deploy, delete and use the debug endpoints.
+//
+// Create a password hash with:
+//   node -e "console.log(require('./lib/auth').hashPassword(process.argv[1]))" 'password'
+
+require('dotenv').config();
+const crypto = require('crypto');
+const { getDocument, putDocument, deleteDocument } = require('./store');
+const { ValidationError, UnauthenticatedError, ForbiddenError, sendError } = require('./errors');
+const { isOriginAllowed } = require('./cors');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const COLLECTION = 'sessions';
+const SESSION_COOKIE = 'minesible_session';
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+const SCRYPT_KEYLEN = 32;
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEYLEN).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, expected.length || SCRYPT_KEYLEN);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Users are read from the environment on every call, so removing a user or
+// changing a role takes effect for existing sessions too
+function loadUsers() {
+    return (process.env.MINESIBLE_USERS || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .reduce((users, entry) => {
+            const [username, role, ...hashParts] = entry.split(':');
+            const passwordHash = hashParts.join(':');
+            if (!username || !ROLES.includes(role) || !passwordHash) {
+                console.warn(`Ignoring invalid MINESIBLE_USERS entry for "${username || '?'}"`);
+                return users;
+            }
+            users[username] = { username, role, passwordHash };
+            return users;
+        }, {});
+}
+
+function roleAllows(role, requiredRole) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+}
+
+// Sessions are stored under a hash of the token, so the store never holds
+// anything that can be replayed as a cookie
+function sessionId(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(req) {
+    return (req.headers.cookie || '').split(';').reduce((cookies, part) => {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            try {
+                cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+            } catch (error) {
+                // A malformed value (e.g. a stray "%") can't be our hex
+                // session token - skip it rather than fail the request
+            }
+        }
+        return cookies;
+    }, {});
+}
+
+function sessionCookie(token, maxAgeMs) {
+    const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+    return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${Math.floor(maxAgeMs / 1000)}${secure}`;
+}
+
+async function login(username, password) {
+    if (!username || !password) {
+        throw new ValidationError('Username and password are required');
+    }
+
+    const users = loadUsers();
+    if (Object.keys(users).length === 0) {
+        console.error('Login attempted but MINESIBLE_USERS is not set');
+    }
+
+    const user = users[username];
+    // Check a throwaway hash for unknown users so both cases take as long
+    const valid = verifyPassword(password, user ? user.passwordHash : `scrypt$${'0'.repeat(32)}$${'0'.repeat(64)}`);
+    if (!user || !valid) {
+        throw new UnauthenticatedError('Invalid username or password');
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    const session = {
+        id: sessionId(token),
+        username: user.username,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + SESSION_TTL_MS).toISOString()
+    };
+    await putDocument(COLLECTION, session.id, session);
+
+    console.log(`User ${user.username} logged in (${user.role})`);
+    return {
+        cookie: sessionCookie(token, SESSION_TTL_MS),
+        user: { username: user.username, role: user.role },
+        expiresAt: session.expiresAt
+    };
+}
+
+// The logged-in user for a request, or null
+async function getSessionUser(req) {
+    const token = parseCookies(req)[SESSION_COOKIE];
+    if (!token || !/^[a-f0-9]{64}$/.test(token)) {
+        return null;
+    }
+
+    const session = await getDocument(COLLECTION, sessionId(token));
+    if (!session) {
+        return null;
+    }
+    if (new Date(session.expiresAt).getTime() <= Date.now()) {
+        await deleteDocument(COLLECTION, session.id);
+        return null;
+    }
+
+    const user = loadUsers()[session.username];
+    if (!user) {
+        return null;
+    }
+    return { username: user.username, role: user.role, expiresAt: session.expiresAt };
+}
+
+// Returns the cookie that clears the session in the browser
+async function logout(req) {
+    const token = parseCookies(req)[SESSION_COOKIE];
+    if (token && /^[a-f0-9]{64}$/.test(token)) {
+        await deleteDocument(COLLECTION, sessionId(token));
+    }
+    return sessionCookie('', 0);
+}
+
+// Helper function for handlers - sends the 401/403 itself and returns null
+// when the request may not go ahead, otherwise returns the user
+async function authorize(req, res, requiredRole) {
+    try {
+        // Cookies are sent with cross-site requests too; only trust our own pages
+        if (!isOriginAllowed(req)) {
+            throw new ForbiddenError(`Origin ${req.headers.origin} is not allowed`);
+        }
+
+        const user = await getSessionUser(req);
+        if (!user) {
+            throw new UnauthenticatedError();
+        }
+        if (!roleAllows(user.role, requiredRole)) {
+            throw new ForbiddenError(`This action needs the ${requiredRole} role (you are ${user.role})`, {
+                role: user.role,
+                requiredRole
+            });
+        }
+
+        req.user = user;
+        return user;
+    } catch (error) {
+        if (!(error instanceof UnauthenticatedError)) {
+            console.warn(`Denied ${req.method} ${req.url}: ${error.message}`);
+        }
+        sendError(res, error);
+        return null;
+    }
+}
+
+// Express middleware version of authorize, for the routes defined in api/index.js
+function requireRole(requiredRole) {
+    return (req, res, next) => {
+        authorize(req, res, requiredRole)
+            .then(user => user && next())
+            .catch(next);
+    };
+}
+
+module.exports = {
+    ROLES,
+    SESSION_COOKIE,
+    hashPassword,
+    verifyPassword,
+    roleAllows,
+    login,
+    logout,
+    getSessionUser,
+    authorize,
+    requireRole
+};
@@ -0,0 +1,163 @@
+// webapp/lib/backups.js
+// World backups in the server's S3 bucket. Every save writes a new object:
+//
+//   backups/<server key>/<UTC timestamp>.zip
+//   backups/<server key>/<UTC timestamp>--<label>.zip   (e.g. before an upgrade)
+//
+// Older deployments wrote a single world.zip at the bucket root; it is still
+// listed (and can be restored) as a legacy backup.
+
+const { getS3Client, classifyS3Error } = require('./s3');
+const { ValidationError } = require('./errors');
+
+const BACKUP_PREFIX = 'backups/';
+const LEGACY_BACKUP_KEY = 'world.zip';
+const DEFAULT_BACKUP_BUCKET = process.env.MINESIBLE_BACKUP_BUCKET || 'minesible-world-backup';
+
+const BACKUP_KEY_PATTERN = /^backups\/([A-Za-z0-9]+)\/(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}(?:-\d{3})?Z)(?:--([a-z0-9][a-z0-9.-]{0,47}))?\.zip$/;
+
+function isValidBucketName(bucket) {
+    return typeof bucket === 'string' && /^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/.test(bucket);
+}
+
+function isValidBackupKey(key) {
+    return key === LEGACY_BACKUP_KEY || BACKUP_KEY_PATTERN.test(key || '');
+}
+
+// Timestamps use dashes so the key is safe on the command line and in S3 URLs.
+// A label says why the backup was taken ("pre-upgrade-1.21.10").
+function newBackupKey(serverKey, date = new Date(), label = null) {
+    if (!/^[A-Za-z0-9]+$/.test(serverKey || '')) {
+        throw new ValidationError(`Cannot build a backup key for server "${serverKey}"`);
+    }
+    const stamp = date.toISOString().replace(/[:.]/g, '-');
+    const suffix = label ? `--${String(label).toLowerCase().replace(/[^a-z0-9.-]+/g, '-').replace(/^[^a-z0-9]+/, '').slice(0, 48)}` : '';
+    return `${BACKUP_PREFIX}${serverKey}/${stamp}${suffix}.zip`;
+}
+
+function parseBackupKey(key) {
+    if (key === LEGACY_BACKUP_KEY) {
+        return { server: null, label: null, legacy: true };
+    }
+    const match = (key || '').match(BACKUP_KEY_PATTERN);
+    if (!match) {
+        return null;
+    }
+    // 2026-01-02T03-04-05-678Z -> 2026-01-02T03:04:05.678Z
+    const iso = match[2].replace(/T(\d{2})-(\d{2})-(\d{2})(?:-(\d{3}))?Z$/, (m, h, min, s, ms) => `T${h}:${min}:${s}${ms ? `.${ms}` : ''}Z`);
+    return { server: match[1], createdAt: iso, label: match[3] || null, legacy: false };
+}
+
+// The Spacelift task command that saves the world to a given key
+function saveWorldCommand(backupKey) {
+    if (!isValidBackupKey(backupKey)) {
+        throw new ValidationError(`Invalid backup key: ${backupKey}`);
+    }
+    return `ansible-playbook save-world.yml -e backup_key=${backupKey}`;
+}
+
+// The Spacelift task command that replaces the running world with a backup,
+// optionally saving the current world to saveFirstKey beforehand
+function restoreWorldCommand(backupKey, saveFirstKey = null) {
+    if (!isValidBackupKey(backupKey)) {
+        throw new ValidationError(`Invalid backup key: ${backupKey}`);
+    }
+    let command = `ansible-playbook restore-world.yml -e backup_key=${backupKey}`;
+    if (saveFirstKey) {
+        if (!isValidBackupKey(saveFirstKey)) {
+            throw new ValidationError(`Invalid backup key: ${saveFirstKey}`);
+        }
+        command += ` -e save_first_key=${saveFirstKey}`;
+    }
+    return command;
+}
+
+// List backups in a bucket, newest first. Pass serverKey to only list one
+// server's backups (the legacy world.zip is only included without it).
+async function listBackups(bucket, serverKey = null) {
+    if (!isValidBucketName(bucket)) {
+        throw new ValidationError(`Invalid S3 bucket name: ${bucket}`);
+    }
+    if (serverKey !== null && !/^[A-Za-z0-9]+$/.test(serverKey)) {
+        throw new ValidationError(`Invalid server: ${serverKey}`);
+    }
+
+    const { ListObjectsV2Command, HeadObjectCommand } = require('@aws-sdk/client-s3');
+    const prefix = serverKey ? `${BACKUP_PREFIX}${serverKey}/` : BACKUP_PREFIX;
+    const backups = [];
+    let continuationToken;
+
+    try {
+        do {
+            const page = await getS3Client().send(new ListObjectsV2Command({
+                Bucket: bucket,
+                Prefix: prefix,
+                ContinuationToken: continuationToken
+            }));
+            (page.Contents || []).forEach(object => {
+                const parsed = parseBackupKey(object.Key);
+                if (parsed) {
+                    backups.push({
+                        key: object.Key,
+                        server: parsed.server,
+                        label: parsed.label,
+                        size: object.Size,
+                        lastModified: object.LastModified ? new Date(object.LastModified).toISOString() : parsed.createdAt,
+                        legacy: false
+                    });
+                }
+            });
+            continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (continuationToken);
+
+        if (!serverKey) {
+            try {
+                const legacy = await getS3Client().send(new HeadObjectCommand({ Bucket: bucket, Key: LEGACY_BACKUP_KEY }));
+                backups.push({
+                    key: LEGACY_BACKUP_KEY,
+                    server: null,
+                    label: null,
+                    size: legacy.ContentLength,
+                    lastModified: legacy.LastModified ? new Date(legacy.LastModified).toISOString() : null,
+                    legacy: true
+                });
+            } catch (error) {
+                if (error.name !== 'NotFound' && !(error.$metadata && error.$metadata.httpStatusCode === 404)) {
+                    throw error;
+                }
+            }
+        }
+    } catch (error) {
+        if (error instanceof ValidationError) throw error;
+        throw classifyS3Error(error, bucket);
+    }
+
+    return backups.sort((a, b) => String(b.lastModified).localeCompare(String(a.lastModified)));
+}
+
+async function backupExists(bucket, key) {
+    const { HeadObjectCommand } = require('@aws-sdk/client-s3');
+    try {
+        await getS3Client().send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+    } catch (error) {
+        if (error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+            return false;
+        }
+        throw classifyS3Error(error, bucket);
+    }
+}
+
+module.exports = {
+    BACKUP_PREFIX,
+    LEGACY_BACKUP_KEY,
+    DEFAULT_BACKUP_BUCKET,
+    isValidBucketName,
+    isValidBackupKey,
+    newBackupKey,
+    parseBackupKey,
+    saveWorldCommand,
+    restoreWorldCommand,
+    listBackups,
+    backupExists
+};
@@ -0,0 +1,359 @@
+// webapp/lib/blueprint.js
+// Reads the Minesible blueprint and turns its `inputs:` section into a form
+// schema that the deploy route validates against and the UI renders from
+
+const YAML = require('yaml');
+const { spaceliftQuery } = require('./spacelift');
+const { ValidationError, NotFoundError, PermissionError } = require('./errors');
+
+// Blueprint ID
+const BLUEPRINT_ID = process.env.BLUEPRINT_ID || 'minesible-blueprint-01K4X20PX3PAVEMBW3AEE5DJET';
+
+// Input types supported by Spacelift blueprints
+const INPUT_TYPES = ['short_text', 'long_text', 'secret', 'number', 'float', 'boolean', 'select'];
+
+// Inputs the web manager fills in itself - hidden from the form and
+// rejected if a client tries to submit them (the JVM settings come from the
+// instance type, or the deploy form's advanced section - lib/instance-types.js;
+// the server flavor, jar and Java version from the chosen flavor and
+// Minecraft version - lib/flavors/)
+const MANAGED_INPUT_IDS = [
+    'rcon_password',
+    'restore_backup_key',
+    'jvm_heap_mb',
+    'jvm_flags',
+    'server_flavor',
+    'server_flavor_version',
+    'minecraft_version',
+    'server_jar_url',
+    'server_jar_sha1',
+    'server_jar_sha256',
+    'java_version'
+];
+
+// The deploy API used to take camelCase fields; keep accepting them
+const LEGACY_FIELD_MAP = {
+    instanceType: 'instance_type',
+    s3Bucket: 's3_bucket',
+    motd: 'motd',
+    maxPlayers: 'max_players'
+};
+
+// Cache the parsed blueprint briefly - the form and the deploy call both need it
+const CACHE_TTL_MS = 5 * 60 * 1000;
+let cachedBlueprint = null;
+let cachedAt = 0;
+
+// Parse the YAML template. Templates can contain expressions that are not
+// valid YAML further down, so fall back to parsing the inputs block alone.
+function parseTemplate(rawTemplate) {
+    try {
+        return YAML.parse(rawTemplate) || {};
+    } catch (error) {
+        const match = rawTemplate.match(/^inputs:\s*\n(?:[ \t-].*\n?|\s*\n)*/m);
+        if (!match) {
+            throw new ValidationError(`Blueprint template could not be parsed: ${error.message}`);
+        }
+        return YAML.parse(match[0]) || {};
+    }
+}
+
+// Helper function to normalise one input definition from the template
+function normaliseInput(input) {
+    const type = INPUT_TYPES.includes(input.type) ? input.type : 'short_text';
+    const hasDefault = input.default !== undefined && input.default !== null;
+
+    return {
+        id: String(input.id),
+        name: input.name || input.id,
+        type,
+        description: input.description || '',
+        default: hasDefault ? input.default : null,
+        options: type === 'select' && Array.isArray(input.options) ? input.options.map(String) : [],
+        // Spacelift requires a value for every input without a default
+        required: !hasDefault && type !== 'boolean',
+        managed: MANAGED_INPUT_IDS.includes(String(input.id))
+    };
+}
+
+function parseBlueprintInputs(rawTemplate) {
+    if (!rawTemplate) {
+        return [];
+    }
+
+    const template = parseTemplate(rawTemplate);
+    const inputs = Array.isArray(template.inputs) ? template.inputs : [];
+
+    return inputs
+        .filter(input => input && input.id)
+        .map(normaliseInput);
+}
+
+// Fetch the blueprint and its parsed inputs (cached)
+async function getBlueprintSchema(forceRefresh = false) {
+    if (!forceRefresh && cachedBlueprint && Date.now() - cachedAt < CACHE_TTL_MS) {
+        return cachedBlueprint;
+    }
+
+    const blueprintQuery = `
+        query GetBlueprint($id: ID!) {
+            blueprint(id: $id) {
+                id
+                name
+                space {
+                    id
+                    name
+                }
+                rawTemplate
+            }
+        }
+    `;
+
+    const result = await spaceliftQuery(blueprintQuery, { id: BLUEPRINT_ID });
+
+    if (!result.blueprint) {
+        throw new NotFoundError(`Blueprint not found: ${BLUEPRINT_ID}`);
+    }
+
+    cachedBlueprint = {
+        id: result.blueprint.id,
+        name: result.blueprint.name,
+        space: result.blueprint.space,
+        inputs: parseBlueprintInputs(result.blueprint.rawTemplate)
+    };
+    cachedAt = Date.now();
+
+    return cachedBlueprint;
+}
+
+// Accept either { inputs: { id: value } } or the legacy camelCase body
+function extractSubmittedValues(body) {
+    if (body && body.inputs && typeof body.inputs === 'object') {
+        return { ...body.inputs };
+    }
+
+    const values = {};
+    Object.keys(LEGACY_FIELD_MAP).forEach(field => {
+        if (body && body[field] !== undefined) {
+            values[LEGACY_FIELD_MAP[field]] = body[field];
+        }
+    });
+    return values;
+}
+
+// Helper function to check one value against its input definition.
+// Returns the value as the string Spacelift expects, or an error message.
+function validateValue(input, value) {
+    const text = typeof value === 'string' ? value.trim() : String(value);
+
+    switch (input.type) {
+        case 'number':
+            if (!/^-?\d+$/.test(text)) return { error: `${input.name} must be a whole number` };
+            return { value: text };
+        case 'float':
+            if (text === '' || isNaN(Number(text))) return { error: `${input.name} must be a number` };
+            return { value: text };
+        case 'boolean':
+            if (!['true', 'false'].includes(text.toLowerCase())) return { error: `${input.name} must be true or false` };
+            return { value: text.toLowerCase() };
+        case 'select':
+            if (!input.options.includes(text)) {
+                return { error: `${input.name} must be one of: ${input.options.join(', ')}` };
+            }
+            return { value: text };
+        case 'short_text':
+            if (/[\r\n]/.test(text)) return { error: `${input.name} must be a single line` };
+            return { value: text };
+        default:
+            // long_text and secret are passed through untouched
+            return { value: typeof value === 'string' ? value : text };
+    }
+}
+
+// Validate submitted values against the schema and build the templateInputs
+// list for blueprintCreateStack. Throws a ValidationError listing every
+// problem so the form can show them all at once. managedValues holds the
+// values the web manager generates (e.g. the RCON password).
+function buildTemplateInputs(inputs, values, managedValues = {}) {
+    const fieldErrors = {};
+    const templateInputs = [];
+    const knownIds = inputs.map(input => input.id);
+
+    Object.keys(values).forEach(id => {
+        if (!knownIds.includes(id)) {
+            fieldErrors[id] = `Unknown blueprint input: ${id}`;
+        }
+    });
+
+    inputs.forEach(input => {
+        if (input.managed) {
+            if (values[input.id] !== undefined) {
+                fieldErrors[input.id] = `${input.name} is set by the web manager`;
+            } else if (managedValues[input.id] !== undefined && managedValues[input.id] !== null) {
+                templateInputs.push({ id: input.id, value: String(managedValues[input.id]) });
+            }
+            return;
+        }
+
+        const raw = values[input.id];
+        const missing = raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+
+        if (missing) {
+            if (input.required) {
+                fieldErrors[input.id] = `${input.name} is required`;
+            }
+            // Inputs with a default are left out so Spacelift applies it
+            return;
+        }
+
+        const result = validateValue(input, raw);
+        if (result.error) {
+            fieldErrors[input.id] = result.error;
+        } else {
+            templateInputs.push({ id: input.id, value: result.value });
+        }
+    });
+
+    if (Object.keys(fieldErrors).length > 0) {
+        throw new ValidationError(
+            `Invalid deploy inputs: ${Object.values(fieldErrors).join('; ')}`,
+            { fields: fieldErrors }
+        );
+    }
+
+    return templateInputs;
+}
+
+// The submitted values that may be stored (the server record): secret inputs
+// are left out. Returns { values, omitted } - omitted lists the secrets' ids.
+function storableValues(inputs, values) {
+    const secretIds = inputs.filter(input => input.type === 'secret').map(input => input.id);
+    const omitted = Object.keys(values).filter(id => secretIds.includes(id));
+    const kept = Object.keys(values)
+        .filter(id => !omitted.includes(id))
+        .reduce((result, id) => ({ ...result, [id]: values[id] }), {});
+    return { values: kept, omitted };
+}
+
+// Check a new value for one input of an existing server (e.g. a resize's
+// instance_type) against the blueprint. Returns the value Spacelift expects.
+async function validateBlueprintValue(inputId, value) {
+    const blueprint = await getBlueprintSchema();
+    const input = blueprint.inputs.find(candidate => candidate.id === inputId);
+    if (!input) {
+        throw new ValidationError(`The blueprint has no ${inputId} input`);
+    }
+
+    const result = validateValue(input, value === undefined || value === null ? '' : value);
+    if (result.error) {
+        throw new ValidationError(result.error, { fields: { [inputId]: result.error }, options: input.options });
+    }
+    return result.value;
+}
+
+// Only input/space problems are worth retrying with a different space_id -
+// auth, rate limit and upstream failures would fail the same way again
+function canRetryWithSpace(error) {
+    return error instanceof ValidationError || error instanceof PermissionError;
+}
+
+// Create a server's stacks from the blueprint with templateInputs from
+// buildTemplateInputs. Returns the new stack ids.
+async function createStacksFromBlueprint(templateInputs) {
+    const createStackMutation = `
+        mutation CreateStackFromBlueprint($id: ID!, $input: BlueprintStackCreateInput!) {
+            blueprintCreateStack(id: $id, input: $input) {
+                stackIds
+            }
+        }
+    `;
+    
+    const mutationVariables = {
+        id: BLUEPRINT_ID,
+        input: {
+            templateInputs: templateInputs
+        }
+    };
+
+    console.log('Creating stack from blueprint:', BLUEPRINT_ID);
+    
+    let result;
+    
+    try {
+        result = await spaceliftQuery(createStackMutation, mutationVariables);
+        console.log('Stack creation successful:', result);
+    } catch (firstError) {
+        console.log('First attempt failed:', firstError.message);
+        if (!canRetryWithSpace(firstError)) {
+            throw firstError;
+        }
+        
+        // Try with space_id in templateInputs
+        const templateInputsWithSpace = [
+            ...templateInputs,
+            { id: 'space_id', value: 'opentofu-01JB2XV5E3ZR3NDTKCN80KS6RH' }
+        ];
+
+        const mutationVariablesWithSpace = {
+            id: BLUEPRINT_ID,
+            input: {
+                templateInputs: templateInputsWithSpace
+            }
+        };
+
+        console.log('Second attempt with space_id:', templateInputsWithSpace[templateInputsWithSpace.length - 1].value);
+        
+        try {
+            result = await spaceliftQuery(createStackMutation, mutationVariablesWithSpace);
+            console.log('Success with space in templateInputs:', result);
+        } catch (secondError) {
+            console.log('Second attempt failed:', secondError.message);
+            if (!canRetryWithSpace(secondError)) {
+                throw secondError;
+            }
+            
+            // Try with root space
+            const templateInputsWithRootSpace = [
+                ...templateInputs,
+                { id: 'space_id', value: 'root' }
+            ];
+
+            const mutationVariablesWithRootSpace = {
+                id: BLUEPRINT_ID,
+                input: {
+                    templateInputs: templateInputsWithRootSpace
+                }
+            };
+
+            console.log('Third attempt with root space');
+            
+            try {
+                result = await spaceliftQuery(createStackMutation, mutationVariablesWithRootSpace);
+                console.log('Success with root space:', result);
+            } catch (thirdError) {
+                console.log('All attempts failed:', thirdError.message);
+                throw thirdError;
+            }
+        }
+    }
+
+    const stackIds = result.blueprintCreateStack.stackIds;
+    console.log('Created stacks:', stackIds);
+
+    if (!stackIds || stackIds.length === 0) {
+        throw new Error('No stacks were created from the blueprint');
+    }
+    return stackIds;
+}
+
+module.exports = {
+    BLUEPRINT_ID,
+    MANAGED_INPUT_IDS,
+    parseBlueprintInputs,
+    getBlueprintSchema,
+    extractSubmittedValues,
+    buildTemplateInputs,
+    storableValues,
+    validateBlueprintValue,
+    createStacksFromBlueprint
+};
@@ -0,0 +1,49 @@
+// webapp/lib/cors.js
+// CORS for the API. The UI is served from the same origin and needs none of
+// this; other sites may only call the API when listed in
+//
+//   CORS_ALLOWED_ORIGINS  - "https://a.example.com,https://b.example.com"
+
+require('dotenv').config();
+
+function allowedOrigins() {
+    return (process.env.CORS_ALLOWED_ORIGINS || '')
+        .split(',')
+        .map(origin => origin.trim().replace(/\/$/, ''))
+        .filter(Boolean);
+}
+
+// Same-origin requests may carry an Origin header too (POSTs, for one)
+function isSameOrigin(req, origin) {
+    try {
+        return new URL(origin).host === req.headers.host;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Requests without an Origin header come from curl, the cron, etc.
+function isOriginAllowed(req) {
+    const origin = req.headers.origin;
+    return !origin || isSameOrigin(req, origin) || allowedOrigins().includes(origin);
+}
+
+function applyCors(req, res, methods) {
+    res.setHeader('Vary', 'Origin');
+
+    const origin = req.headers.origin;
+    if (!origin || !allowedOrigins().includes(origin)) {
+        return;
+    }
+
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    res.setHeader('Access-Control-Allow-Methods', methods);
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+module.exports = {
+    allowedOrigins,
+    isOriginAllowed,
+    applyCors
+};
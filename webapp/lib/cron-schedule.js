@@ -0,0 +1,204 @@
+// webapp/lib/cron-schedule.js
+// Five-field cron expressions ("minute hour day-of-month month day-of-week")
+// evaluated in an IANA time zone, for server schedules. Supports *, lists,
+// ranges, steps and day/month names: "0 18 * * fri", "30 1 * * 6,0".
+
+const { ValidationError } = require('./errors');
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    // 7 is Sunday too
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// How far ahead nextOccurrence looks before giving up ("0 0 30 2 *" never fires)
+const SEARCH_LIMIT_MS = 366 * 24 * 60 * 60 * 1000;
+
+function parseValue(value, field, expression) {
+    const lower = value.toLowerCase();
+    if (field.names && field.names.includes(lower)) {
+        return field.names.indexOf(lower) + (field.min === 1 ? 1 : 0);
+    }
+    if (!/^\d+$/.test(value)) {
+        throw new ValidationError(`Invalid ${field.name} "${value}" in cron expression "${expression}"`);
+    }
+    const number = Number(value);
+    if (number < field.min || number > field.max) {
+        throw new ValidationError(`${field.name} must be ${field.min}-${field.max} in cron expression "${expression}"`);
+    }
+    return number;
+}
+
+function parseField(text, field, expression) {
+    const values = new Set();
+
+    text.split(',').forEach(part => {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new ValidationError(`Invalid step "${stepText}" in cron expression "${expression}"`);
+        }
+
+        let from;
+        let to;
+        if (range === '*') {
+            from = field.min;
+            to = field.max;
+        } else if (range.includes('-')) {
+            const [start, end] = range.split('-');
+            from = parseValue(start, field, expression);
+            to = parseValue(end, field, expression);
+        } else {
+            from = parseValue(range, field, expression);
+            // "5/15" means every 15 from 5
+            to = stepText === undefined ? from : field.max;
+        }
+        if (from > to) {
+            throw new ValidationError(`Invalid range "${range}" in cron expression "${expression}"`);
+        }
+
+        for (let value = from; value <= to; value += step) {
+            values.add(value);
+        }
+    });
+
+    return values;
+}
+
+function parseCron(expression) {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== 5) {
+        throw new ValidationError(`Cron expression "${expression}" must have 5 fields: minute hour day-of-month month day-of-week`);
+    }
+
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index], expression));
+    if (dayOfWeek.has(7)) {
+        dayOfWeek.add(0);
+    }
+
+    return {
+        expression: parts.join(' '),
+        minute,
+        hour,
+        dayOfMonth,
+        month,
+        dayOfWeek,
+        // Like cron: when both day fields are restricted, either may match
+        anyDayOfMonth: parts[2] === '*',
+        anyDayOfWeek: parts[4] === '*'
+    };
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return typeof timeZone === 'string' && timeZone.length > 0;
+    } catch (error) {
+        return false;
+    }
+}
+
+const formatters = {};
+
+// The wall-clock time in timeZone at date
+function zonedParts(date, timeZone) {
+    if (!formatters[timeZone]) {
+        formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            weekday: 'short'
+        });
+    }
+    const parts = formatters[timeZone].formatToParts(date).reduce((values, part) => {
+        values[part.type] = part.value;
+        return values;
+    }, {});
+
+    return {
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        weekday: WEEKDAYS[parts.weekday]
+    };
+}
+
+function dayMatches(cron, parts) {
+    if (!cron.month.has(parts.month)) {
+        return false;
+    }
+    const dayOfMonth = cron.dayOfMonth.has(parts.day);
+    const dayOfWeek = cron.dayOfWeek.has(parts.weekday);
+    if (cron.anyDayOfMonth || cron.anyDayOfWeek) {
+        return dayOfMonth && dayOfWeek;
+    }
+    return dayOfMonth || dayOfWeek;
+}
+
+function startOfMinute(date) {
+    return Math.floor(new Date(date).getTime() / 60000) * 60000;
+}
+
+// The start of the next local day after time (parts is its wall clock). The
+// minutes left on the clock overshoot on a 23-hour day (DST starts) - land on
+// the next day, then go back to its midnight.
+function nextLocalMidnight(time, parts, timeZone) {
+    const guess = time + (24 * 60 - (parts.hour * 60 + parts.minute)) * 60000;
+    const landed = zonedParts(new Date(guess), timeZone);
+    if (landed.day === parts.day) {
+        // A 25-hour day (DST ends) - the next pass gets to midnight
+        return guess;
+    }
+    const midnight = guess - (landed.hour * 60 + landed.minute) * 60000;
+    // Zones whose clocks skip midnight itself have no 00:00 to go back to
+    return midnight > time ? midnight : guess;
+}
+
+// The first time after `after` (exclusive) that the expression fires, or null.
+// Skips whole days and hours that can't match rather than every minute.
+function nextOccurrence(cron, after, timeZone) {
+    const limit = new Date(after).getTime() + SEARCH_LIMIT_MS;
+    let time = startOfMinute(after) + 60000;
+
+    while (time <= limit) {
+        const parts = zonedParts(new Date(time), timeZone);
+        if (!dayMatches(cron, parts)) {
+            time = nextLocalMidnight(time, parts, timeZone);
+        } else if (!cron.hour.has(parts.hour)) {
+            time += (60 - parts.minute) * 60000;
+        } else if (!cron.minute.has(parts.minute)) {
+            time += 60000;
+        } else {
+            return new Date(time);
+        }
+    }
+    return null;
+}
+
+// Every time in (from, to] that the expression fires
+function occurrencesBetween(cron, from, to, timeZone) {
+    const occurrences = [];
+    const end = new Date(to).getTime();
+    let next = nextOccurrence(cron, from, timeZone);
+    while (next && next.getTime() <= end) {
+        occurrences.push(next);
+        next = nextOccurrence(cron, next, timeZone);
+    }
+    return occurrences;
+}
+
+module.exports = {
+    parseCron,
+    isValidTimeZone,
+    nextOccurrence,
+    occurrencesBetween
+};
@@ -0,0 +1,79 @@
+// webapp/lib/cron-tick.js
+// One /api/cron tick: advance due jobs, enforce expiries, run schedules and
+// watch the Ready servers for idleness and joining players. Every check shares
+// one deadline, so a tick ends before the function time limit - whatever is
+// left over waits for the next tick. The Ready servers a watcher cares about
+// are pinged once, all at the same time, and both watchers work from those
+// answers.
+
+const { runDueJobs } = require('./jobs');
+const { pingServer, DEFAULT_PORT } = require('./minecraft-ping');
+const { listMinesibleStacks, groupServerStacks } = require('./server-stacks');
+const { listServerRecords, findRecordForServer } = require('./server-records');
+const { checkIdleServers, isIdleWatched } = require('./idle-watcher');
+const { checkExpiredServers } = require('./server-expiry');
+const { checkSchedules } = require('./server-schedule');
+const { checkPlayerJoins, wantsPlayerJoins } = require('./player-watcher');
+require('./server-jobs');
+
+// How long one tick may run - keep it under the platform's function limit
+const TICK_BUDGET_MS = Number(process.env.CRON_BUDGET_MS) || 8000;
+// Longest a ping may wait for a server; shorter when the tick is nearly over
+const PING_TIMEOUT_MS = 5000;
+// Not worth pinging with less time than this left
+const MIN_PING_MS = 500;
+
+// Ping the Ready servers a watcher cares about, all at once; server id ->
+// pingServer result
+async function pingReadyServers(servers, deadline) {
+    const pings = new Map();
+    const [records, watchPlayers] = await Promise.all([listServerRecords(), wantsPlayerJoins()]);
+    const ready = servers.filter(server => server.status === 'Ready' && server.ip
+        && (watchPlayers || isIdleWatched(findRecordForServer(records, server))));
+    const timeout = Math.min(PING_TIMEOUT_MS, deadline - Date.now());
+
+    if (ready.length === 0) {
+        return pings;
+    }
+    if (timeout < MIN_PING_MS) {
+        console.log(`Tick budget used up - ${ready.length} Ready server(s) not pinged this tick`);
+        return pings;
+    }
+
+    const statuses = await Promise.all(ready.map(server => pingServer(server.ip, DEFAULT_PORT, { timeout })));
+    ready.forEach((server, index) => pings.set(server.id, statuses[index]));
+    return pings;
+}
+
+async function runCronTick(now = new Date(), budgetMs = TICK_BUDGET_MS) {
+    const deadline = Date.now() + budgetMs;
+
+    // Jobs get at most half, so the checks always get a turn
+    const jobs = await runDueJobs(Math.floor(budgetMs / 2));
+    console.log(`Cron tick advanced ${jobs.length} job(s)`);
+
+    // Expiries and schedules only start jobs - they go before the pings
+    const expired = await checkExpiredServers(now, { deadline });
+    console.log(`Cron tick enforced ${expired.length} expiry deadline(s)`);
+
+    const servers = groupServerStacks(await listMinesibleStacks());
+    const scheduled = await checkSchedules(now, { servers, deadline });
+    console.log(`Cron tick checked ${scheduled.length} schedule(s)`);
+
+    const pings = await pingReadyServers(servers, deadline);
+    const tick = { servers, pings, deadline };
+
+    const idle = await checkIdleServers(now, tick);
+    console.log(`Cron tick checked ${idle.length} server(s) for idleness`);
+
+    const players = await checkPlayerJoins(now, tick);
+    console.log(`Cron tick checked ${players.length} server(s) for players joining`);
+
+    return { jobs, idle, expired, scheduled, players };
+}
+
+module.exports = {
+    TICK_BUDGET_MS,
+    pingReadyServers,
+    runCronTick
+};
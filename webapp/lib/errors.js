@@ -0,0 +1,114 @@
+// webapp/lib/errors.js
+// Typed errors shared by the API handlers and the Spacelift client
+
+// Base class - every error that should reach the browser with a specific
+// HTTP status extends this one
+class ApiError extends Error {
+    constructor(message, status = 500, code = 'INTERNAL_ERROR', details = null) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Request payload failed validation (or Spacelift rejected the input)
+class ValidationError extends ApiError {
+    constructor(message, details = null) {
+        super(message, 400, 'VALIDATION_ERROR', details);
+    }
+}
+
+// Our Spacelift credentials were rejected, even after refreshing the JWT.
+// This is a server configuration problem, not something the caller can fix,
+// so it is reported as a bad gateway rather than a 401.
+class AuthenticationError extends ApiError {
+    constructor(message, details = null) {
+        super(message, 502, 'SPACELIFT_AUTH_FAILED', details);
+    }
+}
+
+// No valid web manager session (not logged in, or the session expired)
+class UnauthenticatedError extends ApiError {
+    constructor(message = 'Login required', details = null) {
+        super(message, 401, 'UNAUTHENTICATED', details);
+    }
+}
+
+// Logged in, but the user's role does not allow the action
+class ForbiddenError extends ApiError {
+    constructor(message, details = null) {
+        super(message, 403, 'FORBIDDEN', details);
+    }
+}
+
+// The API key is valid but not allowed to perform the operation
+class PermissionError extends ApiError {
+    constructor(message, details = null) {
+        super(message, 403, 'PERMISSION_DENIED', details);
+    }
+}
+
+class NotFoundError extends ApiError {
+    constructor(message, details = null) {
+        super(message, 404, 'NOT_FOUND', details);
+    }
+}
+
+// The request is valid but the server is not in a state that allows it
+class ConflictError extends ApiError {
+    constructor(message, details = null) {
+        super(message, 409, 'CONFLICT', details);
+    }
+}
+
+class RateLimitError extends ApiError {
+    constructor(message, retryAfter = null, details = null) {
+        super(message, 429, 'RATE_LIMITED', details);
+        this.retryAfter = retryAfter;
+    }
+}
+
+// Spacelift failed (5xx, network error, unexpected GraphQL error) and
+// retrying did not help
+class UpstreamError extends ApiError {
+    constructor(message, details = null) {
+        super(message, 502, 'UPSTREAM_ERROR', details);
+    }
+}
+
+// Helper function to turn any thrown error into a JSON error response
+function sendError(res, error, extra = {}) {
+    const status = error instanceof ApiError ? error.status : 500;
+    const body = {
+        success: false,
+        error: error.message || 'Internal server error',
+        code: error instanceof ApiError ? error.code : 'INTERNAL_ERROR',
+        ...extra
+    };
+
+    if (error instanceof ApiError && error.details) {
+        body.details = error.details;
+    }
+
+    if (error instanceof RateLimitError && error.retryAfter) {
+        res.setHeader('Retry-After', Math.ceil(error.retryAfter / 1000).toString());
+    }
+
+    return res.status(status).json(body);
+}
+
+module.exports = {
+    ApiError,
+    ValidationError,
+    AuthenticationError,
+    UnauthenticatedError,
+    ForbiddenError,
+    PermissionError,
+    NotFoundError,
+    ConflictError,
+    RateLimitError,
+    UpstreamError,
+    sendError
+};
@@ -0,0 +1,35 @@
+// webapp/lib/events.js
+// Where server lifecycle events leave the web manager. Each event goes to the
+// signed webhooks subscribed to it (lib/webhooks.js) and - for the ones
+// Discord channels hear about - to lib/notifications.js.
+//
+// payload: { serverKey, recordId, stackIds, ip, instanceType, flavor,
+// minecraftVersion, backupKey, player, error, message, requestedBy } -
+// whatever the event knows. Publishing never throws.
+
+const { notify } = require('./notifications');
+const { emitWebhookEvent } = require('./webhooks');
+
+// Event type -> Discord notification event
+const DISCORD_EVENTS = {
+    'deploy.started': 'server.deploying',
+    'server.ready': 'server.ready',
+    'save.completed': 'server.save-succeeded',
+    'save.failed': 'server.save-failed',
+    'server.deleted': 'server.deleted'
+};
+
+async function publishEvent(type, payload = {}) {
+    const discordEvent = DISCORD_EVENTS[type];
+    // The Discord embed has its own wording; webhooks get the facts
+    const { message, ...data } = payload;
+
+    await Promise.all([
+        discordEvent ? notify(discordEvent, payload) : null,
+        emitWebhookEvent(type, data)
+    ]);
+}
+
+module.exports = {
+    publishEvent
+};
@@ -0,0 +1,104 @@
+// webapp/lib/flavors/catalog.js
+// What the flavor modules share: fetching a distribution's metadata API and
+// caching the answer in the state store, so a slow or unreachable API doesn't
+// take the deploy form down with it.
+
+const axios = require('axios');
+const { getDocument, putDocument } = require('../store');
+const { UpstreamError } = require('../errors');
+
+const COLLECTION = 'catalogs';
+const REQUEST_TIMEOUT_MS = 10000;
+// Some APIs (PaperMC's) refuse requests without one
+const USER_AGENT = 'minesible-web-manager (https://github.com/spacelift-solutions/minesible)';
+
+async function fetchJson(url) {
+    try {
+        const response = await axios.get(url, { timeout: REQUEST_TIMEOUT_MS, headers: { 'User-Agent': USER_AGENT } });
+        return response.data;
+    } catch (error) {
+        const status = error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+        throw new UpstreamError(`Could not fetch ${url}: ${status}`);
+    }
+}
+
+// Memory copies of each catalog: docId -> { value, until }
+const memoryCache = {};
+
+// A catalog from memory, the store (when younger than ttlMs), load() or - if
+// load() fails - the stored copy however old it is. Returns
+// { value, source: 'live' | 'cache', fetchedAt }.
+async function cachedCatalog(docId, ttlMs, load, forceRefresh = false) {
+    const cached = memoryCache[docId];
+    if (!forceRefresh && cached && Date.now() < cached.until) {
+        return cached.result;
+    }
+
+    const stored = await getDocument(COLLECTION, docId).catch(error => {
+        console.error(`Failed to read the cached ${docId}:`, error.message);
+        return null;
+    });
+    const storedAge = stored ? Date.now() - new Date(stored.fetchedAt).getTime() : Infinity;
+
+    let result;
+    if (!forceRefresh && stored && storedAge < ttlMs) {
+        result = { value: stored.value, source: 'cache', fetchedAt: stored.fetchedAt };
+    } else {
+        try {
+            result = { value: await load(), source: 'live', fetchedAt: new Date().toISOString() };
+            await putDocument(COLLECTION, docId, { fetchedAt: result.fetchedAt, value: result.value }).catch(error => {
+                console.error(`Failed to cache ${docId}:`, error.message);
+            });
+        } catch (error) {
+            if (!stored) {
+                throw error;
+            }
+            console.warn(`${docId} unavailable, using the copy from ${stored.fetchedAt}:`, error.message);
+            result = { value: stored.value, source: 'cache', fetchedAt: stored.fetchedAt };
+        }
+    }
+
+    memoryCache[docId] = { result, until: Date.now() + ttlMs };
+    return result;
+}
+
+// Order "1.21.10" after "1.21.9" and "1.21" - for APIs that list versions
+// without release times. Pre-releases ("1.21-pre1", "1.21-rc1") sort before
+// the release.
+function compareVersionIds(a, b) {
+    const [aRelease, aSuffix] = String(a).split('-');
+    const [bRelease, bSuffix] = String(b).split('-');
+    const aParts = aRelease.split('.').map(Number);
+    const bParts = bRelease.split('.').map(Number);
+
+    for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
+        const difference = (aParts[i] || 0) - (bParts[i] || 0);
+        if (difference !== 0) {
+            return difference;
+        }
+    }
+    if (aSuffix === bSuffix) {
+        return 0;
+    }
+    if (!aSuffix || !bSuffix) {
+        return aSuffix ? -1 : 1;
+    }
+    return aSuffix.localeCompare(bSuffix, undefined, { numeric: true });
+}
+
+// The { latest, versions } shape every flavor's listVersions() returns, from
+// [{ id, type, releaseTime }] (newest first)
+function versionList(versions) {
+    const latestOf = type => (versions.find(version => version.type === type) || {}).id || null;
+    return {
+        latest: { release: latestOf('release'), snapshot: latestOf('snapshot') },
+        versions
+    };
+}
+
+module.exports = {
+    fetchJson,
+    cachedCatalog,
+    compareVersionIds,
+    versionList
+};
@@ -0,0 +1,59 @@
+// webapp/lib/flavors/fabric.js
+// Fabric (mods) from Fabric's meta API. The server jar it serves is a
+// launcher built for one game/loader/installer combination - it downloads
+// the vanilla server and libraries on its first start.
+
+const { fetchJson, cachedCatalog, versionList } = require('./catalog');
+const { NotFoundError } = require('../errors');
+
+const META_URL = 'https://meta.fabricmc.net/v2/versions';
+const VERSIONS_TTL_MS = 6 * 60 * 60 * 1000;
+
+// The newest stable entry of a meta list, else the newest
+function pickStable(entries, isStable) {
+    return entries.find(isStable) || entries[0] || null;
+}
+
+module.exports = {
+    id: 'fabric',
+    name: 'Fabric',
+    description: 'Lightweight mod loader - Fabric mods, including many performance mods',
+    addonsDir: 'mods',
+
+    async listVersions(refresh = false) {
+        const catalog = await cachedCatalog('fabric-versions', VERSIONS_TTL_MS, async () => {
+            // [{ version, stable }], newest first - snapshots are not stable
+            const games = await fetchJson(`${META_URL}/game`);
+            return (Array.isArray(games) ? games : [])
+                .map(game => ({ id: game.version, type: game.stable ? 'release' : 'snapshot', releaseTime: null }));
+        }, refresh);
+
+        return { ...versionList(catalog.value), source: catalog.source, fetchedAt: catalog.fetchedAt };
+    },
+
+    async resolveInstall(minecraftVersion) {
+        // [{ loader: { version, stable } }] - empty when Fabric doesn't support the version
+        const loaders = await fetchJson(`${META_URL}/loader/${encodeURIComponent(minecraftVersion)}`);
+        const loader = pickStable(Array.isArray(loaders) ? loaders : [], entry => entry.loader && entry.loader.stable);
+        if (!loader) {
+            throw new NotFoundError(`Fabric has no loader for Minecraft ${minecraftVersion}`);
+        }
+
+        const installers = await cachedCatalog('fabric-installers', VERSIONS_TTL_MS, () => fetchJson(`${META_URL}/installer`));
+        const installer = pickStable(installers.value || [], entry => entry.stable);
+        if (!installer) {
+            throw new NotFoundError('Fabric lists no installer versions');
+        }
+
+        const loaderVersion = loader.loader.version;
+        return {
+            flavorVersion: loaderVersion,
+            // Generated per request, so there is no published checksum
+            server: {
+                url: `${META_URL}/loader/${encodeURIComponent(minecraftVersion)}/${loaderVersion}/${installer.version}/server/jar`,
+                sha1: null,
+                sha256: null
+            }
+        };
+    }
+};
@@ -0,0 +1,67 @@
+// webapp/lib/flavors/forge.js
+// Forge (mods) from the Forge promotions list and Maven repository. Forge
+// ships an installer rather than a server jar: the playbook runs it with
+// --installServer and starts the server from the libraries it lays out.
+
+const { fetchJson, cachedCatalog, compareVersionIds, versionList } = require('./catalog');
+const { NotFoundError } = require('../errors');
+
+const PROMOTIONS_URL = 'https://files.minecraftforge.net/net/minecraftforge/forge/promotions_slim.json';
+const MAVEN_URL = 'https://maven.minecraftforge.net/net/minecraftforge/forge';
+const VERSIONS_TTL_MS = 6 * 60 * 60 * 1000;
+// Older installers lay the server out differently (no unix_args.txt), which
+// the playbook doesn't launch
+const MIN_MINECRAFT_VERSION = '1.17';
+
+// { "1.20.1-latest": "47.3.0", "1.20.1-recommended": "47.2.0", ... }
+async function getPromotions(refresh = false) {
+    return cachedCatalog('forge-promotions', VERSIONS_TTL_MS, async () => {
+        const promotions = await fetchJson(PROMOTIONS_URL);
+        return (promotions && promotions.promos) || {};
+    }, refresh);
+}
+
+module.exports = {
+    id: 'forge',
+    name: 'Forge',
+    description: 'The classic mod loader - Forge mods and modpacks (Minecraft 1.17 and later)',
+    addonsDir: 'mods',
+
+    async listVersions(refresh = false) {
+        const promotions = await getPromotions(refresh);
+        const ids = [...new Set(Object.keys(promotions.value).map(key => key.replace(/-(latest|recommended)$/, '')))]
+            .filter(id => compareVersionIds(id, MIN_MINECRAFT_VERSION) >= 0)
+            .sort((a, b) => compareVersionIds(b, a));
+
+        return {
+            ...versionList(ids.map(id => ({ id, type: 'release', releaseTime: null }))),
+            source: promotions.source,
+            fetchedAt: promotions.fetchedAt
+        };
+    },
+
+    async resolveInstall(minecraftVersion) {
+        const promotions = (await getPromotions()).value;
+        // The recommended build where there is one - "latest" can be a day old
+        const forgeVersion = promotions[`${minecraftVersion}-recommended`] || promotions[`${minecraftVersion}-latest`];
+        if (!forgeVersion || compareVersionIds(minecraftVersion, MIN_MINECRAFT_VERSION) < 0) {
+            throw new NotFoundError(`Forge has no build for Minecraft ${minecraftVersion}`);
+        }
+
+        const artifact = `${minecraftVersion}-${forgeVersion}`;
+        const url = `${MAVEN_URL}/${artifact}/forge-${artifact}-installer.jar`;
+        // Maven publishes the checksum next to the jar as plain text
+        let sha1 = null;
+        try {
+            const published = String(await fetchJson(`${url}.sha1`)).trim();
+            sha1 = /^[0-9a-f]{40}$/.test(published) ? published : null;
+        } catch (error) {
+            console.warn(`No checksum for Forge ${artifact}:`, error.message);
+        }
+
+        return {
+            flavorVersion: forgeVersion,
+            server: { url, sha1, sha256: null }
+        };
+    }
+};
@@ -0,0 +1,151 @@
+// webapp/lib/flavors/index.js
+// Server flavors - the distribution a server runs: vanilla, or a server that
+// loads plugins (Paper) or mods (Fabric, Forge). Each module in this
+// directory describes one:
+//
+//   id, name, description
+//   addonsDir                        - where its plugins/mods go (null: none)
+//   listVersions(refresh)            - { latest: { release, snapshot },
+//                                        versions: [{ id, type, releaseTime }],
+//                                        source, fetchedAt }, newest first
+//   resolveInstall(minecraftVersion) - { flavorVersion, server: { url, sha1, sha256 } }
+//
+// Routes, jobs and the deploy form only use the functions below, so another
+// distribution is a module plus a line in FLAVOR_MODULES. The playbook runs
+// any flavor that downloads as a runnable server jar; installer-based ones
+// (Forge) need their install step there as well.
+
+const { ValidationError, NotFoundError } = require('../errors');
+const { resolveMinecraftVersion } = require('../minecraft-versions');
+const { listServerRecords, findRecordForServer } = require('../server-records');
+
+const DEFAULT_FLAVOR = 'vanilla';
+
+const FLAVOR_MODULES = [
+    require('./vanilla'),
+    require('./paper'),
+    require('./fabric'),
+    require('./forge')
+];
+
+const flavors = {};
+
+function registerFlavor(flavor) {
+    if (!flavor || !/^[a-z][a-z0-9-]*$/.test(flavor.id) || !flavor.name
+        || typeof flavor.listVersions !== 'function' || typeof flavor.resolveInstall !== 'function') {
+        throw new Error(`Invalid server flavor module: ${flavor && flavor.id}`);
+    }
+    if (flavors[flavor.id]) {
+        throw new Error(`Server flavor ${flavor.id} is registered twice`);
+    }
+    flavors[flavor.id] = flavor;
+}
+
+FLAVOR_MODULES.forEach(registerFlavor);
+
+function getFlavor(flavorId) {
+    const flavor = flavors[flavorId || DEFAULT_FLAVOR];
+    if (!flavor) {
+        const message = `Unknown server flavor: ${flavorId} (use ${Object.keys(flavors).join(', ')})`;
+        throw new ValidationError(message, { fields: { flavor: message } });
+    }
+    return flavor;
+}
+
+// For the deploy form
+function listFlavors() {
+    return Object.values(flavors).map(flavor => ({
+        id: flavor.id,
+        name: flavor.name,
+        description: flavor.description || '',
+        addonsDir: flavor.addonsDir || null
+    }));
+}
+
+async function listFlavorVersions(flavorId, refresh = false) {
+    const flavor = getFlavor(flavorId);
+    return { flavor: flavor.id, ...await flavor.listVersions(refresh) };
+}
+
+// Everything the playbook needs to install a flavor for a Minecraft version
+// (the flavor's latest release when none is given). Every flavor runs on the
+// Java its Minecraft version needs, which comes from Mojang's details.
+async function resolveServerInstall(flavorId, minecraftVersion = null) {
+    const flavor = getFlavor(flavorId);
+    const versions = await flavor.listVersions();
+
+    const versionId = minecraftVersion || versions.latest.release;
+    if (!versionId) {
+        throw new NotFoundError(`${flavor.name} lists no Minecraft releases`);
+    }
+    const details = await resolveMinecraftVersion(versionId);
+    if (!versions.versions.some(version => version.id === details.id)) {
+        throw new ValidationError(`${flavor.name} is not available for Minecraft ${details.id}`);
+    }
+
+    const install = await flavor.resolveInstall(details.id);
+    return {
+        flavor: flavor.id,
+        flavorName: flavor.name,
+        minecraftVersion: details.id,
+        // Paper build, Fabric loader or Forge version - null for vanilla
+        flavorVersion: install.flavorVersion || null,
+        requiredJava: details.requiredJava,
+        javaVersion: details.javaVersion,
+        server: install.server,
+        addonsDir: flavor.addonsDir || null
+    };
+}
+
+// "Paper 1.21.10 (build 130)", for logs and job descriptions
+function describeInstall(install) {
+    return `${install.flavorName} ${install.minecraftVersion}${install.flavorVersion ? ` (${install.flavorVersion})` : ''}`;
+}
+
+// Blueprint input values for resolveServerInstall's result. Inputs the
+// blueprint doesn't declare are dropped by buildTemplateInputs, so older
+// blueprints keep working for vanilla.
+function serverInstallInputValues(install) {
+    const values = {
+        server_flavor: install.flavor,
+        minecraft_version: install.minecraftVersion,
+        server_jar_url: install.server.url,
+        java_version: String(install.javaVersion)
+    };
+    if (install.flavorVersion) {
+        values.server_flavor_version = install.flavorVersion;
+    }
+    if (install.server.sha1) {
+        values.server_jar_sha1 = install.server.sha1;
+    }
+    if (install.server.sha256) {
+        values.server_jar_sha256 = install.server.sha256;
+    }
+    return values;
+}
+
+// Server cards show the flavor and version from the server record. Servers
+// deployed before flavors existed run vanilla.
+async function attachServerFlavor(servers, records = null) {
+    const allRecords = records || await listServerRecords();
+    return servers.map(server => {
+        const record = findRecordForServer(allRecords, server);
+        return {
+            ...server,
+            flavor: (record && record.flavor) || DEFAULT_FLAVOR,
+            minecraftVersion: (record && record.minecraftVersion) || null
+        };
+    });
+}
+
+module.exports = {
+    DEFAULT_FLAVOR,
+    registerFlavor,
+    getFlavor,
+    listFlavors,
+    listFlavorVersions,
+    resolveServerInstall,
+    describeInstall,
+    serverInstallInputValues,
+    attachServerFlavor
+};
@@ -0,0 +1,47 @@
+// webapp/lib/flavors/paper.js
+// Paper (Bukkit/Spigot plugins) from PaperMC's download API. Each Minecraft
+// version has numbered builds; the newest stable one is installed.
+
+const { fetchJson, cachedCatalog, compareVersionIds, versionList } = require('./catalog');
+const { NotFoundError, UpstreamError } = require('../errors');
+
+const PROJECT_URL = 'https://fill.papermc.io/v3/projects/paper';
+const VERSIONS_TTL_MS = 6 * 60 * 60 * 1000;
+
+module.exports = {
+    id: 'paper',
+    name: 'Paper',
+    description: 'Faster vanilla-compatible server that runs Bukkit and Spigot plugins',
+    addonsDir: 'plugins',
+
+    async listVersions(refresh = false) {
+        const catalog = await cachedCatalog('paper-versions', VERSIONS_TTL_MS, async () => {
+            // { versions: { "1.21": ["1.21.10", "1.21.9", ...], ... } }
+            const project = await fetchJson(PROJECT_URL);
+            const ids = [].concat(...Object.values((project && project.versions) || {}));
+            return ids
+                .sort((a, b) => compareVersionIds(b, a))
+                .map(id => ({ id, type: /-(pre|rc)/.test(id) ? 'snapshot' : 'release', releaseTime: null }));
+        }, refresh);
+
+        return { ...versionList(catalog.value), source: catalog.source, fetchedAt: catalog.fetchedAt };
+    },
+
+    async resolveInstall(minecraftVersion) {
+        const builds = await fetchJson(`${PROJECT_URL}/versions/${encodeURIComponent(minecraftVersion)}/builds`);
+        const newestFirst = (Array.isArray(builds) ? builds : []).sort((a, b) => b.id - a.id);
+        const build = newestFirst.find(candidate => candidate.channel === 'STABLE') || newestFirst[0];
+        if (!build) {
+            throw new NotFoundError(`Paper has no builds for Minecraft ${minecraftVersion}`);
+        }
+
+        const download = build.downloads && build.downloads['server:default'];
+        if (!download || !download.url) {
+            throw new UpstreamError(`Paper build ${build.id} for ${minecraftVersion} has no server download`);
+        }
+        return {
+            flavorVersion: String(build.id),
+            server: { url: download.url, sha1: null, sha256: (download.checksums && download.checksums.sha256) || null }
+        };
+    }
+};
@@ -0,0 +1,30 @@
+// webapp/lib/flavors/vanilla.js
+// Mojang's own server.jar, from the version manifest (lib/minecraft-versions.js)
+
+const { getVersionManifest, resolveMinecraftVersion } = require('../minecraft-versions');
+
+module.exports = {
+    id: 'vanilla',
+    name: 'Vanilla',
+    description: 'Mojang\'s server - no plugins or mods',
+    addonsDir: null,
+
+    async listVersions(refresh = false) {
+        const manifest = await getVersionManifest(refresh);
+        return {
+            latest: manifest.latest,
+            versions: manifest.versions.map(version => ({ id: version.id, type: version.type, releaseTime: version.releaseTime })),
+            // mojang, cache or bundled (Mojang unreachable)
+            source: manifest.source,
+            fetchedAt: manifest.fetchedAt
+        };
+    },
+
+    async resolveInstall(minecraftVersion) {
+        const details = await resolveMinecraftVersion(minecraftVersion);
+        return {
+            flavorVersion: null,
+            server: { url: details.server.url, sha1: details.server.sha1, sha256: null }
+        };
+    }
+};
@@ -0,0 +1,200 @@
+// webapp/lib/idle-watcher.js
+// Stops (or tears down) servers nobody is playing on. Every check pings each
+// Ready server; once it has had no players for the server's idleMinutes, the
+// world is saved and the server stopped or deleted, as its policy says.
+//
+// The policy lives on the server record ({ action, idleMinutes }) and the
+// watcher keeps what it has seen there too (record.idle), so a countdown
+// survives across function invocations.
+
+const { ValidationError } = require('./errors');
+const { pingServer, DEFAULT_PORT } = require('./minecraft-ping');
+const { listMinesibleStacks, groupServerStacks, serverStackIds } = require('./server-stacks');
+const {
+    listServerRecords,
+    createServerRecord,
+    updateServerRecord,
+    findRecordForServer
+} = require('./server-records');
+const { getJob, isTerminal } = require('./jobs');
+const { startPowerJob, startDeleteServerJob } = require('./server-jobs');
+
+const IDLE_ACTIONS = ['off', 'stop', 'delete'];
+const MIN_IDLE_MINUTES = 5;
+const MAX_IDLE_MINUTES = 24 * 60;
+
+// Jobs started by the watcher are recorded as this user in the audit log
+const IDLE_WATCHER_USER = { username: 'idle-watcher', role: 'system' };
+
+// Servers without a policy of their own (and deploys that don't choose one)
+function defaultIdlePolicy() {
+    const action = process.env.IDLE_DEFAULT_ACTION || 'off';
+    return {
+        action: IDLE_ACTIONS.includes(action) ? action : 'off',
+        idleMinutes: Number(process.env.IDLE_TIMEOUT_MINUTES) || 30
+    };
+}
+
+// Validate a policy from a request; missing fields keep the current values
+function normalizeIdlePolicy(policy, current = defaultIdlePolicy()) {
+    if (!policy || typeof policy !== 'object') {
+        throw new ValidationError('Idle policy must be an object: { "action": "stop", "idleMinutes": 30 }');
+    }
+
+    const action = policy.action === undefined ? current.action : policy.action;
+    if (!IDLE_ACTIONS.includes(action)) {
+        throw new ValidationError(`Idle action must be one of: ${IDLE_ACTIONS.join(', ')}`, { actions: IDLE_ACTIONS });
+    }
+
+    const idleMinutes = policy.idleMinutes === undefined ? current.idleMinutes : Number(policy.idleMinutes);
+    if (!Number.isInteger(idleMinutes) || idleMinutes < MIN_IDLE_MINUTES || idleMinutes > MAX_IDLE_MINUTES) {
+        throw new ValidationError(`Idle minutes must be a whole number from ${MIN_IDLE_MINUTES} to ${MAX_IDLE_MINUTES}`);
+    }
+
+    return { action, idleMinutes };
+}
+
+// Whether the watcher pings this server at all
+function isIdleWatched(record) {
+    return ((record && record.idlePolicy) || defaultIdlePolicy()).action !== 'off';
+}
+
+// What the UI shows on a card: the policy and, while the server is empty,
+// when it will be idled out
+function idleStatus(record) {
+    const policy = (record && record.idlePolicy) || defaultIdlePolicy();
+    const idle = (record && record.idle) || {};
+    const emptySince = policy.action !== 'off' ? idle.emptySince || null : null;
+
+    return {
+        action: policy.action,
+        idleMinutes: policy.idleMinutes,
+        players: idle.players === undefined ? null : idle.players,
+        lastCheckedAt: idle.lastCheckedAt || null,
+        emptySince,
+        idlesAt: emptySince ? new Date(new Date(emptySince).getTime() + policy.idleMinutes * 60000).toISOString() : null,
+        jobId: idle.jobId || null
+    };
+}
+
+// Add idle status to server cards from groupServerStacks
+async function attachIdleStatus(servers, records = null) {
+    const allRecords = records || await listServerRecords();
+    return servers.map(server => ({ ...server, idle: idleStatus(findRecordForServer(allRecords, server)) }));
+}
+
+async function jobIsRunning(jobId) {
+    if (!jobId) return false;
+    try {
+        return !isTerminal(await getJob(jobId));
+    } catch (error) {
+        return false;
+    }
+}
+
+async function startIdleAction(action, server) {
+    const options = { saveWorld: true, requestedBy: IDLE_WATCHER_USER };
+    return action === 'delete'
+        ? startDeleteServerJob(server.opentofu.id, options)
+        : startPowerJob('stop', server.opentofu.id, options);
+}
+
+// Check one server; returns a line for the cron response
+async function checkServer(server, record, now, tick) {
+    const policy = (record && record.idlePolicy) || defaultIdlePolicy();
+    const idle = (record && record.idle) || {};
+
+    if (!isIdleWatched(record)) {
+        return { server: server.id, skipped: 'idle policy is off' };
+    }
+    if (await jobIsRunning(idle.jobId)) {
+        return { server: server.id, skipped: `idle ${policy.action} job ${idle.jobId} is running` };
+    }
+    if (server.status !== 'Ready' || !server.ip || !server.opentofu) {
+        // Stopped, deploying, ... - start counting again once it is Ready
+        if (record && idle.emptySince) {
+            await updateServerRecord(record.id, { idle: { ...idle, emptySince: null, players: null } });
+        }
+        return { server: server.id, skipped: `status is ${server.status}` };
+    }
+
+    // A cron tick pings every Ready server once for both watchers
+    const status = tick.pings ? tick.pings.get(server.id) : await pingServer(server.ip, DEFAULT_PORT);
+    if (!status) {
+        return { server: server.id, skipped: 'not pinged this tick' };
+    }
+
+    // The watcher needs somewhere to keep the countdown
+    if (!record) {
+        const stackIds = serverStackIds(server);
+        record = await createServerRecord(stackIds);
+        console.log(`Created server record ${record.id} for idle tracking of ${server.name}`);
+    }
+
+    const nextIdle = { ...idle, lastCheckedAt: now.toISOString(), jobId: null };
+
+    if (!status.online) {
+        // Can't tell whether anyone is playing - never idle out on a guess
+        nextIdle.players = null;
+        nextIdle.emptySince = null;
+        await updateServerRecord(record.id, { idle: nextIdle });
+        return { server: server.id, players: null, note: `not answering: ${status.error}` };
+    }
+
+    nextIdle.players = status.players.online;
+    if (status.players.online > 0) {
+        nextIdle.emptySince = null;
+        await updateServerRecord(record.id, { idle: nextIdle });
+        return { server: server.id, players: status.players.online };
+    }
+
+    nextIdle.emptySince = idle.emptySince || now.toISOString();
+    const idleMs = now.getTime() - new Date(nextIdle.emptySince).getTime();
+
+    if (idleMs < policy.idleMinutes * 60000) {
+        await updateServerRecord(record.id, { idle: nextIdle });
+        return { server: server.id, players: 0, idleMinutes: Math.floor(idleMs / 60000) };
+    }
+
+    console.log(`${server.name} has been empty for ${policy.idleMinutes} minutes - starting idle ${policy.action}`);
+    const job = await startIdleAction(policy.action, server);
+    await updateServerRecord(record.id, {
+        idle: { ...nextIdle, emptySince: null, jobId: job.id, triggeredAt: now.toISOString(), triggeredAction: policy.action }
+    });
+    return { server: server.id, players: 0, action: policy.action, jobId: job.id };
+}
+
+// Run from the cron tick, which passes { servers, pings, deadline } - see
+// lib/cron-tick.js. One server's failure doesn't stop the others.
+async function checkIdleServers(now = new Date(), tick = {}) {
+    const [servers, records] = await Promise.all([
+        tick.servers || listMinesibleStacks().then(groupServerStacks),
+        listServerRecords()
+    ]);
+
+    const results = [];
+    for (const [index, server] of servers.entries()) {
+        if (tick.deadline && Date.now() >= tick.deadline) {
+            console.log(`Tick budget used up - idle check of ${servers.length - index} server(s) left for the next tick`);
+            break;
+        }
+        try {
+            results.push(await checkServer(server, findRecordForServer(records, server), now, tick));
+        } catch (error) {
+            console.error(`Idle check failed for ${server.name}:`, error.message);
+            results.push({ server: server.id, error: error.message });
+        }
+    }
+    return results;
+}
+
+module.exports = {
+    IDLE_ACTIONS,
+    IDLE_WATCHER_USER,
+    defaultIdlePolicy,
+    normalizeIdlePolicy,
+    isIdleWatched,
+    idleStatus,
+    attachIdleStatus,
+    checkIdleServers
+};
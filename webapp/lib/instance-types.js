@@ -0,0 +1,182 @@
+// webapp/lib/instance-types.js
+// EC2 instance types a server can run on, and the JVM settings that suit
+// them. The playbook starts Minecraft with -Xmx/-Xms set to the heap from
+// here and the GC flags after it (JVM_HEAP_MB / JVM_FLAGS on the Ansible
+// stack, filled from the blueprint's jvm_heap_mb / jvm_flags inputs).
+
+const { ValidationError } = require('./errors');
+
+// memoryMiB and vCPUs as AWS lists them
+const INSTANCE_TYPES = {
+    't3.nano': { memoryMiB: 512, vcpus: 2 },
+    't3.micro': { memoryMiB: 1024, vcpus: 2 },
+    't3.small': { memoryMiB: 2048, vcpus: 2 },
+    't3.medium': { memoryMiB: 4096, vcpus: 2 },
+    't3.large': { memoryMiB: 8192, vcpus: 2 },
+    't3.xlarge': { memoryMiB: 16384, vcpus: 4 },
+    't3.2xlarge': { memoryMiB: 32768, vcpus: 8 },
+    't3a.micro': { memoryMiB: 1024, vcpus: 2 },
+    't3a.small': { memoryMiB: 2048, vcpus: 2 },
+    't3a.medium': { memoryMiB: 4096, vcpus: 2 },
+    't3a.large': { memoryMiB: 8192, vcpus: 2 },
+    't3a.xlarge': { memoryMiB: 16384, vcpus: 4 },
+    't3a.2xlarge': { memoryMiB: 32768, vcpus: 8 },
+    'm5.large': { memoryMiB: 8192, vcpus: 2 },
+    'm5.xlarge': { memoryMiB: 16384, vcpus: 4 },
+    'm5.2xlarge': { memoryMiB: 32768, vcpus: 8 },
+    'c5.large': { memoryMiB: 4096, vcpus: 2 },
+    'c5.xlarge': { memoryMiB: 8192, vcpus: 4 },
+    'c5.2xlarge': { memoryMiB: 16384, vcpus: 8 },
+    'r5.large': { memoryMiB: 16384, vcpus: 2 },
+    'r5.xlarge': { memoryMiB: 32768, vcpus: 4 }
+};
+
+// The playbook's heap when nothing is set (and for types not listed above)
+const DEFAULT_HEAP_MB = 1024;
+const MIN_HEAP_MB = 256;
+// What an override must leave for the OS, sshd and the JVM's own overhead
+const MIN_OS_RESERVE_MB = 512;
+// Heap sizes are rounded down to this
+const HEAP_STEP_MB = 256;
+const MAX_FLAGS_LENGTH = 1000;
+
+// G1 tuned for Minecraft's allocation pattern (the widely used "Aikar" flags);
+// bigger heaps get bigger regions and young generation
+const G1_FLAGS = [
+    '-XX:+UseG1GC',
+    '-XX:+ParallelRefProcEnabled',
+    '-XX:MaxGCPauseMillis=200',
+    '-XX:+UnlockExperimentalVMOptions',
+    '-XX:+DisableExplicitGC',
+    '-XX:+AlwaysPreTouch',
+    '-XX:G1HeapWastePercent=5',
+    '-XX:G1MixedGCCountTarget=4',
+    '-XX:G1MixedGCLiveThresholdPercent=90',
+    '-XX:G1RSetUpdatingPauseIntervalPercent=5',
+    '-XX:SurvivorRatio=32',
+    '-XX:+PerfDisableSharedMem',
+    '-XX:MaxTenuringThreshold=1'
+];
+const G1_FLAGS_SMALL = ['-XX:G1NewSizePercent=30', '-XX:G1MaxNewSizePercent=40', '-XX:G1HeapRegionSize=8M', '-XX:G1ReservePercent=20', '-XX:InitiatingHeapOccupancyPercent=15'];
+const G1_FLAGS_LARGE = ['-XX:G1NewSizePercent=40', '-XX:G1MaxNewSizePercent=50', '-XX:G1HeapRegionSize=16M', '-XX:G1ReservePercent=15', '-XX:InitiatingHeapOccupancyPercent=20'];
+
+// One JVM option per token; nothing a shell would interpret. -Xmx/-Xms come
+// from the heap setting, not the flags.
+const FLAG_PATTERN = /^-(XX:[+-]?[A-Za-z0-9]+(=[A-Za-z0-9.%_:/-]+)?|D[A-Za-z0-9._-]+=[A-Za-z0-9._:/-]*|Xss[0-9]+[kKmM]?)$/;
+
+function getInstanceType(instanceType) {
+    const spec = INSTANCE_TYPES[instanceType];
+    return spec ? { instanceType, ...spec } : null;
+}
+
+// The most heap an instance type can take, or null for unknown types
+function maxHeapMb(instanceType) {
+    const spec = getInstanceType(instanceType);
+    return spec ? spec.memoryMiB - MIN_OS_RESERVE_MB : null;
+}
+
+function recommendedGcFlags(heapMb) {
+    // G1 has nothing to gain below 1 GiB - the serial collector uses less memory
+    if (heapMb < 1024) {
+        return '-XX:+UseSerialGC';
+    }
+    return [...G1_FLAGS, ...(heapMb >= 12 * 1024 ? G1_FLAGS_LARGE : G1_FLAGS_SMALL)].join(' ');
+}
+
+// A quarter of the memory (at least 512 MiB, at most 2 GiB) is left for
+// everything but the heap: t3.micro gets 512M, t3.medium 3072M, t3.large 6144M
+function recommendJvmSettings(instanceType) {
+    const spec = getInstanceType(instanceType);
+    if (!spec) {
+        return null;
+    }
+
+    const reserve = Math.min(Math.max(spec.memoryMiB / 4, MIN_OS_RESERVE_MB), 2048);
+    const heapMb = Math.max(MIN_HEAP_MB, Math.floor((spec.memoryMiB - reserve) / HEAP_STEP_MB) * HEAP_STEP_MB);
+    return { heapMb, flags: recommendedGcFlags(heapMb) };
+}
+
+// Check an override ({ heapMb, flags }, either may be left out) against the
+// instance type's memory. Returns the cleaned override.
+function normalizeJvmOverride(override, instanceType) {
+    if (!override || typeof override !== 'object') {
+        throw new ValidationError('JVM settings must be an object: { "heapMb": 3072, "flags": "-XX:+UseG1GC" }');
+    }
+
+    const result = {};
+    const fieldErrors = {};
+
+    if (override.heapMb !== undefined && override.heapMb !== null && override.heapMb !== '') {
+        const heapMb = Number(override.heapMb);
+        const limit = maxHeapMb(instanceType);
+        if (!Number.isInteger(heapMb) || heapMb < MIN_HEAP_MB) {
+            fieldErrors['jvm.heapMb'] = `Heap must be a whole number of MiB, at least ${MIN_HEAP_MB}`;
+        } else if (limit !== null && heapMb > limit) {
+            fieldErrors['jvm.heapMb'] = `A ${instanceType} has ${getInstanceType(instanceType).memoryMiB} MiB - the heap can be at most ${limit} MiB`;
+        } else {
+            result.heapMb = heapMb;
+        }
+    }
+
+    if (override.flags !== undefined && override.flags !== null && String(override.flags).trim() !== '') {
+        const flags = String(override.flags).trim().split(/\s+/);
+        const invalid = flags.filter(flag => !FLAG_PATTERN.test(flag));
+        if (String(override.flags).length > MAX_FLAGS_LENGTH) {
+            fieldErrors['jvm.flags'] = `JVM flags can be at most ${MAX_FLAGS_LENGTH} characters`;
+        } else if (invalid.length > 0) {
+            fieldErrors['jvm.flags'] = `Not allowed as JVM flags: ${invalid.join(' ')} (use -XX:, -D or -Xss options; the heap is set separately)`;
+        } else {
+            result.flags = flags.join(' ');
+        }
+    }
+
+    if (Object.keys(fieldErrors).length > 0) {
+        throw new ValidationError(`Invalid JVM settings: ${Object.values(fieldErrors).join('; ')}`, { fields: fieldErrors });
+    }
+    return result;
+}
+
+// The settings a server runs with: the override where given, otherwise the
+// recommendation. An override that no longer fits (after a resize) is dropped.
+function resolveJvmSettings(instanceType, override = null) {
+    const recommended = recommendJvmSettings(instanceType) || { heapMb: DEFAULT_HEAP_MB, flags: '' };
+    const limit = maxHeapMb(instanceType);
+    const heapFits = override && override.heapMb && (limit === null || override.heapMb <= limit);
+
+    return {
+        heapMb: heapFits ? override.heapMb : recommended.heapMb,
+        flags: override && override.flags ? override.flags : recommended.flags,
+        recommended: !(heapFits || (override && override.flags))
+    };
+}
+
+// Blueprint input values for settings from resolveJvmSettings. Empty flags
+// are left out so the playbook's default applies.
+function jvmInputValues(settings) {
+    const values = { jvm_heap_mb: String(settings.heapMb) };
+    if (settings.flags) {
+        values.jvm_flags = settings.flags;
+    }
+    return values;
+}
+
+// For the deploy form: every listed type with its recommendation
+function instanceTypeCatalog() {
+    return Object.keys(INSTANCE_TYPES).map(instanceType => ({
+        ...getInstanceType(instanceType),
+        maxHeapMb: maxHeapMb(instanceType),
+        recommended: recommendJvmSettings(instanceType)
+    }));
+}
+
+module.exports = {
+    DEFAULT_HEAP_MB,
+    MIN_HEAP_MB,
+    getInstanceType,
+    maxHeapMb,
+    recommendJvmSettings,
+    normalizeJvmOverride,
+    resolveJvmSettings,
+    jvmInputValues,
+    instanceTypeCatalog
+};
@@ -0,0 +1,292 @@
+// webapp/lib/jobs.js
+// Background jobs for operations that take longer than one HTTP request
+// (serverless functions time out after a few seconds).
+//
+// A job is a small state machine persisted in the store. Each step does one
+// short piece of work and says what comes next - optionally after a delay.
+// Waiting is never done in-process: the job records when it may run again
+// and whoever touches it next (a poll of GET /api/jobs/:id, the cron tick or
+// the local dev runner) picks it up from the step it stopped at. Whoever
+// touches it takes a lease with a conditional write, so two overlapping
+// callers never run the same step.
+//
+// Finished jobs are kept for JOB_RETENTION_DAYS (default 7), then the cron
+// tick deletes them.
+
+const crypto = require('crypto');
+const {
+    getDocument,
+    getVersionedDocument,
+    putDocument,
+    putDocumentIfUnchanged,
+    deleteDocument,
+    listDocuments
+} = require('./store');
+const { ApiError, NotFoundError, ValidationError } = require('./errors');
+
+const COLLECTION = 'jobs';
+
+// How long one invocation may spend advancing a job before handing it back
+const RUN_BUDGET_MS = Number(process.env.JOB_RUN_BUDGET_MS) || 8000;
+// A job locked by an invocation that died is picked up again after this
+const LOCK_MS = 60 * 1000;
+// Failed steps are retried this many times before the job fails
+const MAX_STEP_ATTEMPTS = 3;
+// Finished jobs are deleted after this
+const RETENTION_MS = (Number(process.env.JOB_RETENTION_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+const TERMINAL_STATUSES = ['succeeded', 'failed'];
+
+// type -> { firstStep, steps: { name: async (job, log) => outcome }, onFinish }
+//
+// A step may change job.data and returns one of:
+//   { next: 'stepName', delayMs: 10000 }  - continue (after an optional delay)
+//   { done: true, result: {...} }         - finished successfully
+//   { fail: 'reason', result: {...} }     - finished with an error (result optional)
+//
+// onFinish(job), if given, runs once when the job succeeds or fails.
+const jobTypes = {};
+
+function registerJobType(type, definition) {
+    if (!definition.steps || !definition.steps[definition.firstStep]) {
+        throw new Error(`Job type ${type} has no first step`);
+    }
+    jobTypes[type] = definition;
+}
+
+function isTerminal(job) {
+    return TERMINAL_STATUSES.includes(job.status);
+}
+
+async function createJob(type, params = {}, fields = {}) {
+    if (!jobTypes[type]) {
+        throw new ValidationError(`Unknown job type: ${type}`);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+        id: `job-${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`,
+        type,
+        status: 'queued',
+        step: jobTypes[type].firstStep,
+        params,
+        data: {},
+        statusUpdates: [],
+        result: null,
+        error: null,
+        attempts: 0,
+        runAfter: null,
+        lockedUntil: null,
+        createdAt: now,
+        updatedAt: now,
+        finishedAt: null,
+        ...fields
+    };
+
+    await putDocument(COLLECTION, job.id, job);
+    console.log(`Created ${type} job ${job.id}`);
+    return job;
+}
+
+function assertJobId(jobId) {
+    if (!/^job-[a-z0-9-]+$/.test(jobId || '')) {
+        throw new ValidationError(`Invalid job id: ${jobId}`);
+    }
+}
+
+async function getJob(jobId) {
+    assertJobId(jobId);
+    const job = await getDocument(COLLECTION, jobId);
+    if (!job) {
+        throw new NotFoundError(`Job not found: ${jobId}`);
+    }
+    return job;
+}
+
+async function saveJob(job) {
+    job.updatedAt = new Date().toISOString();
+    return putDocument(COLLECTION, job.id, job);
+}
+
+async function listJobs(filters = {}) {
+    const jobs = await listDocuments(COLLECTION);
+    return jobs
+        .filter(job => !filters.type || job.type === filters.type)
+        .filter(job => !filters.status || job.status === filters.status)
+        .filter(job => !filters.target || job.target === filters.target)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function isDue(job, now = Date.now()) {
+    if (isTerminal(job)) return false;
+    if (job.lockedUntil && new Date(job.lockedUntil).getTime() > now) return false;
+    if (job.runAfter && new Date(job.runAfter).getTime() > now) return false;
+    return true;
+}
+
+// Errors the caller could fix (bad input, missing stack, no permission) will
+// fail the same way again, so they are not retried
+function isRetryable(error) {
+    if (error instanceof ApiError) {
+        return error.status >= 500 || error.status === 429;
+    }
+    return true;
+}
+
+// Run as many steps as the time budget allows. Returns the saved job.
+async function advanceJob(jobId, budgetMs = RUN_BUDGET_MS) {
+    assertJobId(jobId);
+    const versioned = await getVersionedDocument(COLLECTION, jobId);
+    if (!versioned) {
+        throw new NotFoundError(`Job not found: ${jobId}`);
+    }
+    let job = versioned.doc;
+    if (!isDue(job)) {
+        return job;
+    }
+
+    const definition = jobTypes[job.type];
+    if (!definition) {
+        job.status = 'failed';
+        job.error = `Unknown job type: ${job.type}`;
+        job.finishedAt = new Date().toISOString();
+        return saveJob(job);
+    }
+
+    const log = (message, type = 'info') => {
+        job.statusUpdates.push({ timestamp: new Date().toISOString(), message, type });
+        console.log(`[${job.id}] [${type.toUpperCase()}] ${message}`);
+    };
+
+    // Take the lease - only if nobody else took it since the job was read
+    const startedAt = Date.now();
+    job.status = 'running';
+    job.runAfter = null;
+    job.lockedUntil = new Date(startedAt + LOCK_MS).toISOString();
+    job.updatedAt = new Date().toISOString();
+    if (!await putDocumentIfUnchanged(COLLECTION, job.id, job, versioned.version)) {
+        console.log(`Job ${job.id} is being advanced by another caller`);
+        return getJob(jobId);
+    }
+
+    while (!isTerminal(job) && Date.now() - startedAt < budgetMs) {
+        const step = definition.steps[job.step];
+        let outcome;
+
+        try {
+            if (!step) {
+                throw new Error(`Unknown step: ${job.step}`);
+            }
+            outcome = await step(job, log);
+            job.attempts = 0;
+        } catch (error) {
+            job.attempts += 1;
+            if (isRetryable(error) && job.attempts < MAX_STEP_ATTEMPTS) {
+                const delayMs = 5000 * job.attempts;
+                log(`Step "${job.step}" failed (attempt ${job.attempts}/${MAX_STEP_ATTEMPTS}), retrying in ${delayMs / 1000}s: ${error.message}`, 'warning');
+                outcome = { next: job.step, delayMs };
+            } else {
+                log(`Step "${job.step}" failed: ${error.message}`, 'error');
+                outcome = { fail: error.message };
+            }
+        }
+
+        if (outcome.done) {
+            job.status = 'succeeded';
+            job.result = outcome.result || null;
+            job.finishedAt = new Date().toISOString();
+        } else if (outcome.fail) {
+            job.status = 'failed';
+            job.error = outcome.fail;
+            job.result = outcome.result || null;
+            job.finishedAt = new Date().toISOString();
+        } else {
+            job.step = outcome.next;
+            if (outcome.delayMs) {
+                job.status = 'waiting';
+                job.runAfter = new Date(Date.now() + outcome.delayMs).toISOString();
+            }
+        }
+
+        // Persist after every step so a crash resumes from here
+        job = await saveJob(job);
+
+        if (job.status === 'waiting') {
+            break;
+        }
+    }
+
+    if (job.status === 'running') {
+        // Out of budget - let the next caller carry on straight away
+        job.status = 'waiting';
+    }
+    job.lockedUntil = null;
+    job = await saveJob(job);
+
+    // Only the invocation that finished the job gets here with it terminal
+    if (isTerminal(job) && definition.onFinish) {
+        try {
+            await definition.onFinish(job);
+        } catch (error) {
+            console.error(`onFinish for job ${job.id} failed:`, error.message);
+        }
+    }
+    return job;
+}
+
+// Kick off a job without waiting for it. Used right after creating one so
+// long-running processes (local dev) make progress before the first poll.
+function advanceJobInBackground(jobId) {
+    setImmediate(() => {
+        advanceJob(jobId).catch(error => console.error(`Job ${jobId} failed to advance:`, error.message));
+    });
+}
+
+// Delete jobs that finished more than RETENTION_MS ago; returns what is left
+async function pruneFinishedJobs(jobs, now = Date.now()) {
+    const expired = jobs.filter(job => isTerminal(job)
+        && now - new Date(job.finishedAt || job.updatedAt).getTime() > RETENTION_MS);
+    for (const job of expired) {
+        await deleteDocument(COLLECTION, job.id);
+    }
+    if (expired.length > 0) {
+        console.log(`Deleted ${expired.length} finished job(s) older than ${RETENTION_MS / 86400000} days`);
+    }
+    return jobs.filter(job => !expired.includes(job));
+}
+
+// Advance every job that is due - called by the cron tick. The budget is
+// shared by all of them, so the tick ends in time.
+async function runDueJobs(budgetMs = RUN_BUDGET_MS) {
+    const deadline = Date.now() + budgetMs;
+    const jobs = (await pruneFinishedJobs(await listDocuments(COLLECTION))).filter(job => isDue(job));
+    const advanced = [];
+
+    for (const [index, job] of jobs.entries()) {
+        const remainingMs = deadline - Date.now();
+        if (remainingMs <= 0) {
+            console.log(`Job budget used up - ${jobs.length - index} due job(s) left for the next tick`);
+            break;
+        }
+        try {
+            const updated = await advanceJob(job.id, remainingMs);
+            advanced.push({ id: updated.id, status: updated.status, step: updated.step });
+        } catch (error) {
+            console.error(`Job ${job.id} failed to advance:`, error.message);
+        }
+    }
+
+    return advanced;
+}
+
+module.exports = {
+    TERMINAL_STATUSES,
+    registerJobType,
+    isTerminal,
+    createJob,
+    getJob,
+    listJobs,
+    advanceJob,
+    advanceJobInBackground,
+    runDueJobs
+};
@@ -0,0 +1,242 @@
+// webapp/lib/label-migration.js
+// One-off migration for stacks created before servers were identified by
+// labels (see lib/server-stacks.js). Unlabelled stacks are paired by their
+// names - the only time names are trusted - and given the server labels.
+
+const { spaceliftQuery } = require('./spacelift');
+const {
+    SERVER_LABEL_PREFIX,
+    ROLE_INFRA,
+    ROLE_CONFIG,
+    stackIdentity,
+    serverLabels,
+    listMinesibleStacks
+} = require('./server-stacks');
+
+// The key the old name matching gave a stack ("Minesible-Ansible-Blueprint-abc"
+// -> "abc", "MyServer-Opentofu-eu" -> "MyServereu")
+function legacyServerKey(name) {
+    const blueprintMatch = (name || '').match(/Blueprint-([A-Za-z0-9]+)$/);
+    if (blueprintMatch) {
+        return blueprintMatch[1];
+    }
+    const manualMatch = (name || '').match(/^(.*?)-(Opentofu|Ansible)(-.*)?$/i);
+    if (manualMatch) {
+        return `${manualMatch[1]}${manualMatch[3] || ''}`.replace(/[^A-Za-z0-9]/g, '') || null;
+    }
+    return null;
+}
+
+function legacyRole(name) {
+    if (/ansible/i.test(name)) return ROLE_CONFIG;
+    if (/opentofu/i.test(name)) return ROLE_INFRA;
+    return null;
+}
+
+// Work out which labels each unlabelled stack would get, without changing
+// anything. Groups that can't be paired safely are skipped with a reason.
+function planLabelMigration(stacks) {
+    const takenKeys = new Set(stacks.map(stack => stackIdentity(stack).serverKey).filter(Boolean));
+    const groups = {};
+    const skipped = [];
+
+    stacks
+        .filter(stack => !stackIdentity(stack).serverKey)
+        .forEach(stack => {
+            const serverKey = legacyServerKey(stack.name);
+            const role = legacyRole(stack.name);
+            if (!serverKey || !role) {
+                skipped.push({ stackIds: [stack.id], names: [stack.name], reason: 'Name does not identify a server and role' });
+                return;
+            }
+            groups[serverKey] = groups[serverKey] || [];
+            groups[serverKey].push({ stack, role });
+        });
+
+    const servers = [];
+    Object.keys(groups).sort().forEach(serverKey => {
+        const members = groups[serverKey];
+        const stackIds = members.map(member => member.stack.id);
+        const names = members.map(member => member.stack.name);
+
+        if (takenKeys.has(serverKey)) {
+            skipped.push({ stackIds, names, reason: `Server key ${serverKey} is already used by labelled stacks` });
+            return;
+        }
+        if ([ROLE_INFRA, ROLE_CONFIG].some(role => members.filter(member => member.role === role).length > 1)) {
+            skipped.push({ stackIds, names, reason: `More than one stack per role matches ${serverKey}` });
+            return;
+        }
+
+        servers.push({
+            serverKey,
+            stacks: members.map(({ stack, role }) => ({
+                id: stack.id,
+                name: stack.name,
+                role,
+                labels: [...new Set([...(stack.labels || []), ...serverLabels(serverKey, role)])]
+            }))
+        });
+    });
+
+    return { servers, skipped };
+}
+
+// Spacelift has no mutation for labels alone - stackUpdate takes the whole
+// stack input, so the current settings are read and sent back unchanged
+async function setStackLabels(stackId, labels) {
+    const settingsQuery = `
+        query GetStackSettings($id: ID!) {
+            stack(id: $id) {
+                id
+                administrative
+                autodeploy
+                autoretry
+                branch
+                description
+                labels
+                localPreviewEnabled
+                name
+                namespace
+                projectRoot
+                protectFromDeletion
+                provider
+                repository
+                runnerImage
+                space
+                workerPool {
+                    id
+                }
+                afterApply
+                afterDestroy
+                afterInit
+                afterPerform
+                afterPlan
+                afterRun
+                beforeApply
+                beforeDestroy
+                beforeInit
+                beforePerform
+                beforePlan
+                vendorConfig {
+                    __typename
+                    ... on StackConfigVendorTerraform {
+                        version
+                        workspace
+                        useSmartSanitization
+                        externalStateAccessEnabled
+                        workflowTool
+                    }
+                    ... on StackConfigVendorAnsible {
+                        playbook
+                    }
+                }
+            }
+        }
+    `;
+
+    const { stack } = await spaceliftQuery(settingsQuery, { id: stackId });
+
+    const vendorConfig = {};
+    if (stack.vendorConfig && stack.vendorConfig.__typename === 'StackConfigVendorTerraform') {
+        const { __typename, ...terraform } = stack.vendorConfig;
+        vendorConfig.terraform = terraform;
+    } else if (stack.vendorConfig && stack.vendorConfig.__typename === 'StackConfigVendorAnsible') {
+        vendorConfig.ansible = { playbook: stack.vendorConfig.playbook };
+    }
+
+    const { id, workerPool, vendorConfig: currentVendorConfig, ...settings } = stack;
+    const input = {
+        ...settings,
+        labels,
+        workerPool: workerPool ? workerPool.id : null,
+        vendorConfig: Object.keys(vendorConfig).length > 0 ? vendorConfig : null
+    };
+
+    const updateMutation = `
+        mutation UpdateStackLabels($id: ID!, $input: StackInput!) {
+            stackUpdate(id: $id, input: $input) {
+                id
+                labels
+            }
+        }
+    `;
+
+    const result = await spaceliftQuery(updateMutation, { id: stackId, input });
+    return result.stackUpdate;
+}
+
+// Label every server in the plan. Carries on past failures and reports them.
+async function applyLabelMigration(plan) {
+    const results = [];
+
+    for (const server of plan.servers) {
+        for (const stack of server.stacks) {
+            try {
+                const updated = await setStackLabels(stack.id, stack.labels);
+                console.log(`Labelled ${stack.name} as ${SERVER_LABEL_PREFIX}${server.serverKey} (${stack.role})`);
+                results.push({ serverKey: server.serverKey, stackId: stack.id, name: stack.name, labels: updated.labels, labelled: true });
+            } catch (error) {
+                console.error(`Failed to label ${stack.name}:`, error.message);
+                results.push({ serverKey: server.serverKey, stackId: stack.id, name: stack.name, labelled: false, error: error.message });
+            }
+        }
+    }
+
+    return results;
+}
+
+// Called right after a blueprint deploy. Blueprints that already set the
+// server labels are left alone; for older blueprint templates the key is
+// taken from the names Spacelift just generated and the labels are added.
+async function labelNewServer(stackIds) {
+    const stackQuery = `
+        query GetNewStack($id: ID!) {
+            stack(id: $id) {
+                id
+                name
+                labels
+            }
+        }
+    `;
+
+    const stacks = [];
+    for (const stackId of stackIds) {
+        const result = await spaceliftQuery(stackQuery, { id: stackId });
+        if (result.stack) {
+            stacks.push(result.stack);
+        }
+    }
+
+    const labelledKey = stacks.map(stack => stackIdentity(stack).serverKey).find(Boolean);
+    const serverKey = labelledKey || stacks.map(stack => legacyServerKey(stack.name)).find(Boolean) || null;
+    if (!serverKey) {
+        console.warn(`Could not work out a server key for stacks ${stackIds.join(', ')}`);
+        return null;
+    }
+
+    for (const stack of stacks) {
+        const identity = stackIdentity(stack);
+        if (identity.serverKey && identity.role) {
+            continue;
+        }
+        const role = legacyRole(stack.name) || ROLE_INFRA;
+        await setStackLabels(stack.id, [...new Set([...(stack.labels || []), ...serverLabels(serverKey, role)])]);
+        console.log(`Labelled new stack ${stack.name} as ${SERVER_LABEL_PREFIX}${serverKey} (${role})`);
+    }
+
+    return serverKey;
+}
+
+async function planLabelMigrationForAllStacks() {
+    return planLabelMigration(await listMinesibleStacks());
+}
+
+module.exports = {
+    legacyServerKey,
+    planLabelMigration,
+    planLabelMigrationForAllStacks,
+    setStackLabels,
+    applyLabelMigration,
+    labelNewServer
+};
@@ -0,0 +1,242 @@
+// webapp/lib/minecraft-ping.js
+// Minecraft Server List Ping (the status handshake the multiplayer screen uses)
+// https://minecraft.wiki/w/Java_Edition_protocol/Server_List_Ping
+
+const net = require('net');
+
+const DEFAULT_PORT = 25565;
+const DEFAULT_TIMEOUT_MS = 5000;
+// -1 means "any version" for status requests
+const STATUS_PROTOCOL_VERSION = -1;
+
+// VarInt: 7 bits per byte, high bit set when more bytes follow
+function encodeVarInt(value) {
+    const bytes = [];
+    let remaining = value >>> 0;
+
+    do {
+        let byte = remaining & 0x7f;
+        remaining >>>= 7;
+        if (remaining !== 0) {
+            byte |= 0x80;
+        }
+        bytes.push(byte);
+    } while (remaining !== 0);
+
+    return Buffer.from(bytes);
+}
+
+// Returns { value, size } or null when the buffer does not hold a full VarInt yet
+function decodeVarInt(buffer, offset = 0) {
+    let value = 0;
+    let size = 0;
+
+    while (true) {
+        if (offset + size >= buffer.length) {
+            return null;
+        }
+        const byte = buffer[offset + size];
+        value |= (byte & 0x7f) << (7 * size);
+        size++;
+
+        if ((byte & 0x80) === 0) {
+            return { value: value | 0, size };
+        }
+        if (size >= 5) {
+            throw new Error('VarInt is too big');
+        }
+    }
+}
+
+function encodeString(text) {
+    const bytes = Buffer.from(text, 'utf8');
+    return Buffer.concat([encodeVarInt(bytes.length), bytes]);
+}
+
+// Length-prefixed packet: VarInt(length) + VarInt(packetId) + data
+function encodePacket(packetId, data = Buffer.alloc(0)) {
+    const body = Buffer.concat([encodeVarInt(packetId), data]);
+    return Buffer.concat([encodeVarInt(body.length), body]);
+}
+
+function encodeHandshake(host, port, protocolVersion = STATUS_PROTOCOL_VERSION) {
+    const portBuffer = Buffer.alloc(2);
+    portBuffer.writeUInt16BE(port);
+
+    return encodePacket(0x00, Buffer.concat([
+        encodeVarInt(protocolVersion),
+        encodeString(host),
+        portBuffer,
+        encodeVarInt(1) // next state: status
+    ]));
+}
+
+// Pull one complete packet off the front of the buffer.
+// Returns { packetId, data, rest } or null if more bytes are needed.
+function readPacket(buffer) {
+    const length = decodeVarInt(buffer);
+    if (!length || buffer.length < length.size + length.value) {
+        return null;
+    }
+
+    const body = buffer.slice(length.size, length.size + length.value);
+    const packetId = decodeVarInt(body);
+
+    return {
+        packetId: packetId.value,
+        data: body.slice(packetId.size),
+        rest: buffer.slice(length.size + length.value)
+    };
+}
+
+// The description is either a string or a chat component tree
+function flattenChatComponent(component) {
+    if (component === null || component === undefined) return '';
+    if (typeof component === 'string') return component;
+    if (Array.isArray(component)) return component.map(flattenChatComponent).join('');
+
+    let text = component.text || component.translate || '';
+    if (Array.isArray(component.extra)) {
+        text += component.extra.map(flattenChatComponent).join('');
+    }
+    return text;
+}
+
+// Remove legacy § formatting codes
+function stripFormatting(text) {
+    return text.replace(/§[0-9a-fk-or]/gi, '');
+}
+
+function parseStatus(json, latency) {
+    const players = json.players || {};
+
+    return {
+        online: true,
+        version: json.version ? { name: json.version.name, protocol: json.version.protocol } : null,
+        motd: stripFormatting(flattenChatComponent(json.description)).trim(),
+        motdRaw: json.description || null,
+        players: {
+            online: typeof players.online === 'number' ? players.online : 0,
+            max: typeof players.max === 'number' ? players.max : 0,
+            sample: Array.isArray(players.sample)
+                ? players.sample.map(player => ({ name: player.name, id: player.id }))
+                : []
+        },
+        favicon: json.favicon || null,
+        latency
+    };
+}
+
+// Ping a server. Always resolves: { online: false, error } when the server
+// does not answer, so callers can show "offline" without try/catch.
+function pingServer(host, port = DEFAULT_PORT, options = {}) {
+    const timeoutMs = options.timeout || DEFAULT_TIMEOUT_MS;
+
+    return new Promise(resolve => {
+        const socket = net.createConnection({ host, port });
+        let buffer = Buffer.alloc(0);
+        let status = null;
+        let statusReceivedAt = null;
+        let pingSentAt = null;
+        let settled = false;
+        const startedAt = Date.now();
+
+        const finish = (result) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            socket.destroy();
+            resolve(result);
+        };
+
+        // Some servers close the socket after the status response instead of
+        // answering the ping - the status round trip is still a usable latency
+        const finishWithStatus = () => {
+            if (status) {
+                finish(parseStatus(status, statusReceivedAt - startedAt));
+            }
+        };
+
+        const timer = setTimeout(() => {
+            if (status) {
+                finishWithStatus();
+            } else {
+                finish({ online: false, error: `Timed out after ${timeoutMs}ms` });
+            }
+        }, timeoutMs);
+
+        socket.on('connect', () => {
+            socket.write(encodeHandshake(host, port));
+            socket.write(encodePacket(0x00));
+        });
+
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+
+            try {
+                let packet;
+                while ((packet = readPacket(buffer))) {
+                    buffer = packet.rest;
+
+                    if (packet.packetId === 0x00 && !status) {
+                        const jsonLength = decodeVarInt(packet.data);
+                        const jsonText = packet.data
+                            .slice(jsonLength.size, jsonLength.size + jsonLength.value)
+                            .toString('utf8');
+                        status = JSON.parse(jsonText);
+                        statusReceivedAt = Date.now();
+
+                        const payload = Buffer.alloc(8);
+                        payload.writeBigInt64BE(BigInt(statusReceivedAt));
+                        pingSentAt = Date.now();
+                        socket.write(encodePacket(0x01, payload));
+                    } else if (packet.packetId === 0x01 && status) {
+                        finish(parseStatus(status, Date.now() - pingSentAt));
+                        return;
+                    }
+                }
+            } catch (error) {
+                finish({ online: false, error: `Invalid status response: ${error.message}` });
+            }
+        });
+
+        socket.on('error', error => {
+            if (status) {
+                finishWithStatus();
+            } else {
+                finish({ online: false, error: error.code || error.message });
+            }
+        });
+
+        socket.on('close', () => {
+            if (status) {
+                finishWithStatus();
+            } else {
+                finish({ online: false, error: 'Connection closed before status response' });
+            }
+        });
+    });
+}
+
+// The words of a status response's version name ("Paper 1.21.1", "1.21.1"),
+// so a version is matched whole - 1.21.1 is not in "1.21.10"
+function versionTokens(name) {
+    return String(name || '').split(/[\s,()/]+/).filter(Boolean);
+}
+
+// The Minecraft version a server reports, without the flavor around it
+function reportedVersion(name) {
+    return versionTokens(name).find(token => /^\d+\.\d+(\.\d+)?$/.test(token)) || null;
+}
+
+module.exports = {
+    DEFAULT_PORT,
+    versionTokens,
+    reportedVersion,
+    encodeVarInt,
+    decodeVarInt,
+    encodeString,
+    encodePacket,
+    readPacket,
+    pingServer
+};
@@ -0,0 +1,189 @@
+// webapp/lib/minecraft-versions.js
+// Catalog of Minecraft server versions from Mojang's version manifest. The
+// manifest lists every release and snapshot; each version's own JSON has the
+// server.jar URL, its sha1 and the Java version it needs. Both are cached in
+// the state store, and lib/minecraft-version-manifest.json (the version the
+// playbook used to pin) is used when Mojang can't be reached.
+//
+// This is the vanilla server; lib/flavors/ builds Paper, Fabric and Forge on
+// top of it (they need the same Java as the Minecraft version they run).
+//
+//   MINECRAFT_VERSION_MANIFEST_URL - manifest to read (default: Mojang's v2 manifest)
+
+const { getDocument, putDocument } = require('./store');
+const { ValidationError, NotFoundError } = require('./errors');
+const { fetchJson } = require('./flavors/catalog');
+const BUNDLED_MANIFEST = require('./minecraft-version-manifest.json');
+
+const MANIFEST_URL = process.env.MINECRAFT_VERSION_MANIFEST_URL
+    || 'https://piston-meta.mojang.com/mc/game/version_manifest_v2.json';
+const COLLECTION = 'catalogs';
+const MANIFEST_DOC = 'minecraft-version-manifest';
+// New releases show up within this long
+const MANIFEST_TTL_MS = 6 * 60 * 60 * 1000;
+// After a failed fetch, try Mojang again this soon
+const FALLBACK_TTL_MS = 5 * 60 * 1000;
+const VERSION_TYPES = ['release', 'snapshot'];
+
+// Java versions the playbook can install (Amazon Corretto). A server gets the
+// oldest one that satisfies its version; versions from before Mojang listed
+// a Java version ran on Java 8.
+const JAVA_VERSIONS = [8, 11, 17, 21, 25];
+const LEGACY_JAVA_VERSION = 8;
+
+let cachedManifest = null;
+let cachedUntil = 0;
+
+// Normalise a Mojang manifest into { latest, versions: [{ id, type, releaseTime, url }] },
+// newest first. Old alpha/beta versions have no dedicated server and are left out.
+function parseVersionManifest(manifest) {
+    if (!manifest || !Array.isArray(manifest.versions)) {
+        throw new ValidationError('Not a Minecraft version manifest (no versions list)');
+    }
+
+    const versions = manifest.versions
+        .filter(version => version && typeof version.id === 'string' && VERSION_TYPES.includes(version.type))
+        .map(version => ({
+            id: version.id,
+            type: version.type,
+            releaseTime: version.releaseTime || null,
+            url: version.url || null,
+            // The bundled manifest carries the details inline
+            details: version.downloads ? parseVersionDetails(version) : null
+        }))
+        .sort((a, b) => String(b.releaseTime || '').localeCompare(String(a.releaseTime || '')));
+
+    return {
+        latest: {
+            release: (manifest.latest && manifest.latest.release) || null,
+            snapshot: (manifest.latest && manifest.latest.snapshot) || null
+        },
+        versions
+    };
+}
+
+// The parts of a version JSON the playbook needs
+function parseVersionDetails(versionJson) {
+    const server = versionJson.downloads && versionJson.downloads.server;
+    const requiredJava = versionJson.javaVersion && versionJson.javaVersion.majorVersion
+        ? Number(versionJson.javaVersion.majorVersion)
+        : LEGACY_JAVA_VERSION;
+
+    return {
+        id: versionJson.id,
+        type: versionJson.type,
+        server: server && server.url ? { url: server.url, sha1: server.sha1 || null, size: server.size || null } : null,
+        requiredJava,
+        javaVersion: JAVA_VERSIONS.find(version => version >= requiredJava) || null
+    };
+}
+
+// The manifest from memory, the store, Mojang or the bundled copy - in that
+// order. A stale stored copy is better than the bundled one.
+async function getVersionManifest(forceRefresh = false) {
+    if (!forceRefresh && cachedManifest && Date.now() < cachedUntil) {
+        return cachedManifest;
+    }
+
+    const stored = await getDocument(COLLECTION, MANIFEST_DOC).catch(error => {
+        console.error('Failed to read the cached version manifest:', error.message);
+        return null;
+    });
+    const storedAge = stored ? Date.now() - new Date(stored.fetchedAt).getTime() : Infinity;
+
+    let result;
+    let ttl = MANIFEST_TTL_MS;
+    if (!forceRefresh && stored && storedAge < MANIFEST_TTL_MS) {
+        result = { ...parseVersionManifest(stored.manifest), source: 'cache', fetchedAt: stored.fetchedAt };
+    } else {
+        try {
+            const manifest = await fetchJson(MANIFEST_URL);
+            result = { ...parseVersionManifest(manifest), source: 'mojang', fetchedAt: new Date().toISOString() };
+            console.log(`Fetched Minecraft version manifest: ${result.versions.length} versions, latest ${result.latest.release}`);
+            await putDocument(COLLECTION, MANIFEST_DOC, { fetchedAt: result.fetchedAt, manifest }).catch(error => {
+                console.error('Failed to cache the version manifest:', error.message);
+            });
+        } catch (error) {
+            console.warn('Version manifest unavailable:', error.message);
+            ttl = FALLBACK_TTL_MS;
+            result = stored
+                ? { ...parseVersionManifest(stored.manifest), source: 'cache', fetchedAt: stored.fetchedAt }
+                : { ...parseVersionManifest(BUNDLED_MANIFEST), source: 'bundled', fetchedAt: null };
+        }
+    }
+
+    cachedManifest = result;
+    cachedUntil = Date.now() + ttl;
+    return result;
+}
+
+// Version ids become store document ids ("1.21.10", "25w14a", "1.21.5-rc1")
+function detailsDocId(versionId) {
+    return `minecraft-version-${versionId.replace(/[^A-Za-z0-9._-]/g, '_')}`;
+}
+
+// Server jar and Java version for one version. Version JSONs never change
+// once published, so they are cached for good.
+async function getVersionDetails(versionId) {
+    const manifest = await getVersionManifest();
+    const version = manifest.versions.find(candidate => candidate.id === versionId);
+    if (!version) {
+        throw new NotFoundError(`Unknown Minecraft version: ${versionId}`);
+    }
+    if (version.details) {
+        return version.details;
+    }
+
+    const stored = await getDocument(COLLECTION, detailsDocId(versionId)).catch(() => null);
+    if (stored) {
+        return stored;
+    }
+
+    const details = parseVersionDetails(await fetchJson(version.url));
+    await putDocument(COLLECTION, detailsDocId(versionId), details).catch(error => {
+        console.error(`Failed to cache details for ${versionId}:`, error.message);
+    });
+    return details;
+}
+
+// Check a version can be deployed: it has a server jar and the playbook can
+// install the Java it needs. Returns its details.
+async function resolveMinecraftVersion(versionId) {
+    if (typeof versionId !== 'string' || !/^[A-Za-z0-9._ -]{1,64}$/.test(versionId)) {
+        throw new ValidationError(`Invalid Minecraft version: ${versionId}`);
+    }
+
+    const details = await getVersionDetails(versionId);
+    if (!details.server) {
+        throw new ValidationError(`Minecraft ${versionId} has no server download`);
+    }
+    if (!details.javaVersion) {
+        throw new ValidationError(`Minecraft ${versionId} needs Java ${details.requiredJava}; the playbook can install Java ${JAVA_VERSIONS.join(', ')}`);
+    }
+    return details;
+}
+
+// Which of two versions was released later: < 0 when a is older than b, 0
+// when they are the same, > 0 when a is newer - or null if either is unknown
+async function compareVersions(a, b) {
+    if (a === b) {
+        return 0;
+    }
+    const manifest = await getVersionManifest();
+    const first = manifest.versions.find(version => version.id === a);
+    const second = manifest.versions.find(version => version.id === b);
+    if (!first || !second || !first.releaseTime || !second.releaseTime) {
+        return null;
+    }
+    return new Date(first.releaseTime).getTime() - new Date(second.releaseTime).getTime();
+}
+
+module.exports = {
+    JAVA_VERSIONS,
+    parseVersionManifest,
+    parseVersionDetails,
+    getVersionManifest,
+    getVersionDetails,
+    resolveMinecraftVersion,
+    compareVersions
+};
@@ -0,0 +1,391 @@
+// webapp/lib/notifications.js
+// Discord notifications for server lifecycle events. notify() turns an event
+// into a 'notify' background job that posts an embed to every webhook that
+// wants it - the global ones (DISCORD_WEBHOOK_URLS plus the list admins keep
+// in the state store) and the server's own, from its record - and retries
+// each webhook until it takes the message or runs out of attempts. Nothing
+// here ever fails the action that caused the event.
+//
+//   DISCORD_WEBHOOK_URLS       - webhooks every event goes to, comma separated
+//   NOTIFICATION_WEBHOOK_HOSTS - other host[:port]s a webhook may point at,
+//                                comma separated (e.g. localhost:9000 for a
+//                                local stand-in - plain http is allowed there)
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { getDocument, putDocument } = require('./store');
+const { registerJobType, createJob, advanceJobInBackground } = require('./jobs');
+const { getServerRecord, listServerRecords, findServerRecordByStack, findRecordForServer } = require('./server-records');
+const { ValidationError } = require('./errors');
+
+const SETTINGS_COLLECTION = 'settings';
+const SETTINGS_DOC = 'notifications';
+
+const EVENTS = {
+    'server.deploying': { title: '🚀 Deploying', color: 0x3182ce, description: 'A new server is being deployed' },
+    'server.ready': { title: '✅ Ready', color: 0x38a169, description: 'The server is up - come and play' },
+    'server.save-succeeded': { title: '💾 World saved', color: 0x38a169, description: 'The world was backed up' },
+    'server.save-failed': { title: '⚠️ World save failed', color: 0xe53e3e, description: 'The world could not be backed up' },
+    'server.deleted': { title: '🗑️ Deleted', color: 0x718096, description: 'The server was deleted' }
+};
+const EVENT_IDS = Object.keys(EVENTS);
+
+const DISCORD_HOSTS = ['discord.com', 'discordapp.com', 'ptb.discord.com', 'canary.discord.com'];
+const MAX_WEBHOOKS = 5;
+const REQUEST_TIMEOUT_MS = 10000;
+// Wait before each retry of one webhook; it is given up after the last
+const RETRY_DELAYS_MS = [10000, 30000, 2 * 60 * 1000, 5 * 60 * 1000];
+// Discord's limit on embed field values
+const MAX_FIELD_LENGTH = 1024;
+
+function extraWebhookHosts() {
+    return (process.env.NOTIFICATION_WEBHOOK_HOSTS || '')
+        .split(',')
+        .map(host => host.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+// "https://discord.com/api/webhooks/123/abcdef...wxyz" -> ".../123/••••wxyz".
+// The last path segment of a Discord webhook is its token.
+function maskWebhookUrl(url) {
+    try {
+        const parsed = new URL(url);
+        const segments = parsed.pathname.split('/');
+        const last = segments.length - 1;
+        if (segments[last].length > 8) {
+            segments[last] = `••••${segments[last].slice(-4)}`;
+        }
+        return `${parsed.protocol}//${parsed.host}${segments.join('/')}`;
+    } catch (error) {
+        return '(invalid URL)';
+    }
+}
+
+// Stable id for a webhook, so job data can track it without the token
+function webhookId(url) {
+    return crypto.createHash('sha256').update(url).digest('hex').slice(0, 12);
+}
+
+// A Discord webhook URL, or any http(s) URL on a NOTIFICATION_WEBHOOK_HOSTS host
+function validateWebhookUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(String(url).trim());
+    } catch (error) {
+        throw new ValidationError('Webhook URLs must be full URLs: https://discord.com/api/webhooks/<id>/<token>');
+    }
+
+    if (extraWebhookHosts().includes(parsed.host.toLowerCase())) {
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw new ValidationError(`Webhook URLs must use http or https: ${maskWebhookUrl(parsed.toString())}`);
+        }
+        return parsed.toString();
+    }
+
+    if (parsed.protocol !== 'https:' || !DISCORD_HOSTS.includes(parsed.hostname.toLowerCase())
+        || !/^\/api\/(v\d+\/)?webhooks\/\d+\/[A-Za-z0-9_-]+\/?$/.test(parsed.pathname)) {
+        throw new ValidationError(`Not a Discord webhook URL: ${maskWebhookUrl(parsed.toString())}`);
+    }
+    return parsed.toString();
+}
+
+// Check { webhookUrls, events } from a client against the settings they
+// replace. Clients only ever see masked URLs, so a masked URL that matches
+// a saved one keeps it.
+function normalizeNotificationSettings(input, previous = null) {
+    if (!input || typeof input !== 'object') {
+        throw new ValidationError('Notification settings must be an object: { "webhookUrls": ["https://discord.com/api/webhooks/..."], "events": [...] }');
+    }
+
+    const saved = (previous && previous.webhookUrls) || [];
+    const submitted = input.webhookUrls === undefined ? saved : input.webhookUrls;
+    if (!Array.isArray(submitted)) {
+        throw new ValidationError('webhookUrls must be a list of URLs');
+    }
+    const webhookUrls = submitted
+        .map(url => String(url).trim())
+        .filter(Boolean)
+        .map(url => saved.find(existing => maskWebhookUrl(existing) === url) || validateWebhookUrl(url))
+        .filter((url, index, urls) => urls.indexOf(url) === index);
+    if (webhookUrls.length > MAX_WEBHOOKS) {
+        throw new ValidationError(`At most ${MAX_WEBHOOKS} webhooks`);
+    }
+
+    const events = input.events === undefined ? ((previous && previous.events) || EVENT_IDS) : input.events;
+    if (!Array.isArray(events)) {
+        throw new ValidationError(`events must be a list of: ${EVENT_IDS.join(', ')}`);
+    }
+    const unknown = events.filter(event => !EVENT_IDS.includes(event));
+    if (unknown.length > 0) {
+        throw new ValidationError(`Unknown notification events: ${unknown.join(', ')} (use ${EVENT_IDS.join(', ')})`);
+    }
+
+    return { webhookUrls, events: EVENT_IDS.filter(event => events.includes(event)) };
+}
+
+// What the API shows of a set of settings - never the webhook tokens
+function notificationStatus(settings) {
+    return {
+        webhooks: ((settings && settings.webhookUrls) || []).map(maskWebhookUrl),
+        events: (settings && settings.events) || EVENT_IDS
+    };
+}
+
+// Webhooks from DISCORD_WEBHOOK_URLS; invalid ones are logged and skipped
+function envWebhookUrls() {
+    return (process.env.DISCORD_WEBHOOK_URLS || '')
+        .split(',')
+        .map(url => url.trim())
+        .filter(Boolean)
+        .filter(url => {
+            try {
+                validateWebhookUrl(url);
+                return true;
+            } catch (error) {
+                console.error('Ignoring DISCORD_WEBHOOK_URLS entry:', error.message);
+                return false;
+            }
+        });
+}
+
+async function getGlobalNotificationSettings() {
+    const stored = await getDocument(SETTINGS_COLLECTION, SETTINGS_DOC);
+    return stored || { webhookUrls: [], events: EVENT_IDS };
+}
+
+async function saveGlobalNotificationSettings(settings) {
+    return putDocument(SETTINGS_COLLECTION, SETTINGS_DOC, { ...settings, updatedAt: new Date().toISOString() });
+}
+
+// Every webhook that wants this event: global ones, then the server's
+async function resolveWebhookUrls(event, recordId = null) {
+    const global = await getGlobalNotificationSettings().catch(error => {
+        console.error('Failed to read notification settings:', error.message);
+        return null;
+    });
+    const record = recordId ? await getServerRecord(recordId).catch(() => null) : null;
+
+    const urls = [...envWebhookUrls()];
+    [global, record && record.notifications].forEach(settings => {
+        if (settings && (settings.events || EVENT_IDS).includes(event)) {
+            urls.push(...(settings.webhookUrls || []));
+        }
+    });
+    return urls.filter((url, index) => urls.indexOf(url) === index);
+}
+
+function truncate(value) {
+    const text = String(value);
+    return text.length > MAX_FIELD_LENGTH ? `${text.slice(0, MAX_FIELD_LENGTH - 1)}…` : text;
+}
+
+// payload: { serverKey, ip, instanceType, flavor, minecraftVersion,
+// backupKey, error, requestedBy, message } - whatever the event knows
+function buildEmbed(event, payload = {}) {
+    const spec = EVENTS[event];
+    const fields = [];
+    if (payload.ip) fields.push({ name: 'Connect', value: `\`${payload.ip}\``, inline: true });
+    if (payload.minecraftVersion || payload.flavor) {
+        fields.push({ name: 'Minecraft', value: `${payload.flavor || 'vanilla'} ${payload.minecraftVersion || ''}`.trim(), inline: true });
+    }
+    if (payload.instanceType) fields.push({ name: 'Instance', value: payload.instanceType, inline: true });
+    if (payload.backupKey) fields.push({ name: 'Backup', value: `\`${payload.backupKey}\`` });
+    if (payload.error) fields.push({ name: 'Error', value: payload.error });
+    if (payload.requestedBy) fields.push({ name: 'By', value: payload.requestedBy, inline: true });
+
+    return {
+        title: `${spec.title}: ${payload.serverKey || 'server'}`,
+        description: payload.message || spec.description,
+        color: spec.color,
+        fields: fields.map(field => ({ ...field, value: truncate(field.value) })),
+        timestamp: new Date().toISOString(),
+        footer: { text: 'Minesible' }
+    };
+}
+
+// One attempt. Returns { ok, status, retryable, retryAfterMs, error } - never throws.
+async function postWebhook(url, body) {
+    try {
+        const response = await axios.post(url, body, {
+            timeout: REQUEST_TIMEOUT_MS,
+            validateStatus: () => true
+        });
+        if (response.status >= 200 && response.status < 300) {
+            return { ok: true, status: response.status };
+        }
+
+        // Discord says how long to back off for, in seconds
+        const retryAfter = response.status === 429
+            ? Number((response.data && response.data.retry_after) || response.headers['retry-after'] || 0)
+            : 0;
+        return {
+            ok: false,
+            status: response.status,
+            // A deleted webhook (404) or a bad payload (400) won't get better
+            retryable: response.status === 429 || response.status >= 500,
+            retryAfterMs: retryAfter > 0 ? Math.ceil(retryAfter * 1000) : null,
+            error: `HTTP ${response.status}`
+        };
+    } catch (error) {
+        return { ok: false, status: null, retryable: true, retryAfterMs: null, error: error.code || error.message };
+    }
+}
+
+function messageBody(embed) {
+    return { username: 'Minesible', embeds: [embed] };
+}
+
+// Queue an event for delivery. payload.recordId - or any of payload.stackIds -
+// finds the server's own webhooks. Returns the job, or null when nobody is
+// listening or queueing failed.
+async function notify(event, payload = {}) {
+    try {
+        if (!EVENTS[event]) {
+            throw new Error(`Unknown notification event: ${event}`);
+        }
+
+        let recordId = payload.recordId || null;
+        for (const stackId of (recordId ? [] : payload.stackIds || [])) {
+            const record = await findServerRecordByStack(stackId);
+            if (record) {
+                recordId = record.id;
+                break;
+            }
+        }
+
+        const urls = await resolveWebhookUrls(event, recordId);
+        if (urls.length === 0) {
+            return null;
+        }
+
+        const job = await createJob('notify', { event, recordId, embed: buildEmbed(event, payload) });
+        console.log(`Queued ${event} notification for ${payload.serverKey || recordId || 'server'} to ${urls.length} webhook(s): ${job.id}`);
+        advanceJobInBackground(job.id);
+        return job;
+    } catch (error) {
+        console.error(`Failed to queue ${event} notification:`, error.message);
+        return null;
+    }
+}
+
+// Send a test message to the given webhooks straight away - one attempt
+// each, so the caller sees what Discord (or the stand-in) answered
+async function sendTestNotification(urls, { user = null, scope = 'global' } = {}) {
+    const embed = {
+        title: '🔔 Test notification',
+        description: `Minesible ${scope} notifications reach this channel.`,
+        color: 0x805ad5,
+        fields: user ? [{ name: 'Sent by', value: user, inline: true }] : [],
+        timestamp: new Date().toISOString(),
+        footer: { text: 'Minesible' }
+    };
+
+    const results = [];
+    for (const url of urls) {
+        const outcome = await postWebhook(url, messageBody(embed));
+        console.log(`Test notification to ${maskWebhookUrl(url)}: ${outcome.ok ? 'delivered' : outcome.error}`);
+        results.push({ webhook: maskWebhookUrl(url), delivered: outcome.ok, status: outcome.status, error: outcome.ok ? null : outcome.error });
+    }
+    return results;
+}
+
+// ---- notify ----
+// params: { event, recordId, embed }
+// Webhooks are looked up again on every attempt (so tokens never sit in the
+// job) and tracked in job.data.deliveries by webhookId.
+
+registerJobType('notify', {
+    firstStep: 'send',
+    steps: {
+        async send(job, log) {
+            const urls = await resolveWebhookUrls(job.params.event, job.params.recordId);
+            job.data.deliveries = job.data.deliveries || {};
+            let nextDelayMs = null;
+
+            for (const url of urls) {
+                const id = webhookId(url);
+                const delivery = job.data.deliveries[id] = job.data.deliveries[id] || {
+                    webhook: maskWebhookUrl(url),
+                    attempts: 0,
+                    delivered: false,
+                    gaveUp: false,
+                    nextAttemptAt: null,
+                    lastError: null
+                };
+                if (delivery.delivered || delivery.gaveUp) {
+                    continue;
+                }
+
+                const waitMs = delivery.nextAttemptAt ? new Date(delivery.nextAttemptAt).getTime() - Date.now() : 0;
+                if (waitMs > 0) {
+                    nextDelayMs = nextDelayMs === null ? waitMs : Math.min(nextDelayMs, waitMs);
+                    continue;
+                }
+
+                const outcome = await postWebhook(url, messageBody(job.params.embed));
+                delivery.attempts += 1;
+                if (outcome.ok) {
+                    delivery.delivered = true;
+                    delivery.nextAttemptAt = null;
+                    log(`✅ Delivered ${job.params.event} to ${delivery.webhook}`, 'success');
+                    continue;
+                }
+
+                delivery.lastError = outcome.error;
+                if (!outcome.retryable || delivery.attempts > RETRY_DELAYS_MS.length) {
+                    delivery.gaveUp = true;
+                    log(`❌ Giving up on ${delivery.webhook} after ${delivery.attempts} attempt(s): ${outcome.error}`, 'error');
+                    continue;
+                }
+
+                const delayMs = Math.max(outcome.retryAfterMs || 0, RETRY_DELAYS_MS[delivery.attempts - 1]);
+                delivery.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+                log(`⚠️ ${delivery.webhook} failed (${outcome.error}) - retrying in ${Math.round(delayMs / 1000)}s`, 'warning');
+                nextDelayMs = nextDelayMs === null ? delayMs : Math.min(nextDelayMs, delayMs);
+            }
+
+            if (nextDelayMs !== null) {
+                return { next: 'send', delayMs: nextDelayMs };
+            }
+
+            const deliveries = Object.values(job.data.deliveries);
+            const undelivered = deliveries.filter(delivery => delivery.gaveUp);
+            if (undelivered.length > 0) {
+                return {
+                    fail: `Not delivered to ${undelivered.map(delivery => delivery.webhook).join(', ')}`,
+                    result: { deliveries }
+                };
+            }
+            return { done: true, result: { deliveries } };
+        }
+    }
+});
+
+// Add each card's own notification settings (masked) for the UI
+async function attachNotifications(servers, records = null) {
+    const allRecords = records || await listServerRecords();
+    return servers.map(server => {
+        const record = findRecordForServer(allRecords, server);
+        return {
+            ...server,
+            notifications: notificationStatus(record && record.notifications)
+        };
+    });
+}
+
+module.exports = {
+    NOTIFICATION_EVENTS: EVENTS,
+    EVENT_IDS,
+    maskWebhookUrl,
+    validateWebhookUrl,
+    normalizeNotificationSettings,
+    notificationStatus,
+    envWebhookUrls,
+    getGlobalNotificationSettings,
+    saveGlobalNotificationSettings,
+    resolveWebhookUrls,
+    buildEmbed,
+    notify,
+    sendTestNotification,
+    attachNotifications
+};
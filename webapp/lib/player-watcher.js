@@ -0,0 +1,106 @@
+// webapp/lib/player-watcher.js
+// Notices players joining, for the player.joined event. Every check pings the
+// Ready servers and compares who is online with what the previous check saw,
+// kept on the server record (record.players). A ping names at most 12 players;
+// when either check saw more than that, a rise in the count is reported
+// without names. Nothing is pinged while no webhook wants the event.
+
+const { pingServer, DEFAULT_PORT } = require('./minecraft-ping');
+const { listMinesibleStacks, groupServerStacks, serverStackIds } = require('./server-stacks');
+const {
+    listServerRecords,
+    createServerRecord,
+    updateServerRecord,
+    findRecordForServer
+} = require('./server-records');
+const { listSubscriptions } = require('./webhooks');
+const { publishEvent } = require('./events');
+
+// Whether any active webhook wants player.joined - nothing is pinged otherwise
+async function wantsPlayerJoins() {
+    const subscriptions = await listSubscriptions();
+    return subscriptions.some(subscription => subscription.active && subscription.events.includes('player.joined'));
+}
+
+// Check one server; returns a line for the cron response
+async function checkServer(server, record, now, tick) {
+    // A cron tick pings every Ready server once for both watchers
+    const status = tick.pings ? tick.pings.get(server.id) : await pingServer(server.ip, DEFAULT_PORT);
+    if (!status) {
+        return { server: server.id, skipped: 'not pinged this tick' };
+    }
+    if (!status.online) {
+        return { server: server.id, players: null, note: `not answering: ${status.error}` };
+    }
+
+    const stackIds = serverStackIds(server);
+    const online = status.players.online;
+    const names = status.players.sample.map(player => player.name);
+    const previous = record && record.players;
+
+    if (!record) {
+        record = await createServerRecord(stackIds);
+        console.log(`Created server record ${record.id} for player tracking of ${server.name}`);
+    }
+    await updateServerRecord(record.id, { players: { online, names, checkedAt: now.toISOString() } });
+
+    // The first look only learns who is already there
+    if (!previous) {
+        return { server: server.id, players: online };
+    }
+
+    const event = {
+        serverKey: server.unlabelled ? null : server.id,
+        recordId: record.id,
+        stackIds,
+        ip: server.ip,
+        playersOnline: online
+    };
+    const namesComplete = names.length === online && previous.names.length === previous.online;
+    const joined = namesComplete ? names.filter(name => !previous.names.includes(name)) : [];
+
+    for (const player of joined) {
+        console.log(`${player} joined ${server.name}`);
+        await publishEvent('player.joined', { ...event, player });
+    }
+    if (!namesComplete && online > previous.online) {
+        console.log(`${online - previous.online} player(s) joined ${server.name}`);
+        await publishEvent('player.joined', { ...event, joinedCount: online - previous.online });
+    }
+
+    return { server: server.id, players: online, joined: namesComplete ? joined.length : Math.max(online - previous.online, 0) };
+}
+
+// Run from the cron tick, which passes { servers, pings, deadline } - see
+// lib/cron-tick.js. One server's failure doesn't stop the others.
+async function checkPlayerJoins(now = new Date(), tick = {}) {
+    if (!await wantsPlayerJoins()) {
+        return [];
+    }
+
+    const [servers, records] = await Promise.all([
+        tick.servers || listMinesibleStacks().then(groupServerStacks),
+        listServerRecords()
+    ]);
+
+    const ready = servers.filter(candidate => candidate.status === 'Ready' && candidate.ip);
+    const results = [];
+    for (const [index, server] of ready.entries()) {
+        if (tick.deadline && Date.now() >= tick.deadline) {
+            console.log(`Tick budget used up - player check of ${ready.length - index} server(s) left for the next tick`);
+            break;
+        }
+        try {
+            results.push(await checkServer(server, findRecordForServer(records, server), now, tick));
+        } catch (error) {
+            console.error(`Player check failed for ${server.name}:`, error.message);
+            results.push({ server: server.id, error: error.message });
+        }
+    }
+    return results;
+}
+
+module.exports = {
+    wantsPlayerJoins,
+    checkPlayerJoins
+};
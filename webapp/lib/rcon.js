@@ -0,0 +1,252 @@
+// webapp/lib/rcon.js
+// Source RCON client for the Minecraft server console
+// https://minecraft.wiki/w/RCON
+//
+// Packet layout (all integers little-endian):
+//   int32 length | int32 request id | int32 type | body (ASCII) | 0x00 | 0x00
+
+const net = require('net');
+const crypto = require('crypto');
+
+const DEFAULT_RCON_PORT = 25575;
+const DEFAULT_TIMEOUT_MS = 5000;
+
+const PACKET_TYPE = {
+    AUTH: 3,
+    AUTH_RESPONSE: 2,
+    EXEC_COMMAND: 2,
+    RESPONSE_VALUE: 0
+};
+
+// Minecraft rejects command bodies longer than this
+const MAX_COMMAND_LENGTH = 1446;
+
+function encodePacket(requestId, type, body = '') {
+    const bodyBuffer = Buffer.from(body, 'utf8');
+    const length = 4 + 4 + bodyBuffer.length + 2;
+    const packet = Buffer.alloc(4 + length);
+
+    packet.writeInt32LE(length, 0);
+    packet.writeInt32LE(requestId, 4);
+    packet.writeInt32LE(type, 8);
+    bodyBuffer.copy(packet, 12);
+    // Two trailing null bytes are already zero from Buffer.alloc
+
+    return packet;
+}
+
+// Split a buffer into complete packets. Returns { packets, rest }.
+function decodePackets(buffer) {
+    const packets = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 4) {
+        const length = buffer.readInt32LE(offset);
+        if (length < 10) {
+            throw new Error(`Invalid RCON packet length: ${length}`);
+        }
+        if (buffer.length - offset < 4 + length) {
+            break;
+        }
+
+        packets.push({
+            requestId: buffer.readInt32LE(offset + 4),
+            type: buffer.readInt32LE(offset + 8),
+            body: buffer.toString('utf8', offset + 12, offset + 4 + length - 2)
+        });
+        offset += 4 + length;
+    }
+
+    return { packets, rest: buffer.slice(offset) };
+}
+
+// Connect errors that mean nothing answers on the port - usually the security
+// group, which keeps it closed until rcon_allowed_cidrs is set
+const UNREACHABLE_CODES = ['ECONNREFUSED', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+function connectionError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    error.unreachable = UNREACHABLE_CODES.includes(code);
+    return error;
+}
+
+class RconClient {
+    constructor(host, port = DEFAULT_RCON_PORT, options = {}) {
+        this.host = host;
+        this.port = port;
+        this.timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+        this.socket = null;
+        this.buffer = Buffer.alloc(0);
+        this.nextRequestId = 1;
+        this.waiters = [];
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.host, port: this.port });
+            const timer = setTimeout(() => {
+                socket.destroy();
+                reject(connectionError(`RCON connection to ${this.host}:${this.port} timed out`, 'ETIMEDOUT'));
+            }, this.timeout);
+
+            socket.once('connect', () => {
+                clearTimeout(timer);
+                this.socket = socket;
+                resolve();
+            });
+
+            socket.once('error', error => {
+                clearTimeout(timer);
+                reject(connectionError(`RCON connection failed: ${error.code || error.message}`, error.code));
+            });
+
+            socket.on('data', chunk => this.handleData(chunk));
+            socket.on('close', () => this.failWaiters(new Error('RCON connection closed')));
+            socket.on('error', error => this.failWaiters(error));
+        });
+    }
+
+    handleData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        let decoded;
+        try {
+            decoded = decodePackets(this.buffer);
+        } catch (error) {
+            this.failWaiters(error);
+            this.close();
+            return;
+        }
+        this.buffer = decoded.rest;
+
+        decoded.packets.forEach(packet => {
+            // Every waiter sees every packet and decides when it is done
+            this.waiters = this.waiters.filter(waiter => !waiter.onPacket(packet));
+        });
+    }
+
+    failWaiters(error) {
+        const waiters = this.waiters;
+        this.waiters = [];
+        waiters.forEach(waiter => waiter.reject(error));
+    }
+
+    // Register a packet handler; onPacket returns true once it has finished
+    waitFor(onPacket, description) {
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                reject: (error) => {
+                    clearTimeout(timer);
+                    reject(error);
+                },
+                onPacket: (packet) => {
+                    const done = onPacket(packet, (value) => {
+                        clearTimeout(timer);
+                        resolve(value);
+                    }, waiter.reject);
+                    return done;
+                }
+            };
+            const timer = setTimeout(() => {
+                this.waiters = this.waiters.filter(w => w !== waiter);
+                reject(new Error(`RCON ${description} timed out after ${this.timeout}ms`));
+            }, this.timeout);
+
+            this.waiters.push(waiter);
+        });
+    }
+
+    async authenticate(password) {
+        const requestId = this.nextRequestId++;
+
+        const response = this.waitFor((packet, resolve, reject) => {
+            if (packet.type !== PACKET_TYPE.AUTH_RESPONSE) {
+                return false;
+            }
+            // The server answers with request id -1 when the password is wrong
+            if (packet.requestId === -1) {
+                reject(new Error('RCON authentication failed: wrong password'));
+            } else {
+                resolve(true);
+            }
+            return true;
+        }, 'authentication');
+
+        this.socket.write(encodePacket(requestId, PACKET_TYPE.AUTH, password));
+        return response;
+    }
+
+    // Run a command and return its full output. Long output is split over
+    // several packets, so a second (invalid) request is sent straight after
+    // the command: its reply marks the end of the command's fragments.
+    async command(command) {
+        if (command.length > MAX_COMMAND_LENGTH) {
+            throw new Error(`RCON command is too long (max ${MAX_COMMAND_LENGTH} characters)`);
+        }
+
+        const requestId = this.nextRequestId++;
+        const terminatorId = this.nextRequestId++;
+        const fragments = [];
+
+        const response = this.waitFor((packet, resolve) => {
+            if (packet.requestId === requestId) {
+                fragments.push(packet.body);
+                return false;
+            }
+            if (packet.requestId === terminatorId) {
+                resolve(fragments.join(''));
+                return true;
+            }
+            return false;
+        }, `command "${command}"`);
+
+        this.socket.write(encodePacket(requestId, PACKET_TYPE.EXEC_COMMAND, command));
+        this.socket.write(encodePacket(terminatorId, PACKET_TYPE.RESPONSE_VALUE, ''));
+        return response;
+    }
+
+    close() {
+        if (this.socket) {
+            this.socket.destroy();
+            this.socket = null;
+        }
+    }
+}
+
+// Connect, authenticate, run one command and disconnect
+async function runRconCommand(host, port, password, command, options = {}) {
+    const client = new RconClient(host, port, options);
+    try {
+        await client.connect();
+        await client.authenticate(password);
+        return await client.command(command);
+    } finally {
+        client.close();
+    }
+}
+
+// RCON passwords are never stored: each server gets a random nonce at deploy
+// time and the password is derived from it with RCON_SECRET
+function generateRconNonce() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+function deriveRconPassword(nonce) {
+    const secret = process.env.RCON_SECRET;
+    if (!secret) {
+        return null;
+    }
+    return crypto.createHmac('sha256', secret).update(`rcon:${nonce}`).digest('base64url').slice(0, 32);
+}
+
+module.exports = {
+    DEFAULT_RCON_PORT,
+    PACKET_TYPE,
+    encodePacket,
+    decodePackets,
+    RconClient,
+    runRconCommand,
+    generateRconNonce,
+    deriveRconPassword
+};
@@ -0,0 +1,31 @@
+// webapp/lib/request.js
+// Reading request bodies. Vercel hands JSON bodies over parsed, unless the
+// Content-Type was off - then they arrive as a string.
+
+const { ValidationError } = require('./errors');
+
+// The JSON body as an object ({} when there is none). Bad JSON is the
+// client's mistake: a ValidationError, so the route answers 400, not 500.
+function parseBody(req) {
+    if (typeof req.body !== 'string') {
+        return req.body || {};
+    }
+    if (!req.body.trim()) {
+        return {};
+    }
+
+    let body;
+    try {
+        body = JSON.parse(req.body);
+    } catch (error) {
+        throw new ValidationError(`Request body is not valid JSON: ${error.message}`);
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new ValidationError('Request body must be a JSON object');
+    }
+    return body;
+}
+
+module.exports = {
+    parseBody
+};
@@ -0,0 +1,238 @@
+// webapp/lib/run-logs.js
+// Spacelift run logs for the page. A run's log is split by the states it went
+// through (INITIALIZING, PLANNING, APPLYING, PERFORMING, ...) - one phase each,
+// read in pages with a continuation token. Reading a run returns what is new
+// since a cursor, so an active run can be followed by asking again with the
+// returned cursor until `finished` and no phase has `more`.
+//
+// The text is passed on as Spacelift sends it, ANSI colour codes included.
+// Only Minesible stacks' runs are readable - logs of other stacks in the
+// account can print their secrets.
+
+const { spaceliftQuery, SPACELIFT_API_URL } = require('./spacelift');
+const { ValidationError, NotFoundError } = require('./errors');
+const { TERMINAL_STATES } = require('./tasks');
+const { isMinesibleStack } = require('./server-stacks');
+
+// Recent runs listed per stack
+const RUN_LIST_SIZE = 10;
+// Pages of one phase read per request - the rest comes with the next cursor
+const MAX_PAGES_PER_PHASE = 20;
+
+// Spacelift timestamps are unix seconds
+function toIso(value) {
+    if (value === null || value === undefined) return null;
+    const date = typeof value === 'number'
+        ? new Date(value > 1000000000000 ? value : value * 1000)
+        : new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Links into the Spacelift UI, on the same account as the API
+function spaceliftUrl(stackId, runId = null) {
+    const base = `${new URL(SPACELIFT_API_URL).origin}/stack/${encodeURIComponent(stackId)}`;
+    return runId ? `${base}/run/${encodeURIComponent(runId)}` : base;
+}
+
+// The cursor is { <phase>: { token, done } }, passed around as base64url JSON
+function decodeCursor(cursor) {
+    if (!cursor) {
+        return {};
+    }
+    try {
+        const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!decoded || typeof decoded !== 'object' || Array.isArray(decoded)) {
+            throw new Error('not an object');
+        }
+        return decoded;
+    } catch (error) {
+        throw new ValidationError('Invalid log cursor');
+    }
+}
+
+function encodeCursor(phases) {
+    return Buffer.from(JSON.stringify(phases)).toString('base64url');
+}
+
+// Other stacks answer like missing ones, so stack ids can't be probed
+function assertServerStack(stack) {
+    if (!isMinesibleStack(stack)) {
+        throw new NotFoundError('Stack not found');
+    }
+}
+
+// The stack and its latest runs, newest first
+async function listStackRuns(stackId) {
+    const stackRunsQuery = `
+        query GetStackRuns($stackId: ID!) {
+            stack(id: $stackId) {
+                id
+                name
+                state
+                labels
+                runs {
+                    id
+                    type
+                    state
+                    createdAt
+                    branch
+                    triggeredBy
+                }
+            }
+        }
+    `;
+
+    const result = await spaceliftQuery(stackRunsQuery, { stackId });
+    assertServerStack(result.stack);
+
+    const { runs, labels, ...stack } = result.stack;
+    return {
+        stack,
+        runs: (runs || [])
+            .map(run => ({
+                id: run.id,
+                type: run.type,
+                state: run.state,
+                finished: TERMINAL_STATES.includes(run.state),
+                createdAt: toIso(run.createdAt),
+                branch: run.branch || null,
+                triggeredBy: run.triggeredBy || null,
+                url: spaceliftUrl(stackId, run.id)
+            }))
+            .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''))
+            .slice(0, RUN_LIST_SIZE),
+        url: spaceliftUrl(stackId)
+    };
+}
+
+// One phase's messages from a token on; stops at the end of what exists so far
+async function readPhase(stackId, runId, state, token) {
+    const runLogsQuery = `
+        query GetRunLogs($stackId: ID!, $runId: ID!, $state: RunState!, $token: String) {
+            stack(id: $stackId) {
+                run(id: $runId) {
+                    logs(state: $state, token: $token) {
+                        finished
+                        hasMore
+                        nextToken
+                        messages {
+                            message
+                        }
+                    }
+                }
+            }
+        }
+    `;
+
+    let text = '';
+    let done = false;
+    let more = false;
+
+    for (let page = 0; page < MAX_PAGES_PER_PHASE; page++) {
+        const result = await spaceliftQuery(runLogsQuery, { stackId, runId, state, token });
+        const logs = result.stack && result.stack.run && result.stack.run.logs;
+        if (!logs) {
+            break;
+        }
+
+        text += logs.messages.map(message => message.message).join('');
+        if (logs.nextToken) {
+            token = logs.nextToken;
+        }
+        if (!logs.hasMore) {
+            done = Boolean(logs.finished);
+            break;
+        }
+        more = page === MAX_PAGES_PER_PHASE - 1;
+    }
+
+    return { text, token, done, more };
+}
+
+// What a run logged since the cursor: { run, phases: [{ state, startedAt, text, finished, more }], cursor }
+async function getRunLogs(stackId, runId, cursor = null) {
+    const seen = decodeCursor(cursor);
+
+    const runQuery = `
+        query GetRunPhases($stackId: ID!, $runId: ID!) {
+            stack(id: $stackId) {
+                id
+                labels
+                run(id: $runId) {
+                    id
+                    type
+                    state
+                    createdAt
+                    history {
+                        state
+                        timestamp
+                        hasLogs
+                    }
+                }
+            }
+        }
+    `;
+
+    const result = await spaceliftQuery(runQuery, { stackId, runId });
+    assertServerStack(result.stack);
+    if (!result.stack.run) {
+        throw new NotFoundError(`Run ${runId} not found on stack ${stackId}`);
+    }
+    const run = result.stack.run;
+
+    // Oldest first; a state can only be logged once
+    const phases = (run.history || [])
+        .filter(transition => transition.hasLogs)
+        .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))
+        .filter((transition, index, all) => all.findIndex(other => other.state === transition.state) === index);
+
+    const next = { ...seen };
+    const output = [];
+    for (const phase of phases) {
+        const previous = seen[phase.state] || {};
+        if (previous.done) {
+            continue;
+        }
+        const read = await readPhase(stackId, runId, phase.state, previous.token || null);
+        next[phase.state] = { token: read.token, done: read.done };
+        output.push({
+            state: phase.state,
+            startedAt: toIso(phase.timestamp),
+            text: read.text,
+            finished: read.done,
+            more: read.more
+        });
+    }
+
+    return {
+        run: {
+            id: run.id,
+            type: run.type,
+            state: run.state,
+            finished: TERMINAL_STATES.includes(run.state),
+            createdAt: toIso(run.createdAt),
+            url: spaceliftUrl(stackId, run.id)
+        },
+        phases: output,
+        cursor: encodeCursor(next)
+    };
+}
+
+// The body of the logs routes (api/logs.js, GET /api/servers/:id/spacelift-logs):
+// the stack's runs, or with ?runId= that run's logs since ?cursor=
+async function spaceliftLogsResponse(stackId, query = {}) {
+    if (!stackId) {
+        throw new ValidationError('Missing stackId parameter');
+    }
+    if (query.runId) {
+        return getRunLogs(stackId, String(query.runId), query.cursor || null);
+    }
+    return listStackRuns(stackId);
+}
+
+module.exports = {
+    spaceliftUrl,
+    listStackRuns,
+    getRunLogs,
+    spaceliftLogsResponse
+};
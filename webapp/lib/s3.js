@@ -0,0 +1,33 @@
+// webapp/lib/s3.js
+// Shared S3 client for the state store and world backups
+
+const { PermissionError, NotFoundError, UpstreamError } = require('./errors');
+
+let s3Client = null;
+
+function getS3Client() {
+    if (!s3Client) {
+        // Loaded lazily so local development does not need AWS credentials
+        const { S3Client } = require('@aws-sdk/client-s3');
+        s3Client = new S3Client({ region: process.env.AWS_REGION || 'us-east-1' });
+    }
+    return s3Client;
+}
+
+// Map AWS SDK failures onto the typed API errors
+function classifyS3Error(error, bucket) {
+    const status = error.$metadata && error.$metadata.httpStatusCode;
+
+    if (error.name === 'AccessDenied' || status === 403) {
+        return new PermissionError(`Access denied to S3 bucket ${bucket}`);
+    }
+    if (error.name === 'NoSuchBucket') {
+        return new NotFoundError(`S3 bucket not found: ${bucket}`);
+    }
+    return new UpstreamError(`S3 request failed: ${error.message}`);
+}
+
+module.exports = {
+    getS3Client,
+    classifyS3Error
+};
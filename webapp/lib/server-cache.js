@@ -0,0 +1,267 @@
+// webapp/lib/server-cache.js
+// Server state kept from Spacelift's webhooks, so the server list doesn't
+// query every stack on every load. Spacelift posts run state changes to
+// /api/spacelift/webhook; each one re-reads that stack and stores it here.
+// The full GraphQL stacks query is only the fallback:
+//
+//   - without SPACELIFT_WEBHOOK_SECRET (nothing keeps the cache current)
+//   - when the last full read is older than FULL_REFRESH_MS
+//   - when the list is refreshed explicitly (GET /api/servers?refresh=true)
+//
+// Every change is also written to a short-lived change feed that browsers
+// read (GET /api/servers/changes?since=) to know when to reload the list.
+//
+//   stack-cache/<stackId>      - { stack, updatedAt, source }
+//   settings/stack-cache       - { refreshedAt } of the last full read
+//   server-changes/<changeId>  - { id, at, stackId, serverKey, role, state, previousState, removed, runId, runState }
+
+const crypto = require('crypto');
+const { getDocument, putDocument, deleteDocument, listDocuments } = require('./store');
+const { listMinesibleStacks, getStack, isMinesibleStack, stackIdentity, stackRole } = require('./server-stacks');
+
+const STACKS = 'stack-cache';
+const CHANGES = 'server-changes';
+const META_COLLECTION = 'settings';
+const META_ID = 'stack-cache';
+
+// A missed webhook (or a stack created outside the web manager) shows up
+// after at most this long
+const FULL_REFRESH_MS = 15 * 60 * 1000;
+// How long browsers can catch up on changes
+const CHANGE_TTL_MS = 10 * 60 * 1000;
+
+function webhookSecret() {
+    return process.env.SPACELIFT_WEBHOOK_SECRET || null;
+}
+
+// Only trusted while Spacelift keeps it current
+function isCacheEnabled() {
+    return Boolean(webhookSecret());
+}
+
+// What the server list shows of a stack - a change to anything else is noise
+function stackFingerprint(stack) {
+    if (!stack) {
+        return null;
+    }
+    const outputs = (stack.outputs || []).map(output => `${output.id}=${output.value}`).sort();
+    return JSON.stringify([stack.name, stack.state, (stack.labels || []).slice().sort(), outputs]);
+}
+
+// Change ids sort by time, so the feed can be read in order
+function newChangeId(now) {
+    return `chg-${now.toString(36).padStart(9, '0')}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+async function recordServerChange(stackId, previous, current, run = null) {
+    const stack = current || previous;
+    const now = Date.now();
+    const change = {
+        id: newChangeId(now),
+        at: new Date(now).toISOString(),
+        stackId,
+        serverKey: stack ? stackIdentity(stack).serverKey : null,
+        role: stack ? stackRole(stack) : null,
+        state: current ? current.state : null,
+        previousState: previous ? previous.state : null,
+        removed: !current,
+        runId: run ? run.id : null,
+        runState: run ? run.state : null
+    };
+    await putDocument(CHANGES, change.id, change);
+    console.log(`Server change: ${stackId} ${change.previousState || '-'} -> ${change.removed ? 'removed' : change.state}`);
+    return change;
+}
+
+async function pruneServerChanges(changes, now = Date.now()) {
+    const expired = changes.filter(change => now - new Date(change.at).getTime() > CHANGE_TTL_MS);
+    await Promise.all(expired.map(change => deleteDocument(CHANGES, change.id)));
+    return changes.filter(change => !expired.includes(change));
+}
+
+// Changes at or after `since` (ms), oldest first
+async function listServerChanges(since = 0) {
+    const changes = await pruneServerChanges(await listDocuments(CHANGES));
+    return changes
+        .filter(change => new Date(change.at).getTime() >= since)
+        .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+// Store the stack's current state; records a change when the list would look different
+async function putCachedStack(stackId, stack, source, run = null) {
+    const entry = await getDocument(STACKS, stackId);
+    const previous = entry ? entry.stack : null;
+
+    if (!stack || !isMinesibleStack(stack)) {
+        if (entry) {
+            await deleteDocument(STACKS, stackId);
+            return recordServerChange(stackId, previous, null, run);
+        }
+        return null;
+    }
+
+    if (stackFingerprint(previous) === stackFingerprint(stack)) {
+        return null;
+    }
+    await putDocument(STACKS, stackId, { stack, updatedAt: new Date().toISOString(), source });
+    return recordServerChange(stackId, previous, stack, run);
+}
+
+// Read stacks again after something changed them (a new deploy, labels)
+async function refreshCachedStacks(stackIds) {
+    if (!isCacheEnabled()) {
+        return [];
+    }
+    const changes = [];
+    for (const stackId of stackIds) {
+        try {
+            const change = await putCachedStack(stackId, await getStack(stackId), 'refresh');
+            if (change) changes.push(change);
+        } catch (error) {
+            console.error(`Failed to refresh cached stack ${stackId}:`, error.message);
+        }
+    }
+    return changes;
+}
+
+// Deleted stacks send no webhook once they are gone
+async function forgetCachedStack(stackId) {
+    if (!isCacheEnabled()) {
+        return null;
+    }
+    try {
+        return await putCachedStack(stackId, null, 'delete');
+    } catch (error) {
+        console.error(`Failed to drop cached stack ${stackId}:`, error.message);
+        return null;
+    }
+}
+
+// Read every stack from Spacelift and bring the cache in line with it
+async function refreshStackCache() {
+    const startedAt = new Date().toISOString();
+    const [stacks, entries, meta] = await Promise.all([
+        listMinesibleStacks(),
+        listDocuments(STACKS),
+        getDocument(META_COLLECTION, META_ID)
+    ]);
+    const cached = new Map(entries.map(entry => [entry.stack.id, entry]));
+    // The first fill is not news
+    const quiet = !meta;
+
+    for (const stack of stacks) {
+        const entry = cached.get(stack.id);
+        cached.delete(stack.id);
+        // A webhook got here while the stacks were being read
+        if (entry && entry.updatedAt > startedAt) {
+            continue;
+        }
+        if (entry && stackFingerprint(entry.stack) === stackFingerprint(stack)) {
+            continue;
+        }
+        await putDocument(STACKS, stack.id, { stack, updatedAt: startedAt, source: 'refresh' });
+        if (!quiet) {
+            await recordServerChange(stack.id, entry ? entry.stack : null, stack);
+        }
+    }
+
+    // Whatever is left is gone from Spacelift
+    for (const [stackId, entry] of cached) {
+        if (entry.updatedAt > startedAt) {
+            continue;
+        }
+        await deleteDocument(STACKS, stackId);
+        if (!quiet) {
+            await recordServerChange(stackId, entry.stack, null);
+        }
+    }
+
+    await putDocument(META_COLLECTION, META_ID, { refreshedAt: startedAt });
+    console.log(`Stack cache refreshed: ${stacks.length} stack(s)`);
+    return stacks;
+}
+
+// Minesible stacks for the server list: { stacks, cache: { source, live, refreshedAt, cursor } }.
+// cursor is the `since` for GET /api/servers/changes.
+async function listCachedStacks({ refresh = false } = {}) {
+    const cursor = Date.now();
+
+    if (!isCacheEnabled()) {
+        return {
+            stacks: await listMinesibleStacks(),
+            cache: { source: 'spacelift', live: false, refreshedAt: new Date(cursor).toISOString(), cursor }
+        };
+    }
+
+    const meta = await getDocument(META_COLLECTION, META_ID);
+    if (refresh || !meta || cursor - new Date(meta.refreshedAt).getTime() > FULL_REFRESH_MS) {
+        const stacks = await refreshStackCache();
+        return {
+            stacks,
+            cache: { source: 'spacelift', live: true, refreshedAt: new Date(cursor).toISOString(), cursor }
+        };
+    }
+
+    const entries = await listDocuments(STACKS);
+    return {
+        stacks: entries.map(entry => entry.stack),
+        cache: { source: 'cache', live: true, refreshedAt: meta.refreshedAt, cursor }
+    };
+}
+
+// ---- Spacelift webhooks ----
+
+// Spacelift signs the raw body: X-Signature-256: sha256=<hex HMAC-SHA256>
+function verifySpaceliftSignature(rawBody, signature) {
+    const secret = webhookSecret();
+    if (!secret || typeof signature !== 'string') {
+        return false;
+    }
+    const expected = `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+    const given = Buffer.from(signature);
+    return given.length === Buffer.byteLength(expected) &&
+        crypto.timingSafeEqual(given, Buffer.from(expected));
+}
+
+// A run state change: { state, run: { id, type, ... }, stack: { id, name, labels } }.
+// The stack is read again for its state and outputs; if Spacelift can't be
+// reached, a tracked run's state stands in for the stack's.
+async function applySpaceliftWebhook(payload) {
+    const stackRef = payload && payload.stack;
+    if (!stackRef || !stackRef.id) {
+        return { ignored: 'no stack in the payload' };
+    }
+
+    const cached = await getDocument(STACKS, stackRef.id);
+    if (!cached && stackRef.labels && !isMinesibleStack(stackRef)) {
+        return { ignored: `${stackRef.id} is not a Minesible stack` };
+    }
+
+    const run = payload.run ? { id: payload.run.id, state: payload.state || payload.run.state || null } : null;
+
+    let stack;
+    try {
+        stack = await getStack(stackRef.id);
+    } catch (error) {
+        console.error(`Failed to read stack ${stackRef.id} after its webhook:`, error.message);
+        if (!cached || !run || !run.state || (payload.run.type && payload.run.type !== 'TRACKED')) {
+            throw error;
+        }
+        stack = { ...cached.stack, state: run.state };
+    }
+
+    const change = await putCachedStack(stackRef.id, stack, 'webhook', run);
+    return { stackId: stackRef.id, change };
+}
+
+module.exports = {
+    FULL_REFRESH_MS,
+    isCacheEnabled,
+    listCachedStacks,
+    refreshStackCache,
+    refreshCachedStacks,
+    forgetCachedStack,
+    listServerChanges,
+    verifySpaceliftSignature,
+    applySpaceliftWebhook
+};
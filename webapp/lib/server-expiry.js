@@ -0,0 +1,206 @@
+// webapp/lib/server-expiry.js
+// Time-to-live for servers (event servers, trials, ...). A server deployed
+// with ttlHours or expiresAt gets a deadline on its record; the scheduler
+// runs the usual save-then-delete job once the deadline has passed.
+
+const { ValidationError, NotFoundError } = require('./errors');
+const { getServerStacks } = require('./server-stacks');
+const { listServerRecords, updateServerRecord, findRecordForServer } = require('./server-records');
+const { getJob, isTerminal } = require('./jobs');
+const { startDeleteServerJob } = require('./server-jobs');
+const { publishEvent } = require('./events');
+
+const MAX_TTL_HOURS = 30 * 24;
+// A delete that failed (usually the world save) is tried again after this,
+// twice as long after each further failure
+const RETRY_AFTER_MS = 30 * 60 * 1000;
+// Failed deletes before the scheduler gives up and leaves it to a person
+const MAX_DELETE_ATTEMPTS = 4;
+
+// Delete jobs started by the scheduler are recorded as this user in the audit log
+const EXPIRY_USER = { username: 'expiry-scheduler', role: 'system' };
+
+// The deadline from { ttlHours } or { expiresAt }, as an ISO string - or null
+// when neither is set. from is when a TTL starts counting.
+function resolveExpiry({ ttlHours, expiresAt }, from = new Date()) {
+    const hasTtl = ttlHours !== undefined && ttlHours !== null && ttlHours !== '';
+    const hasDeadline = expiresAt !== undefined && expiresAt !== null && expiresAt !== '';
+
+    if (hasTtl && hasDeadline) {
+        throw new ValidationError('Give either ttlHours or expiresAt, not both');
+    }
+
+    let deadline = null;
+    if (hasTtl) {
+        const hours = Number(ttlHours);
+        if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_TTL_HOURS) {
+            throw new ValidationError(`ttlHours must be more than 0 and at most ${MAX_TTL_HOURS} hours`);
+        }
+        deadline = new Date(from.getTime() + hours * 3600000);
+    } else if (hasDeadline) {
+        deadline = new Date(expiresAt);
+        if (isNaN(deadline.getTime())) {
+            throw new ValidationError(`Invalid expiresAt time: ${expiresAt}`);
+        }
+    } else {
+        return null;
+    }
+
+    if (deadline.getTime() <= Date.now()) {
+        throw new ValidationError('The expiry must be in the future');
+    }
+    if (deadline.getTime() > Date.now() + MAX_TTL_HOURS * 3600000) {
+        throw new ValidationError(`The expiry can be at most ${MAX_TTL_HOURS / 24} days away`);
+    }
+    return deadline.toISOString();
+}
+
+// Push a deadline back: { hours } adds to the current deadline, { expiresAt }
+// replaces it. Only ever later - shortening a lifetime is a delete.
+function extendExpiry(currentExpiresAt, { hours, expiresAt }) {
+    const current = new Date(currentExpiresAt);
+    const next = hours !== undefined && hours !== null && hours !== ''
+        ? resolveExpiry({ ttlHours: hours }, current.getTime() > Date.now() ? current : new Date())
+        : resolveExpiry({ expiresAt });
+
+    if (!next) {
+        throw new ValidationError('Give hours to add or a new expiresAt');
+    }
+    if (new Date(next).getTime() <= current.getTime()) {
+        throw new ValidationError('The new expiry must be later than the current one', { expiresAt: currentExpiresAt });
+    }
+    return next;
+}
+
+function expiryStatus(record) {
+    if (!record || !record.expiresAt) {
+        return null;
+    }
+    const expiry = record.expiry || {};
+    return {
+        expiresAt: record.expiresAt,
+        jobId: expiry.jobId || null,
+        triggeredAt: expiry.triggeredAt || null,
+        attempts: expiry.attempts || 0,
+        lastError: expiry.lastError || null,
+        gaveUpAt: expiry.gaveUpAt || null
+    };
+}
+
+// Add the expiry to server cards from groupServerStacks
+async function attachExpiry(servers, records = null) {
+    const allRecords = records || await listServerRecords();
+    return servers.map(server => ({ ...server, expiry: expiryStatus(findRecordForServer(allRecords, server)) }));
+}
+
+// Keep the delete's progress on the record - unless the lifetime was extended
+// meanwhile, which starts the count over
+function saveExpiryState(record, expiry) {
+    return updateServerRecord(record.id, current =>
+        (current.expiresAt === record.expiresAt ? { expiry } : {}));
+}
+
+// Check one expired record; returns a line for the cron response
+async function enforceExpiry(record, now) {
+    const expiry = record.expiry || {};
+
+    if (expiry.jobId) {
+        let job = null;
+        try {
+            job = await getJob(expiry.jobId);
+        } catch (error) {
+            // Job documents can be cleaned up - start another
+        }
+        if (job && !isTerminal(job)) {
+            return { record: record.id, skipped: `delete job ${job.id} is running` };
+        }
+        if (job && job.status === 'succeeded') {
+            await saveExpiryState(record, { ...expiry, completedAt: job.finishedAt || now.toISOString() });
+            return { record: record.id, deleted: true };
+        }
+        if (job) {
+            const attempts = expiry.attempts || 1;
+            if (attempts >= MAX_DELETE_ATTEMPTS) {
+                console.error(`Giving up deleting expired server ${record.id} after ${attempts} failed attempts: ${job.error}`);
+                await saveExpiryState(record, { ...expiry, lastError: job.error || null, gaveUpAt: now.toISOString() });
+                await publishEvent('server.failed', {
+                    recordId: record.id,
+                    stackIds: record.stackIds,
+                    error: `The server expired but could not be deleted after ${attempts} attempts: ${job.error} - delete it or extend its lifetime`
+                });
+                return { record: record.id, error: `gave up after ${attempts} failed delete jobs` };
+            }
+            const retryAfterMs = RETRY_AFTER_MS * Math.pow(2, attempts - 1);
+            if (now.getTime() - new Date(expiry.triggeredAt).getTime() < retryAfterMs) {
+                if (expiry.lastError !== job.error) {
+                    await saveExpiryState(record, { ...expiry, lastError: job.error || null });
+                }
+                return { record: record.id, skipped: `delete job ${job.id} failed - trying again later` };
+            }
+        }
+    }
+
+    // Either stack may already be gone after a partly failed delete
+    let server = null;
+    for (const stackId of record.stackIds) {
+        try {
+            server = await getServerStacks(stackId);
+            break;
+        } catch (error) {
+            if (!(error instanceof NotFoundError)) {
+                throw error;
+            }
+        }
+    }
+    if (!server) {
+        // Deleted some other way - nothing left to enforce
+        await saveExpiryState(record, { ...expiry, completedAt: now.toISOString() });
+        return { record: record.id, skipped: 'server no longer exists' };
+    }
+
+    // Start from the OpenTofu stack so both stacks go. A stopped server's
+    // world was saved when it was stopped, and it can't be saved again.
+    const stackId = server.opentofu ? server.opentofu.id : server.stack.id;
+    const saveWorld = server.outputs.instance_state !== 'stopped';
+    const attempts = (expiry.jobId ? expiry.attempts || 1 : 0) + 1;
+    console.log(`Server ${server.serverKey || stackId} expired at ${record.expiresAt} - starting delete (attempt ${attempts}${saveWorld ? '' : ', stopped - no save'})`);
+    const job = await startDeleteServerJob(stackId, { saveWorld, requestedBy: EXPIRY_USER });
+
+    await saveExpiryState(record, { jobId: job.id, triggeredAt: now.toISOString(), attempts, lastError: expiry.lastError || null });
+    return { record: record.id, server: server.serverKey, jobId: job.id };
+}
+
+// Run from the cron tick, which passes its { deadline }. One server's
+// failure doesn't stop the others.
+async function checkExpiredServers(now = new Date(), tick = {}) {
+    const due = (await listServerRecords()).filter(record =>
+        record.expiresAt
+        && new Date(record.expiresAt).getTime() <= now.getTime()
+        && !(record.expiry && (record.expiry.completedAt || record.expiry.gaveUpAt))
+        && Array.isArray(record.stackIds) && record.stackIds.length > 0);
+
+    const results = [];
+    for (const [index, record] of due.entries()) {
+        if (tick.deadline && Date.now() >= tick.deadline) {
+            console.log(`Tick budget used up - ${due.length - index} expired server(s) left for the next tick`);
+            break;
+        }
+        try {
+            results.push(await enforceExpiry(record, now));
+        } catch (error) {
+            console.error(`Expiry check failed for ${record.id}:`, error.message);
+            results.push({ record: record.id, error: error.message });
+        }
+    }
+    return results;
+}
+
+module.exports = {
+    MAX_TTL_HOURS,
+    EXPIRY_USER,
+    resolveExpiry,
+    extendExpiry,
+    expiryStatus,
+    attachExpiry,
+    checkExpiredServers
+};
@@ -0,0 +1,959 @@
+// webapp/lib/server-jobs.js
+// Job types for server operations. Requiring this module registers them,
+// so anything that advances jobs must require it first.
+
+const { spaceliftQuery } = require('./spacelift');
+const { registerJobType, createJob, getJob, listJobs, isTerminal, advanceJobInBackground } = require('./jobs');
+const { getVersionedDocument, putDocument, putDocumentIfUnchanged, deleteDocument } = require('./store');
+const {
+    getServerStacks,
+    stackRole,
+    setStackEnvironment,
+    determineOverallStatus,
+    ROLE_INFRA,
+    INSTANCE_STATE_VAR,
+    INSTANCE_TYPE_VAR,
+    JVM_HEAP_VAR,
+    JVM_FLAGS_VAR,
+    MINECRAFT_VERSION_VARS
+} = require('./server-stacks');
+const { newBackupKey, saveWorldCommand, restoreWorldCommand } = require('./backups');
+const { triggerTask, triggerTrackedRun, confirmRun, getTaskStatus } = require('./tasks');
+const { writeAuditEntry } = require('./audit');
+const { updateServerRecord } = require('./server-records');
+const { pingServer, versionTokens } = require('./minecraft-ping');
+const { ConflictError } = require('./errors');
+const { publishEvent } = require('./events');
+const { forgetCachedStack } = require('./server-cache');
+
+// How often to check on the world save, and how long to wait for it
+const SAVE_POLL_MS = 10000;
+const SAVE_TIMEOUT_MS = 15 * 60 * 1000;
+// Stopping/starting the instance and re-running the playbook take minutes
+const RUN_POLL_MS = 15000;
+const RUN_TIMEOUT_MS = 30 * 60 * 1000;
+// Ansible must be gone before OpenTofu destroys the instance it runs against
+const STACK_DELETE_GAP_MS = 10000;
+// After an upgrade Minecraft has this long to answer pings with the new version
+const VERIFY_POLL_MS = 15000;
+const VERIFY_TIMEOUT_MS = 10 * 60 * 1000;
+// A new or started server has this long to become Ready before nobody is told
+const READY_POLL_MS = 30000;
+const READY_TIMEOUT_MS = 45 * 60 * 1000;
+
+// What a job saves the world for, in save notifications (manual saves say nothing)
+const SAVE_PURPOSES = {
+    'delete-server': 'before deleting the server',
+    'stop-server': 'before stopping the server',
+    'resize-server': 'before resizing the server',
+    'upgrade-server': 'before upgrading Minecraft'
+};
+
+const destroyStackMutation = `
+    mutation DeleteStack($id: ID!, $destroyResources: Boolean) {
+        stackDelete(id: $id, destroyResources: $destroyResources) {
+            id
+        }
+    }
+`;
+
+// Save the world before touching the server: 'save-world' starts the save
+// task on job.data.ansible and 'wait-for-save' moves on to nextStep once it
+// has finished. A save that fails or times out fails the job, so nothing is
+// changed (untouched says what to tell the user).
+// A stopped instance (job.data.instanceState) can't run the save task - its
+// world was saved when it was stopped, so the save is skipped.
+// options: { required } - fail instead of skipping when the server can't be
+// saved; { label(job) } - label for the backup key
+function worldSaveSteps(nextStep, untouched, options = {}) {
+    return {
+        async 'save-world'(job, log) {
+            const { ansible, serverKey } = job.data;
+
+            if (!job.params.saveWorld && !options.required) {
+                log('World not saved (user choice)');
+                return { next: nextStep };
+            }
+            if (job.data.instanceState === 'stopped') {
+                if (options.required) {
+                    log(`❌ The server is stopped and can't be saved - start it first; ${untouched}`, 'error');
+                    return { fail: `Server is stopped - start it first; ${untouched}` };
+                }
+                log('Server is stopped - its world was saved when it was stopped, nothing to save now');
+                return { next: nextStep };
+            }
+            if (!ansible || ansible.state !== 'FINISHED' || !serverKey) {
+                if (options.required) {
+                    log(`❌ The world can't be saved - ${untouched}`, 'error');
+                    return { fail: `Server not available for saving - ${untouched}` };
+                }
+                log('⚠️ World save requested but server not available for saving', 'warning');
+                return { next: nextStep };
+            }
+
+            // A failure to start the save fails the job - nothing is changed
+            const backupKey = newBackupKey(serverKey, new Date(), options.label ? options.label(job) : null);
+            const task = await triggerTask(ansible.id, saveWorldCommand(backupKey));
+            job.data.backupKey = backupKey;
+            job.data.saveTask = { id: task.id, state: task.state, startedAt: new Date().toISOString() };
+            log(`Saving world to ${backupKey} (task ${task.id})...`);
+            log('Waiting for the world save to finish before going on...');
+            return { next: 'wait-for-save', delayMs: SAVE_POLL_MS };
+        },
+
+        async 'wait-for-save'(job, log) {
+            const { ansible, saveTask } = job.data;
+            const status = await getTaskStatus(ansible.id, saveTask.id);
+
+            if (status.state !== saveTask.state) {
+                saveTask.state = status.state;
+                if (!status.finished) {
+                    log(`World save is ${status.phase} (${status.state})`);
+                }
+            }
+
+            if (!status.finished) {
+                if (Date.now() - new Date(saveTask.startedAt).getTime() > SAVE_TIMEOUT_MS) {
+                    log(`❌ World save did not finish within ${SAVE_TIMEOUT_MS / 60000} minutes - ${untouched}`, 'error');
+                    await publishSave(job, 'save.failed', `Timed out after ${SAVE_TIMEOUT_MS / 60000} minutes - ${untouched}`);
+                    return { fail: `World save timed out - ${untouched}` };
+                }
+                return { next: 'wait-for-save', delayMs: SAVE_POLL_MS };
+            }
+
+            if (!status.succeeded) {
+                log(`❌ World save failed: ${status.failureReason} - ${untouched}`, 'error');
+                await publishSave(job, 'save.failed', `${status.failureReason} - ${untouched}`);
+                job.data.backupKey = null;
+                return { fail: `World save failed: ${status.failureReason}` };
+            }
+
+            log(`✅ World saved to ${job.data.backupKey}${status.durationSeconds !== null ? ` in ${status.durationSeconds}s` : ''}`, 'success');
+            await publishSave(job, 'save.completed');
+            return { next: nextStep };
+        }
+    };
+}
+
+async function publishSave(job, type, error = null) {
+    const purpose = SAVE_PURPOSES[job.type];
+    await publishEvent(type, {
+        serverKey: job.data.serverKey,
+        stackIds: [job.params.stackId],
+        backupKey: job.data.backupKey,
+        error,
+        message: purpose ? `World ${error ? 'save failed' : 'saved'} ${purpose}` : null,
+        requestedBy: job.requestedBy ? job.requestedBy.username : null
+    });
+}
+
+// ---- track-save ----
+// params: { stackId, serverKey, ansibleId, taskId, backupKey }
+// A save started from the UI runs on its own; this follows it so its outcome
+// is announced even when nobody keeps the page open.
+
+registerJobType('track-save', {
+    firstStep: 'track',
+    steps: {
+        async track(job) {
+            job.data = {
+                serverKey: job.params.serverKey,
+                ansible: { id: job.params.ansibleId },
+                backupKey: job.params.backupKey,
+                saveTask: { id: job.params.taskId, state: null, startedAt: job.createdAt }
+            };
+            return { next: 'wait-for-save', delayMs: SAVE_POLL_MS };
+        },
+
+        'wait-for-save': worldSaveSteps('finish', 'no backup was made')['wait-for-save'],
+
+        async finish(job) {
+            return { done: true, result: { backupKey: job.data.backupKey } };
+        }
+    }
+});
+
+// ---- watch-ready ----
+// params: { stackId, recordId, reason: 'deploy' | 'start' }
+// Waits for a new or restarted server to become Ready, then announces the
+// address to connect to. Gives up quietly after READY_TIMEOUT_MS.
+
+registerJobType('watch-ready', {
+    firstStep: 'check',
+    steps: {
+        async check(job, log) {
+            const server = await getServerStacks(job.params.stackId);
+            const status = determineOverallStatus(
+                server.opentofu ? server.opentofu.state : 'Missing',
+                server.ansible ? server.ansible.state : 'Missing',
+                server.outputs.instance_state || null
+            );
+
+            if (status === 'Ready' && server.outputs.ec2_ip) {
+                log(`✅ ${server.serverKey || job.params.stackId} is ready at ${server.outputs.ec2_ip}`, 'success');
+                await publishEvent('server.ready', {
+                    serverKey: server.serverKey,
+                    recordId: job.params.recordId,
+                    stackIds: [job.params.stackId],
+                    ip: server.outputs.ec2_ip,
+                    instanceType: server.outputs.instance_type || null,
+                    message: job.params.reason === 'start' ? 'The server was started - come and play' : null
+                });
+                return { done: true, result: { ip: server.outputs.ec2_ip } };
+            }
+            if (status === 'Failed') {
+                await publishEvent('server.failed', {
+                    serverKey: server.serverKey,
+                    recordId: job.params.recordId,
+                    stackIds: [job.params.stackId],
+                    error: `${job.params.reason === 'start' ? 'Start' : 'Deploy'} failed - a stack run failed`
+                });
+                return { fail: `${server.serverKey || job.params.stackId} failed to come up` };
+            }
+            if (Date.now() - new Date(job.createdAt).getTime() > READY_TIMEOUT_MS) {
+                return { fail: `Not ready after ${READY_TIMEOUT_MS / 60000} minutes (${status})` };
+            }
+            return { next: 'check', delayMs: READY_POLL_MS };
+        }
+    }
+});
+
+// ---- delete-server ----
+// params: { stackId, saveWorld }, requestedBy: { username, role } of the user
+// Deleting the OpenTofu stack deletes its Ansible stack first; deleting an
+// Ansible stack only deletes that stack.
+
+registerJobType('delete-server', {
+    firstStep: 'resolve',
+    steps: {
+        async resolve(job, log) {
+            log('Starting server deletion process...');
+            const server = await getServerStacks(job.params.stackId);
+            const requested = server.stack;
+            const deletingOpentofu = stackRole(requested) === ROLE_INFRA;
+
+            log(`Found stack: ${requested.name} (${requested.state})`);
+
+            job.data = {
+                serverKey: server.serverKey,
+                instanceState: server.outputs.instance_state || null,
+                ansible: server.ansible ? { id: server.ansible.id, name: server.ansible.name, state: server.ansible.state } : null,
+                opentofu: deletingOpentofu ? { id: requested.id, name: requested.name } : null,
+                destroyResults: [],
+                backupKey: null
+            };
+
+            if (deletingOpentofu) {
+                if (server.ansible) {
+                    log(`Found dependent Ansible stack: ${server.ansible.name} (${server.ansible.state})`);
+                } else {
+                    log('No dependent Ansible stack found, proceeding with OpenTofu deletion');
+                }
+            } else {
+                log('Ansible stack deletion - no dependencies to check');
+            }
+
+            return { next: 'save-world' };
+        },
+
+        ...worldSaveSteps('delete-ansible', 'server was not deleted'),
+
+        async 'delete-ansible'(job, log) {
+            const { ansible, opentofu } = job.data;
+
+            if (ansible) {
+                log(`Deleting Ansible stack: ${ansible.name}...`, opentofu ? 'warning' : 'info');
+                try {
+                    const result = await spaceliftQuery(destroyStackMutation, { id: ansible.id, destroyResources: true });
+                    job.data.destroyResults.push({ stack: 'ansible', stackId: ansible.id, deleted: true, result: result.stackDelete });
+                    await forgetCachedStack(ansible.id);
+                    log(`✅ Ansible stack deleted successfully: ${ansible.name}`, 'success');
+                } catch (error) {
+                    job.data.destroyResults.push({ stack: 'ansible', stackId: ansible.id, error: error.message });
+                    log(`❌ Ansible stack deletion failed: ${error.message}`, 'error');
+                    if (opentofu) {
+                        log('Continuing with OpenTofu deletion despite Ansible failure...', 'warning');
+                    }
+                }
+            }
+
+            if (!opentofu) {
+                return { next: 'finish' };
+            }
+            if (ansible) {
+                log(`Waiting ${STACK_DELETE_GAP_MS / 1000} seconds before deleting OpenTofu stack...`);
+                return { next: 'delete-opentofu', delayMs: STACK_DELETE_GAP_MS };
+            }
+            return { next: 'delete-opentofu' };
+        },
+
+        async 'delete-opentofu'(job, log) {
+            const { opentofu } = job.data;
+
+            log(`Deleting OpenTofu stack: ${opentofu.name}...`);
+            try {
+                const result = await spaceliftQuery(destroyStackMutation, { id: opentofu.id, destroyResources: true });
+                job.data.destroyResults.push({ stack: 'opentofu', stackId: opentofu.id, deleted: true, result: result.stackDelete });
+                await forgetCachedStack(opentofu.id);
+                log(`✅ OpenTofu stack deleted successfully: ${opentofu.name}`, 'success');
+            } catch (error) {
+                job.data.destroyResults.push({ stack: 'opentofu', stackId: opentofu.id, error: error.message });
+                log(`❌ OpenTofu stack deletion failed: ${error.message}`, 'error');
+            }
+
+            return { next: 'finish' };
+        },
+
+        async finish(job, log) {
+            const { destroyResults, backupKey } = job.data;
+            const failed = destroyResults.filter(result => result.error);
+
+            if (failed.length > 0) {
+                log(`Stack deletion finished with ${failed.length} error(s)`, 'error');
+                return { fail: failed.map(result => `${result.stack}: ${result.error}`).join('; ') };
+            }
+
+            log('Stack deletion process completed', 'success');
+            return {
+                done: true,
+                result: {
+                    destroyResults,
+                    worldSaved: Boolean(backupKey),
+                    backupKey
+                }
+            };
+        }
+    },
+
+    // The request only recorded that deletion started - record how it ended
+    async onFinish(job) {
+        const data = job.data || {};
+        if (job.status === 'succeeded') {
+            await publishEvent('server.deleted', {
+                serverKey: data.serverKey || null,
+                stackIds: [job.params.stackId],
+                backupKey: data.backupKey || null,
+                requestedBy: job.requestedBy ? job.requestedBy.username : null
+            });
+        }
+        await writeAuditEntry({
+            user: job.requestedBy ? job.requestedBy.username : null,
+            role: job.requestedBy ? job.requestedBy.role : null,
+            action: 'server.delete',
+            server: data.serverKey || null,
+            stackIds: [job.params.stackId, data.ansible && data.ansible.id, data.opentofu && data.opentofu.id]
+                .filter((id, index, ids) => id && ids.indexOf(id) === index),
+            inputs: { saveWorld: job.params.saveWorld },
+            result: job.status === 'succeeded' ? 'success' : 'failure',
+            error: job.error,
+            details: {
+                jobId: job.id,
+                backupKey: data.backupKey || null,
+                destroyResults: (data.destroyResults || []).map(result => ({
+                    stack: result.stack,
+                    stackId: result.stackId,
+                    deleted: Boolean(result.deleted),
+                    error: result.error || null
+                }))
+            }
+        });
+    }
+});
+
+// Wait for the tracked run job.data[runField] on job.data[stackField], then go
+// on to nextStep. Runs on stacks without autodeploy are confirmed - starting
+// the job was the confirmation.
+function trackedRunStep(stackField, runField, nextStep) {
+    return async (job, log) => {
+        const stack = job.data[stackField];
+        const run = job.data[runField];
+        const status = await getTaskStatus(stack.id, run.id);
+
+        if (status.state !== run.state) {
+            run.state = status.state;
+            if (!status.finished) {
+                log(`${stack.name} run is ${status.state}`);
+            }
+        }
+
+        if (status.state === 'UNCONFIRMED' && !run.confirmed) {
+            await confirmRun(stack.id, run.id);
+            run.confirmed = true;
+            log(`Confirmed run ${run.id} on ${stack.name}`);
+            return { next: job.step, delayMs: RUN_POLL_MS };
+        }
+
+        if (!status.finished) {
+            if (Date.now() - new Date(run.startedAt).getTime() > RUN_TIMEOUT_MS) {
+                log(`❌ ${stack.name} run did not finish within ${RUN_TIMEOUT_MS / 60000} minutes`, 'error');
+                return { fail: `${stack.name} run ${run.id} timed out` };
+            }
+            return { next: job.step, delayMs: RUN_POLL_MS };
+        }
+
+        if (!status.succeeded) {
+            log(`❌ ${stack.name} run failed: ${status.failureReason}`, 'error');
+            return { fail: `${stack.name} run failed: ${status.failureReason}` };
+        }
+
+        log(`✅ ${stack.name} run finished${status.durationSeconds !== null ? ` in ${status.durationSeconds}s` : ''}`, 'success');
+        return { next: nextStep };
+    };
+}
+
+// Both power jobs start from the server's OpenTofu stack
+async function resolvePowerTarget(job, log) {
+    const server = await getServerStacks(job.params.stackId);
+    if (!server.opentofu) {
+        throw new ConflictError('Server has no OpenTofu stack to stop or start');
+    }
+
+    job.data = {
+        serverKey: server.serverKey,
+        instanceState: server.outputs.instance_state || null,
+        opentofu: { id: server.opentofu.id, name: server.opentofu.name },
+        ansible: server.ansible ? { id: server.ansible.id, name: server.ansible.name, state: server.ansible.state } : null,
+        backupKey: null
+    };
+    log(`Found OpenTofu stack: ${server.opentofu.name} (${server.opentofu.state})`);
+}
+
+// Set the desired instance state on the OpenTofu stack and apply it
+async function applyInstanceState(job, log, instanceState) {
+    const { opentofu } = job.data;
+
+    await setStackEnvironment(opentofu.id, INSTANCE_STATE_VAR, instanceState);
+    log(`Set ${INSTANCE_STATE_VAR}=${instanceState} on ${opentofu.name}`);
+
+    const run = await triggerTrackedRun(opentofu.id);
+    job.data.opentofuRun = { id: run.id, state: run.state, startedAt: new Date().toISOString(), confirmed: false };
+    log(`Applying ${opentofu.name} (run ${run.id})...`);
+}
+
+// Re-run the Ansible stack to (re)start Minecraft on the instance, then wait
+// for it in 'wait-for-ansible'
+async function rerunAnsibleStep(job, log) {
+    const { ansible } = job.data;
+    if (!ansible) {
+        log('⚠️ No Ansible stack found - the instance is running but Minecraft was not started', 'warning');
+        return { next: 'finish' };
+    }
+
+    const run = await triggerTrackedRun(ansible.id);
+    job.data.ansibleRun = { id: run.id, state: run.state, startedAt: new Date().toISOString(), confirmed: false };
+    log(`Re-running ${ansible.name} to start Minecraft (run ${run.id})...`);
+    return { next: 'wait-for-ansible', delayMs: RUN_POLL_MS };
+}
+
+// The request only recorded that the job started - record how it ended.
+// inputsOf picks the job params worth keeping in the log.
+function recordPowerJob(action, inputsOf = () => null) {
+    return async job => {
+        const data = job.data || {};
+        await writeAuditEntry({
+            user: job.requestedBy ? job.requestedBy.username : null,
+            role: job.requestedBy ? job.requestedBy.role : null,
+            action,
+            server: data.serverKey || null,
+            stackIds: [job.params.stackId, data.opentofu && data.opentofu.id, data.ansible && data.ansible.id]
+                .filter((id, index, ids) => id && ids.indexOf(id) === index),
+            inputs: inputsOf(job),
+            result: job.status === 'succeeded' ? 'success' : 'failure',
+            error: job.error,
+            details: {
+                jobId: job.id,
+                backupKey: data.backupKey || null,
+                opentofuRun: data.opentofuRun ? data.opentofuRun.id : null,
+                ansibleRun: data.ansibleRun ? data.ansibleRun.id : null
+            }
+        });
+    };
+}
+
+// ---- stop-server ----
+// params: { stackId, saveWorld }, requestedBy: { username, role } of the user
+// Saves the world, then stops the EC2 instance by applying the OpenTofu stack
+// with instance_state = "stopped". The instance and its disk are kept.
+
+registerJobType('stop-server', {
+    firstStep: 'resolve',
+    steps: {
+        async resolve(job, log) {
+            log('Stopping server...');
+            await resolvePowerTarget(job, log);
+            return { next: 'save-world' };
+        },
+
+        ...worldSaveSteps('stop-instance', 'server was not stopped'),
+
+        async 'stop-instance'(job, log) {
+            await applyInstanceState(job, log, 'stopped');
+            return { next: 'wait-for-opentofu', delayMs: RUN_POLL_MS };
+        },
+
+        'wait-for-opentofu': trackedRunStep('opentofu', 'opentofuRun', 'finish'),
+
+        async finish(job, log) {
+            log('Server stopped - start it again to pick up where it left off', 'success');
+            return {
+                done: true,
+                result: {
+                    instanceState: 'stopped',
+                    worldSaved: Boolean(job.data.backupKey),
+                    backupKey: job.data.backupKey
+                }
+            };
+        }
+    },
+
+    onFinish: recordPowerJob('server.stop', job => ({ saveWorld: job.params.saveWorld }))
+});
+
+// ---- start-server ----
+// params: { stackId }, requestedBy: { username, role } of the user
+// Starts the EC2 instance by applying the OpenTofu stack with instance_state =
+// "running", then re-runs the Ansible stack to start Minecraft on it again.
+
+registerJobType('start-server', {
+    firstStep: 'resolve',
+    steps: {
+        async resolve(job, log) {
+            log('Starting server...');
+            await resolvePowerTarget(job, log);
+            return { next: 'start-instance' };
+        },
+
+        async 'start-instance'(job, log) {
+            await applyInstanceState(job, log, 'running');
+            return { next: 'wait-for-opentofu', delayMs: RUN_POLL_MS };
+        },
+
+        'wait-for-opentofu': trackedRunStep('opentofu', 'opentofuRun', 'run-ansible'),
+
+        'run-ansible': rerunAnsibleStep,
+
+        'wait-for-ansible': trackedRunStep('ansible', 'ansibleRun', 'finish'),
+
+        async finish(job, log) {
+            log('Server started', 'success');
+            return {
+                done: true,
+                result: { instanceState: 'running' }
+            };
+        }
+    },
+
+    async onFinish(job) {
+        await recordPowerJob('server.start')(job);
+        if (job.status === 'succeeded') {
+            await startReadyWatch(job.params.stackId, { reason: 'start' });
+        } else {
+            await publishEvent('server.failed', {
+                serverKey: (job.data && job.data.serverKey) || null,
+                stackIds: [job.params.stackId],
+                error: `Start failed: ${job.error}`,
+                requestedBy: job.requestedBy ? job.requestedBy.username : null
+            });
+        }
+    }
+});
+
+// ---- resize-server ----
+// params: { stackId, instanceType, jvm: { heapMb, flags }, saveWorld },
+// requestedBy: { username, role }
+// Saves the world, sets the new instance type on the OpenTofu stack and
+// applies it - the instance is stopped, changed and started again, keeping
+// its disk - then re-runs Ansible to start Minecraft on it with a heap that
+// fits the new type.
+
+registerJobType('resize-server', {
+    firstStep: 'resolve',
+    steps: {
+        async resolve(job, log) {
+            log(`Resizing server to ${job.params.instanceType}...`);
+            await resolvePowerTarget(job, log);
+            return { next: 'save-world' };
+        },
+
+        ...worldSaveSteps('set-instance-type', 'server was not resized'),
+
+        async 'set-instance-type'(job, log) {
+            const { opentofu } = job.data;
+
+            await setStackEnvironment(opentofu.id, INSTANCE_TYPE_VAR, job.params.instanceType);
+            log(`Set ${INSTANCE_TYPE_VAR}=${job.params.instanceType} on ${opentofu.name}`);
+
+            const { ansible } = job.data;
+            if (job.params.jvm && ansible) {
+                await setStackEnvironment(ansible.id, JVM_HEAP_VAR, String(job.params.jvm.heapMb));
+                await setStackEnvironment(ansible.id, JVM_FLAGS_VAR, job.params.jvm.flags || '');
+                log(`Set ${JVM_HEAP_VAR}=${job.params.jvm.heapMb} on ${ansible.name}`);
+            }
+
+            const run = await triggerTrackedRun(opentofu.id);
+            job.data.opentofuRun = { id: run.id, state: run.state, startedAt: new Date().toISOString(), confirmed: false };
+            log(`Applying ${opentofu.name} - the instance restarts with the new type (run ${run.id})...`);
+            return { next: 'wait-for-opentofu', delayMs: RUN_POLL_MS };
+        },
+
+        'wait-for-opentofu': trackedRunStep('opentofu', 'opentofuRun', 'run-ansible'),
+
+        'run-ansible': rerunAnsibleStep,
+
+        'wait-for-ansible': trackedRunStep('ansible', 'ansibleRun', 'finish'),
+
+        async finish(job, log) {
+            log(`Server resized to ${job.params.instanceType}`, 'success');
+            return {
+                done: true,
+                result: {
+                    instanceType: job.params.instanceType,
+                    heapMb: job.params.jvm ? job.params.jvm.heapMb : null,
+                    worldSaved: Boolean(job.data.backupKey),
+                    backupKey: job.data.backupKey
+                }
+            };
+        }
+    },
+
+    onFinish: recordPowerJob('server.resize', job => ({
+        instanceType: job.params.instanceType,
+        previousInstanceType: job.params.previousInstanceType || null,
+        heapMb: job.params.jvm ? job.params.jvm.heapMb : null,
+        saveWorld: job.params.saveWorld
+    }))
+});
+
+// ---- upgrade-server / rollback-upgrade ----
+// Both point the Ansible stack at a server jar (the MINECRAFT_VERSION_VARS,
+// from serverInstallInputValues - or null for the playbook's default) and
+// re-run it; the playbook downloads the jar and restarts Minecraft. The
+// server's flavor stays the same.
+
+async function resolveVersionTarget(job, log) {
+    const server = await getServerStacks(job.params.stackId);
+    if (!server.ansible) {
+        throw new ConflictError('Server has no Ansible stack to install Minecraft with');
+    }
+
+    job.data = {
+        serverKey: server.serverKey,
+        instanceState: server.outputs.instance_state || null,
+        opentofu: server.opentofu ? { id: server.opentofu.id, name: server.opentofu.name } : null,
+        ansible: { id: server.ansible.id, name: server.ansible.name, state: server.ansible.state },
+        ip: server.outputs.ec2_ip || null,
+        backupKey: null
+    };
+    log(`Found Ansible stack: ${server.ansible.name} (${server.ansible.state})`);
+}
+
+// Set the jar on the Ansible stack and re-run it, then wait in 'wait-for-ansible'
+async function installJarStep(job, log, inputs, description) {
+    const { ansible } = job.data;
+
+    for (const [inputId, envVar] of Object.entries(MINECRAFT_VERSION_VARS)) {
+        // Empty values make the playbook fall back to its default
+        await setStackEnvironment(ansible.id, envVar, inputs && inputs[inputId] ? inputs[inputId] : '');
+    }
+    log(`Set the server jar for ${description} on ${ansible.name}`);
+
+    const run = await triggerTrackedRun(ansible.id);
+    job.data.ansibleRun = { id: run.id, state: run.state, startedAt: new Date().toISOString(), confirmed: false };
+    log(`Re-running ${ansible.name} to install ${description} (run ${run.id})...`);
+    return { next: 'wait-for-ansible', delayMs: RUN_POLL_MS };
+}
+
+// Ping until Minecraft answers (with versionName, when given), then go on to
+// nextStep. Returns the failure outcome from onTimeout(message) otherwise.
+function verifyStep(versionName, nextStep, onTimeout) {
+    return async (job, log) => {
+        const expected = versionName(job);
+        if (!job.data.ip) {
+            return onTimeout(job, 'Server has no IP address to check');
+        }
+        if (!job.data.verifyStartedAt) {
+            job.data.verifyStartedAt = new Date().toISOString();
+            log(`Waiting for Minecraft to answer on ${job.data.ip}${expected ? ` with version ${expected}` : ''}...`);
+        }
+
+        const status = await pingServer(job.data.ip);
+        if (status.online && (!expected || (status.version && versionTokens(status.version.name).includes(expected)))) {
+            log(`✅ Server is back${status.version ? ` on ${status.version.name}` : ''}`, 'success');
+            return { next: nextStep };
+        }
+
+        if (Date.now() - new Date(job.data.verifyStartedAt).getTime() > VERIFY_TIMEOUT_MS) {
+            const seen = status.online
+                ? `it answers as ${status.version ? status.version.name : 'an unknown version'}`
+                : `it is not answering (${status.error})`;
+            log(`❌ Server did not come back${expected ? ` on ${expected}` : ''} within ${VERIFY_TIMEOUT_MS / 60000} minutes - ${seen}`, 'error');
+            return onTimeout(job, `Server did not come back${expected ? ` on ${expected}` : ''}: ${seen}`);
+        }
+        return { next: job.step, delayMs: VERIFY_POLL_MS };
+    };
+}
+
+// params: { stackId, recordId, flavor, version, inputs, previousVersion, previousInputs },
+// requestedBy: { username, role }
+// Takes a labelled backup (never skipped - worlds can't be downgraded), installs
+// the new jar and checks the server answers with the new version. If it
+// doesn't, the job fails with what a rollback-upgrade job needs in its result -
+// when the previous version and jar were recorded (previousInputs), else
+// there is nothing to roll back to.
+
+registerJobType('upgrade-server', {
+    firstStep: 'resolve',
+    steps: {
+        async resolve(job, log) {
+            log(`Upgrading ${job.params.flavor || 'vanilla'} server from ${job.params.previousVersion || 'the default version'} to Minecraft ${job.params.version}...`);
+            await resolveVersionTarget(job, log);
+            return { next: 'save-world' };
+        },
+
+        ...worldSaveSteps('install-jar', 'server was not upgraded', {
+            required: true,
+            label: job => `pre-upgrade-${job.params.version}`
+        }),
+
+        'install-jar': (job, log) => installJarStep(job, log, job.params.inputs, `Minecraft ${job.params.version}`),
+
+        'wait-for-ansible': trackedRunStep('ansible', 'ansibleRun', 'verify'),
+
+        verify: verifyStep(job => job.params.version, 'finish', (job, message) => ({
+            fail: job.params.previousInputs
+                ? `${message} - roll back to ${job.data.backupKey}`
+                : `${message} - the previous version was not recorded; restore ${job.data.backupKey} and upgrade again`,
+            result: {
+                rollbackAvailable: Boolean(job.params.previousInputs),
+                backupKey: job.data.backupKey,
+                previousVersion: job.params.previousVersion
+            }
+        })),
+
+        async finish(job, log) {
+            if (job.params.recordId) {
+                await updateServerRecord(job.params.recordId, { minecraftVersion: job.params.version, serverInstall: job.params.inputs });
+            }
+            log(`Server upgraded to Minecraft ${job.params.version}`, 'success');
+            return {
+                done: true,
+                result: {
+                    version: job.params.version,
+                    previousVersion: job.params.previousVersion,
+                    backupKey: job.data.backupKey
+                }
+            };
+        }
+    },
+
+    onFinish: recordPowerJob('server.upgrade', job => ({
+        version: job.params.version,
+        previousVersion: job.params.previousVersion,
+        force: Boolean(job.params.force)
+    }))
+});
+
+// params: { stackId, recordId, upgradeJobId, backupKey, flavor, version, inputs }
+// where version/inputs are what the server ran before the upgrade
+// Puts the previous jar back, then restores the pre-upgrade backup (the
+// restore task restarts Minecraft on it).
+
+registerJobType('rollback-upgrade', {
+    firstStep: 'resolve',
+    steps: {
+        async resolve(job, log) {
+            log(`Rolling back to ${job.params.version} and backup ${job.params.backupKey}...`);
+            await resolveVersionTarget(job, log);
+            return { next: 'install-jar' };
+        },
+
+        'install-jar': (job, log) => installJarStep(job, log, job.params.inputs, `Minecraft ${job.params.version}`),
+
+        'wait-for-ansible': trackedRunStep('ansible', 'ansibleRun', 'restore-world'),
+
+        async 'restore-world'(job, log) {
+            const { ansible } = job.data;
+            const task = await triggerTask(ansible.id, restoreWorldCommand(job.params.backupKey));
+            job.data.restoreTask = { id: task.id, state: task.state, startedAt: new Date().toISOString() };
+            log(`Restoring ${job.params.backupKey} (task ${task.id})...`);
+            return { next: 'wait-for-restore', delayMs: SAVE_POLL_MS };
+        },
+
+        async 'wait-for-restore'(job, log) {
+            const { ansible, restoreTask } = job.data;
+            const status = await getTaskStatus(ansible.id, restoreTask.id);
+
+            if (!status.finished) {
+                if (Date.now() - new Date(restoreTask.startedAt).getTime() > SAVE_TIMEOUT_MS) {
+                    log(`❌ World restore did not finish within ${SAVE_TIMEOUT_MS / 60000} minutes`, 'error');
+                    return { fail: 'World restore timed out' };
+                }
+                return { next: 'wait-for-restore', delayMs: SAVE_POLL_MS };
+            }
+            if (!status.succeeded) {
+                log(`❌ World restore failed: ${status.failureReason}`, 'error');
+                return { fail: `World restore failed: ${status.failureReason}` };
+            }
+
+            log(`✅ Restored ${job.params.backupKey}`, 'success');
+            return { next: 'verify' };
+        },
+
+        verify: verifyStep(job => job.params.version, 'finish', (job, message) => ({ fail: message })),
+
+        async finish(job, log) {
+            if (job.params.recordId) {
+                await updateServerRecord(job.params.recordId, { minecraftVersion: job.params.version, serverInstall: job.params.inputs });
+            }
+            log(`Server rolled back to ${job.params.version}`, 'success');
+            return {
+                done: true,
+                result: { version: job.params.version, backupKey: job.params.backupKey }
+            };
+        }
+    },
+
+    onFinish: recordPowerJob('server.upgrade-rollback', job => ({
+        upgradeJobId: job.params.upgradeJobId,
+        version: job.params.version,
+        backupKey: job.params.backupKey
+    }))
+});
+
+// Lock documents for power jobs, one per server - see claimPowerLock
+const POWER_LOCKS = 'power-locks';
+// A claim whose job was never created (the request died in between) is free after this
+const UNFINISHED_CLAIM_MS = 60 * 1000;
+// Stop, start, resize, upgrades and deletes all take the server down - only
+// one runs at a time
+const POWER_JOB_TYPES = ['stop-server', 'start-server', 'resize-server', 'upgrade-server', 'rollback-upgrade', 'delete-server'];
+const POWER_JOB_VERBS = {
+    'stop-server': 'stopped',
+    'start-server': 'started',
+    'resize-server': 'resized',
+    'upgrade-server': 'upgraded',
+    'rollback-upgrade': 'rolled back',
+    'delete-server': 'deleted'
+};
+
+// The job target of a server, whichever of its stack ids the caller has (the
+// card's, the URL's or the OpenTofu one): its OpenTofu stack id, else the
+// only stack it has
+async function serverJobTarget(stackId) {
+    const server = await getServerStacks(stackId);
+    return server.opentofu ? server.opentofu.id : server.stack.id;
+}
+
+async function assertNoPowerJob(target) {
+    const running = (await listJobs({ target }))
+        .filter(job => POWER_JOB_TYPES.includes(job.type) && !isTerminal(job));
+    if (running.length > 0) {
+        throw new ConflictError(`Server is already being ${POWER_JOB_VERBS[running[0].type]}`, {
+            jobId: running[0].id
+        });
+    }
+}
+
+// Each server has a lock document, keyed by its job target and claimed with a
+// conditional write - of two requests racing for the same server, only one
+// gets to create a job. The lock is free again once its job has finished.
+async function claimPowerLock(target, type) {
+    const current = await getVersionedDocument(POWER_LOCKS, target);
+    if (current) {
+        const { jobId, claimedAt } = current.doc;
+        const holder = jobId ? await getJob(jobId).catch(() => null) : null;
+        if (holder && !isTerminal(holder)) {
+            throw new ConflictError(`Server is already being ${POWER_JOB_VERBS[holder.type]}`, { jobId: holder.id });
+        }
+        // Claimed, but the job isn't created yet
+        if (!jobId && Date.now() - new Date(claimedAt).getTime() < UNFINISHED_CLAIM_MS) {
+            throw new ConflictError(`Server is already being ${POWER_JOB_VERBS[current.doc.type]}`);
+        }
+    }
+
+    const lock = { target, type, jobId: null, claimedAt: new Date().toISOString() };
+    if (!await putDocumentIfUnchanged(POWER_LOCKS, target, lock, current ? current.version : null)) {
+        throw new ConflictError('Another action on this server started at the same moment - try again');
+    }
+    return lock;
+}
+
+// Create a power job once nothing else is restarting or deleting the server
+async function createPowerJob(type, stackId, params, requestedBy) {
+    const target = await serverJobTarget(stackId);
+    const lock = await claimPowerLock(target, type);
+
+    let job;
+    try {
+        // Jobs started before the locks existed don't hold one
+        await assertNoPowerJob(target);
+        job = await createJob(type, { ...params, stackId }, { target, requestedBy: requestedBy || null });
+    } catch (error) {
+        await deleteDocument(POWER_LOCKS, target)
+            .catch(releaseError => console.error(`Failed to release the power lock of ${target}:`, releaseError.message));
+        throw error;
+    }
+
+    await putDocument(POWER_LOCKS, target, { ...lock, jobId: job.id });
+    advanceJobInBackground(job.id);
+    return job;
+}
+
+// action: 'stop' or 'start'
+async function startPowerJob(action, stackId, options = {}) {
+    const params = action === 'stop' ? { saveWorld: options.saveWorld !== false } : {};
+    return createPowerJob(`${action}-server`, stackId, params, options.requestedBy);
+}
+
+// options: { saveWorld, jvm (from resolveJvmSettings), previousInstanceType
+// (for the audit log), requestedBy }
+async function startResizeJob(stackId, instanceType, options = {}) {
+    return createPowerJob('resize-server', stackId, {
+        instanceType,
+        jvm: options.jvm ? { heapMb: options.jvm.heapMb, flags: options.jvm.flags } : null,
+        previousInstanceType: options.previousInstanceType || null,
+        saveWorld: options.saveWorld !== false
+    }, options.requestedBy);
+}
+
+// params as documented on the upgrade-server job type
+async function startUpgradeJob(stackId, params, options = {}) {
+    return createPowerJob('upgrade-server', stackId, { ...params, saveWorld: true }, options.requestedBy);
+}
+
+// params as documented on the rollback-upgrade job type
+async function startRollbackJob(stackId, params, options = {}) {
+    return createPowerJob('rollback-upgrade', stackId, params, options.requestedBy);
+}
+
+async function startDeleteServerJob(stackId, options = {}) {
+    return createPowerJob('delete-server', stackId, { saveWorld: Boolean(options.saveWorld) }, options.requestedBy);
+}
+
+// params as documented on the track-save job type
+async function startSaveTracking(params) {
+    const job = await createJob('track-save', params, { target: params.stackId });
+    advanceJobInBackground(job.id);
+    return job;
+}
+
+// options: { recordId, reason }
+async function startReadyWatch(stackId, options = {}) {
+    const job = await createJob('watch-ready', {
+        stackId,
+        recordId: options.recordId || null,
+        reason: options.reason || 'deploy'
+    }, { target: stackId });
+    advanceJobInBackground(job.id);
+    return job;
+}
+
+module.exports = {
+    startDeleteServerJob,
+    startSaveTracking,
+    startReadyWatch,
+    startPowerJob,
+    startResizeJob,
+    startUpgradeJob,
+    startRollbackJob
+};
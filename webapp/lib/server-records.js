@@ -0,0 +1,87 @@
+// webapp/lib/server-records.js
+// Per-server metadata the web manager keeps outside Spacelift, created when
+// a server is deployed and looked up by any of its stack ids
+
+const crypto = require('crypto');
+const { getDocument, getVersionedDocument, putDocument, putDocumentIfUnchanged, listDocuments } = require('./store');
+const { ConflictError } = require('./errors');
+const { serverStackIds } = require('./server-stacks');
+
+const COLLECTION = 'servers';
+// The cron watchers and user requests write the same records - a write that
+// lost the race is read again and retried this many times
+const MAX_UPDATE_ATTEMPTS = 5;
+
+async function createServerRecord(stackIds, fields = {}) {
+    const now = new Date().toISOString();
+    const record = {
+        id: `srv-${crypto.randomBytes(6).toString('hex')}`,
+        stackIds,
+        createdAt: now,
+        updatedAt: now,
+        ...fields
+    };
+    return putDocument(COLLECTION, record.id, record);
+}
+
+async function getServerRecord(recordId) {
+    return getDocument(COLLECTION, recordId);
+}
+
+async function listServerRecords() {
+    return listDocuments(COLLECTION);
+}
+
+async function findServerRecordByStack(stackId) {
+    const records = await listServerRecords();
+    return records.find(record => Array.isArray(record.stackIds) && record.stackIds.includes(stackId)) || null;
+}
+
+// The record for a server card from groupServerStacks, by either stack id
+function findRecordForServer(records, server) {
+    const stackIds = serverStackIds(server);
+    return records.find(record => Array.isArray(record.stackIds) && record.stackIds.some(id => stackIds.includes(id))) || null;
+}
+
+// The record of a server from getServerStacks, or null
+async function resolveServerRecord(server) {
+    return findRecordForServer(await listServerRecords(), server);
+}
+
+// Merge changes into the record with a conditional write, so two writers
+// never silently drop each other's fields. changes can be a function of the
+// current record, for updates that build on what is there.
+async function updateServerRecord(recordId, changes) {
+    for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+        const current = await getVersionedDocument(COLLECTION, recordId);
+        if (!current) {
+            return null;
+        }
+
+        const { doc: record, version } = current;
+
+        const updated = {
+            ...record,
+            ...(typeof changes === 'function' ? changes(record) : changes),
+            updatedAt: new Date().toISOString()
+        };
+        if (await putDocumentIfUnchanged(COLLECTION, recordId, updated, version)) {
+            return updated;
+        }
+
+        console.log(`Server record ${recordId} changed while updating it (attempt ${attempt}) - retrying`);
+        await new Promise(resolve => setTimeout(resolve, 50 * attempt + Math.floor(Math.random() * 50)));
+    }
+
+    throw new ConflictError(`Server record ${recordId} kept changing - try again`);
+}
+
+module.exports = {
+    createServerRecord,
+    getServerRecord,
+    listServerRecords,
+    findServerRecordByStack,
+    findRecordForServer,
+    resolveServerRecord,
+    updateServerRecord
+};
@@ -0,0 +1,487 @@
+// webapp/lib/server-schedule.js
+// Recurring play sessions. A schedule is a list of windows, each a pair of
+// cron expressions ("start Fri 18:00", "stop Sat 02:00") in one time zone,
+// kept on the server record. Every tick the scheduler looks for start/stop
+// times that have passed since the last tick and acts on the latest one:
+//
+//   power    - stop and start the instance (lib/server-jobs.js)
+//   teardown - save and delete the server, and deploy it again from the
+//              blueprint with the saved world for the next session
+//
+// The same windows are published as an iCalendar feed for players.
+
+const crypto = require('crypto');
+const { ValidationError } = require('./errors');
+const { parseCron, isValidTimeZone, nextOccurrence, occurrencesBetween } = require('./cron-schedule');
+const { listMinesibleStacks, groupServerStacks } = require('./server-stacks');
+const { listServerRecords, updateServerRecord, findRecordForServer } = require('./server-records');
+const { getJob, isTerminal } = require('./jobs');
+const { startPowerJob, startDeleteServerJob, startReadyWatch } = require('./server-jobs');
+const { getBlueprintSchema, buildTemplateInputs, createStacksFromBlueprint } = require('./blueprint');
+const { resolveJvmSettings, jvmInputValues } = require('./instance-types');
+const { DEFAULT_FLAVOR, resolveServerInstall, serverInstallInputValues } = require('./flavors');
+const { labelNewServer } = require('./label-migration');
+const { refreshCachedStacks } = require('./server-cache');
+const { deriveRconPassword } = require('./rcon');
+const { listBackups, DEFAULT_BACKUP_BUCKET } = require('./backups');
+const { writeAuditEntry } = require('./audit');
+const { publishEvent } = require('./events');
+
+const SCHEDULE_MODES = ['power', 'teardown'];
+const MAX_WINDOWS = 10;
+
+// Jobs and deploys started by the scheduler are recorded as this user
+const SCHEDULER_USER = { username: 'scheduler', role: 'system' };
+
+// Start/stop times missed by more than this (scheduler not running) are skipped
+const CATCH_UP_MS = 60 * 60 * 1000;
+// A start with no stop within this long is left out of the calendar
+const MAX_SESSION_MS = 7 * 24 * 60 * 60 * 1000;
+const FEED_WEEKS = 8;
+const FEED_MAX_EVENTS = 200;
+
+// Validate a schedule from a request. An empty window list removes the
+// schedule (null). The feed token is kept so calendar subscriptions survive
+// edits.
+function normalizeSchedule(input, record = null) {
+    if (!input || typeof input !== 'object') {
+        throw new ValidationError('Schedule must be an object: { "timezone": "Europe/Berlin", "mode": "power", "windows": [{ "start": "0 18 * * fri", "stop": "0 2 * * sat" }] }');
+    }
+
+    const windows = input.windows || [];
+    if (!Array.isArray(windows) || windows.length > MAX_WINDOWS) {
+        throw new ValidationError(`Schedule windows must be a list of at most ${MAX_WINDOWS} { start, stop } pairs`);
+    }
+    if (windows.length === 0) {
+        return null;
+    }
+
+    const timezone = input.timezone || 'UTC';
+    if (!isValidTimeZone(timezone)) {
+        throw new ValidationError(`Unknown time zone: ${timezone}`);
+    }
+
+    const mode = input.mode || 'power';
+    if (!SCHEDULE_MODES.includes(mode)) {
+        throw new ValidationError(`Schedule mode must be one of: ${SCHEDULE_MODES.join(', ')}`, { modes: SCHEDULE_MODES });
+    }
+    // Deploying again needs the values the server was deployed with
+    if (mode === 'teardown' && !(record && record.deployValues)) {
+        throw new ValidationError('This server was deployed before schedules could redeploy it - use the power mode');
+    }
+    // Secret inputs are not stored, so they can't be given again
+    if (mode === 'teardown' && record.omittedSecretInputs && record.omittedSecretInputs.length > 0) {
+        throw new ValidationError(`This server was deployed with secret inputs (${record.omittedSecretInputs.join(', ')}), which are not kept - use the power mode`);
+    }
+
+    return {
+        mode,
+        timezone,
+        windows: windows.map(window => ({
+            start: parseCron(window && window.start).expression,
+            stop: parseCron(window && window.stop).expression
+        })),
+        feedToken: (record && record.schedule && record.schedule.feedToken) || crypto.randomBytes(16).toString('hex'),
+        updatedAt: new Date().toISOString()
+    };
+}
+
+// Sessions (start/stop pairs) that start in (from, to], oldest first
+function scheduledSessions(schedule, from, to, limit = FEED_MAX_EVENTS) {
+    const end = new Date(to).getTime();
+    const sessions = [];
+
+    schedule.windows.forEach(window => {
+        const startCron = parseCron(window.start);
+        const stopCron = parseCron(window.stop);
+        let start = nextOccurrence(startCron, from, schedule.timezone);
+        let count = 0;
+
+        while (start && start.getTime() <= end && count < limit) {
+            const stop = nextOccurrence(stopCron, start, schedule.timezone);
+            if (stop && stop.getTime() - start.getTime() <= MAX_SESSION_MS) {
+                sessions.push({ start, stop, window });
+                count++;
+            }
+            start = nextOccurrence(startCron, start, schedule.timezone);
+        }
+    });
+
+    return sessions.sort((a, b) => a.start - b.start).slice(0, limit);
+}
+
+// The soonest start or stop time after `after`
+function nextScheduledAction(schedule, after) {
+    let next = null;
+    schedule.windows.forEach(window => {
+        ['start', 'stop'].forEach(action => {
+            const at = nextOccurrence(parseCron(window[action]), after, schedule.timezone);
+            if (at && (!next || at < next.at)) {
+                next = { action, at };
+            }
+        });
+    });
+    return next;
+}
+
+// The latest start or stop time in (from, to], if any
+function lastScheduledAction(schedule, from, to) {
+    let last = null;
+    schedule.windows.forEach(window => {
+        ['start', 'stop'].forEach(action => {
+            const times = occurrencesBetween(parseCron(window[action]), from, to, schedule.timezone);
+            const at = times[times.length - 1];
+            if (at && (!last || at > last.at)) {
+                last = { action, at };
+            }
+        });
+    });
+    return last;
+}
+
+// What the UI shows on a card
+function scheduleStatus(record, now = new Date()) {
+    if (!record || !record.schedule) {
+        return null;
+    }
+    const { schedule } = record;
+    const state = record.scheduleState || {};
+    const next = nextScheduledAction(schedule, now);
+
+    return {
+        mode: schedule.mode,
+        timezone: schedule.timezone,
+        windows: schedule.windows,
+        next: next ? { action: next.action, at: next.at.toISOString() } : null,
+        lastAction: state.lastAction || null,
+        lastActionAt: state.lastActionAt || null,
+        lastResult: state.lastResult || null,
+        jobId: state.jobId || null,
+        tornDown: Boolean(state.tornDown),
+        feedPath: `/api/servers/${record.id}/schedule.ics?token=${schedule.feedToken}`
+    };
+}
+
+// Add the schedule to server cards from groupServerStacks
+async function attachSchedule(servers, records = null) {
+    const allRecords = records || await listServerRecords();
+    return servers.map(server => ({ ...server, schedule: scheduleStatus(findRecordForServer(allRecords, server)) }));
+}
+
+// Servers the scheduler has torn down until their next session - they have
+// no stacks, so no card of their own
+async function listTornDownServers(records = null) {
+    const allRecords = records || await listServerRecords();
+    return allRecords
+        .filter(record => record.schedule && record.scheduleState && record.scheduleState.tornDown)
+        .map(record => ({
+            recordId: record.id,
+            serverKey: record.scheduleState.serverKey || null,
+            schedule: scheduleStatus(record)
+        }));
+}
+
+async function jobIsRunning(jobId) {
+    if (!jobId) return false;
+    try {
+        return !isTerminal(await getJob(jobId));
+    } catch (error) {
+        return false;
+    }
+}
+
+// Deploy a torn-down server again with the values it was first deployed
+// with, restoring the world saved when it was torn down
+async function redeployServer(record) {
+    const state = record.scheduleState || {};
+    const blueprint = await getBlueprintSchema();
+    const managedValues = {};
+
+    if (record.rconNonce && blueprint.inputs.some(input => input.id === 'rcon_password')) {
+        managedValues.rcon_password = deriveRconPassword(record.rconNonce);
+    }
+
+    if (blueprint.inputs.some(input => input.id === 'restore_backup_key')) {
+        let backupKey = null;
+        const teardownJob = state.jobId ? await getJob(state.jobId).catch(() => null) : null;
+        if (teardownJob && teardownJob.result && teardownJob.result.backupKey) {
+            backupKey = teardownJob.result.backupKey;
+        } else if (state.serverKey) {
+            // The teardown job is gone - fall back to the newest backup
+            const bucketInput = blueprint.inputs.find(input => input.id === 's3_bucket');
+            const bucket = record.deployValues.s3_bucket || (bucketInput && bucketInput.default) || DEFAULT_BACKUP_BUCKET;
+            const backups = await listBackups(bucket, state.serverKey);
+            backupKey = backups.length > 0 ? backups[0].key : null;
+        }
+        if (backupKey) {
+            managedValues.restore_backup_key = backupKey;
+        } else {
+            console.warn(`No backup found for ${state.serverKey || record.id} - deploying with the default world`);
+        }
+    }
+
+    // The heap for the type it was deployed with, keeping any override
+    const instanceTypeInput = blueprint.inputs.find(input => input.id === 'instance_type');
+    const instanceType = record.deployValues.instance_type || (instanceTypeInput && instanceTypeInput.default) || null;
+    Object.assign(managedValues, jvmInputValues(resolveJvmSettings(instanceType, record.jvm)));
+    // ...and the flavor and Minecraft version it last ran, so the saved world
+    // (and its plugins or mods) still load
+    if (record.minecraftVersion || record.flavor) {
+        const install = await resolveServerInstall(record.flavor || DEFAULT_FLAVOR, record.minecraftVersion || null);
+        Object.assign(managedValues, serverInstallInputValues(install));
+    }
+
+    const templateInputs = buildTemplateInputs(blueprint.inputs, record.deployValues, managedValues);
+    const stackIds = await createStacksFromBlueprint(templateInputs);
+
+    // As in api/deploy.js, the stacks exist now - a labelling failure is logged
+    let serverKey = null;
+    try {
+        serverKey = await labelNewServer(stackIds);
+    } catch (error) {
+        console.error('Failed to label the redeployed server stacks:', error.message);
+    }
+    await refreshCachedStacks(stackIds);
+
+    await writeAuditEntry({
+        user: SCHEDULER_USER.username,
+        role: SCHEDULER_USER.role,
+        action: 'server.deploy',
+        server: serverKey,
+        stackIds,
+        inputs: { restoreBackupKey: managedValues.restore_backup_key || null },
+        details: { serverRecordId: record.id, scheduled: true, previousServerKey: state.serverKey || null }
+    });
+
+    await publishEvent('deploy.started', {
+        serverKey,
+        recordId: record.id,
+        instanceType,
+        flavor: record.flavor || null,
+        minecraftVersion: record.minecraftVersion || null,
+        backupKey: managedValues.restore_backup_key || null,
+        message: 'The schedule is bringing the server back',
+        requestedBy: SCHEDULER_USER.username
+    });
+    await startReadyWatch(stackIds[0], { recordId: record.id, reason: 'deploy' })
+        .catch(error => console.error('Failed to start watching the redeployed server:', error.message));
+
+    return { stackIds, serverKey, backupKey: managedValues.restore_backup_key || null };
+}
+
+// Carry out one start/stop time. Returns what changed on the record's
+// scheduleState (and stackIds after a redeploy) plus a note for the cron response.
+async function applyScheduledAction(record, server, action) {
+    const { mode } = record.schedule;
+    const options = { saveWorld: true, requestedBy: SCHEDULER_USER };
+
+    if (mode === 'power') {
+        if (!server || !server.opentofu) {
+            return { result: 'server no longer exists' };
+        }
+        if (action === 'stop' && server.status === 'Stopped') {
+            return { result: 'already stopped' };
+        }
+        if (action === 'start' && server.status !== 'Stopped') {
+            return { result: `not stopped (${server.status})` };
+        }
+        const job = await startPowerJob(action, server.opentofu.id, options);
+        return { result: `${action} job started`, state: { jobId: job.id } };
+    }
+
+    if (action === 'stop') {
+        if (!server || !server.opentofu) {
+            return { result: 'already torn down' };
+        }
+        const job = await startDeleteServerJob(server.opentofu.id, options);
+        return {
+            result: 'teardown job started',
+            state: { jobId: job.id, tornDown: true, serverKey: server.serverKey || server.id }
+        };
+    }
+
+    if (server) {
+        return { result: 'already running' };
+    }
+    // Deleted by someone else - don't bring it back
+    if (!record.scheduleState || !record.scheduleState.tornDown) {
+        return { result: 'server was deleted outside the schedule - not redeploying' };
+    }
+
+    const deployed = await redeployServer(record);
+    return {
+        result: `redeployed as ${deployed.serverKey || deployed.stackIds.join(', ')}`,
+        state: { jobId: null, tornDown: false, serverKey: deployed.serverKey, restoredBackupKey: deployed.backupKey },
+        stackIds: deployed.stackIds
+    };
+}
+
+async function runSchedule(record, servers, now) {
+    const state = record.scheduleState || {};
+    const server = servers.find(candidate => findRecordForServer([record], candidate)) || null;
+
+    // Act once the last job is done; the time it missed is still in the window
+    if (await jobIsRunning(state.jobId)) {
+        return { record: record.id, skipped: `scheduled job ${state.jobId} is running` };
+    }
+
+    // Times before the schedule was last saved don't count
+    const lastChecked = Math.max(
+        new Date(state.lastCheckedAt || 0).getTime(),
+        new Date(record.schedule.updatedAt || now).getTime()
+    );
+    const from = new Date(Math.max(lastChecked, now.getTime() - CATCH_UP_MS));
+    const due = lastScheduledAction(record.schedule, from, now);
+    const nextState = { ...state, lastCheckedAt: now.toISOString() };
+
+    // A teardown whose world save failed left the server in place
+    if (state.tornDown && state.jobId) {
+        const job = await getJob(state.jobId).catch(() => null);
+        if (job && job.status === 'failed') {
+            nextState.tornDown = false;
+        }
+    }
+
+    if (!due) {
+        await updateServerRecord(record.id, { scheduleState: nextState });
+        return { record: record.id, server: server ? server.id : null, due: null };
+    }
+
+    console.log(`Schedule for ${server ? server.name : record.id}: ${due.action} was due at ${due.at.toISOString()}`);
+    const changes = {};
+    let outcome;
+    try {
+        outcome = await applyScheduledAction(record, server, due.action);
+    } catch (error) {
+        // Recorded and not retried - the next start/stop time tries again
+        outcome = { result: `failed: ${error.message}` };
+        console.error(`Scheduled ${due.action} failed for ${record.id}:`, error.message);
+    }
+
+    Object.assign(nextState, outcome.state || {}, {
+        lastAction: due.action,
+        lastActionAt: now.toISOString(),
+        lastResult: outcome.result
+    });
+    changes.scheduleState = nextState;
+    if (outcome.stackIds) {
+        changes.stackIds = outcome.stackIds;
+    }
+    await updateServerRecord(record.id, changes);
+
+    return { record: record.id, server: server ? server.id : null, due: due.action, result: outcome.result };
+}
+
+// Run from the cron tick, which passes { servers, deadline }. One server's
+// failure doesn't stop the others.
+async function checkSchedules(now = new Date(), tick = {}) {
+    const records = (await listServerRecords()).filter(record =>
+        record.schedule
+        // An expired server stays deleted
+        && !(record.expiry && record.expiry.jobId));
+    if (records.length === 0) {
+        return [];
+    }
+
+    const servers = tick.servers || groupServerStacks(await listMinesibleStacks());
+    const results = [];
+    for (const [index, record] of records.entries()) {
+        if (tick.deadline && Date.now() >= tick.deadline) {
+            console.log(`Tick budget used up - ${records.length - index} schedule(s) left for the next tick`);
+            break;
+        }
+        try {
+            results.push(await runSchedule(record, servers, now));
+        } catch (error) {
+            console.error(`Schedule check failed for ${record.id}:`, error.message);
+            results.push({ record: record.id, error: error.message });
+        }
+    }
+    return results;
+}
+
+// ---- iCalendar feed ----
+
+function icsText(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function icsTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function localTime(date, timeZone) {
+    return date.toLocaleString('en-GB', { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+// Lines longer than 75 octets are folded (RFC 5545 3.1)
+function foldLine(line) {
+    const chunks = [];
+    let rest = line;
+    while (Buffer.byteLength(rest) > 75) {
+        let cut = 74;
+        while (Buffer.byteLength(rest.slice(0, cut)) > 74) cut--;
+        chunks.push(rest.slice(0, cut));
+        rest = rest.slice(cut);
+    }
+    chunks.push(rest);
+    return chunks.join('\r\n ');
+}
+
+// The next FEED_WEEKS of sessions (and the last week's, so today's session
+// stays visible while it runs). Times are in UTC, so no VTIMEZONE is needed.
+function buildScheduleCalendar(record, serverName, now = new Date()) {
+    const from = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+    const to = new Date(now.getTime() + FEED_WEEKS * 7 * 24 * 60 * 60 * 1000);
+    const sessions = scheduledSessions(record.schedule, from, to);
+    const stamp = icsTime(now);
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Minesible//Server Schedule//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${icsText(`Minecraft - ${serverName}`)}`,
+        `X-WR-TIMEZONE:${record.schedule.timezone}`
+    ];
+    sessions.forEach(session => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${record.id}-${icsTime(session.start)}@minesible`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${icsTime(session.start)}`,
+            `DTEND:${icsTime(session.stop)}`,
+            `SUMMARY:${icsText(`Minecraft session - ${serverName}`)}`,
+            `DESCRIPTION:${icsText(`The server is up from ${localTime(session.start, record.schedule.timezone)} to ${localTime(session.stop, record.schedule.timezone)} (${record.schedule.timezone}).`)}`,
+            'END:VEVENT'
+        );
+    });
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Calendar apps can't log in, so the feed URL carries a per-schedule token
+function feedTokenMatches(record, token) {
+    const expected = record && record.schedule && record.schedule.feedToken;
+    if (!expected || typeof token !== 'string') {
+        return false;
+    }
+    // Hashed first: equal-length digests, whatever was passed in
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(token), digest(expected));
+}
+
+module.exports = {
+    SCHEDULE_MODES,
+    SCHEDULER_USER,
+    normalizeSchedule,
+    scheduledSessions,
+    scheduleStatus,
+    attachSchedule,
+    listTornDownServers,
+    checkSchedules,
+    buildScheduleCalendar,
+    feedTokenMatches
+};
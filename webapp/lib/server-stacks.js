@@ -0,0 +1,337 @@
+// webapp/lib/server-stacks.js
+// A Minesible server is an OpenTofu ("infra") stack plus an Ansible
+// ("config") stack. Both carry the same server label, so either stack id
+// resolves the pair:
+//
+//   minesible                    - every stack the web manager looks at
+//   minesible-server:<key>       - the server the stack belongs to (card id)
+//   minesible-role:infra|config  - which half of the server it is
+//
+// Stack names are never used to pair stacks - renaming one is safe. Stacks
+// created before the labels existed are labelled by the migration in
+// lib/label-migration.js.
+
+const { spaceliftQuery } = require('./spacelift');
+const { NotFoundError } = require('./errors');
+
+const MINESIBLE_LABEL = 'minesible';
+const SERVER_LABEL_PREFIX = 'minesible-server:';
+const ROLE_LABEL_PREFIX = 'minesible-role:';
+const ROLE_INFRA = 'infra';
+const ROLE_CONFIG = 'config';
+
+// Stop/start set this on the OpenTofu stack; stacks/opentofu reports the
+// instance's actual state back as the instance_state output
+const INSTANCE_STATE_VAR = 'TF_VAR_instance_state';
+const INSTANCE_STATES = ['running', 'stopped'];
+// Resizing sets this; stacks/opentofu reports it back as the instance_type output
+const INSTANCE_TYPE_VAR = 'TF_VAR_instance_type';
+// ...and these on the Ansible stack, so Minecraft gets a heap that fits the
+// new type (deploys set them from the jvm_heap_mb / jvm_flags inputs)
+const JVM_HEAP_VAR = 'JVM_HEAP_MB';
+const JVM_FLAGS_VAR = 'JVM_FLAGS';
+// Upgrades set these on the Ansible stack - the env vars the blueprint's
+// flavor and Minecraft version inputs map to
+const MINECRAFT_VERSION_VARS = {
+    server_flavor: 'SERVER_FLAVOR',
+    server_flavor_version: 'SERVER_FLAVOR_VERSION',
+    minecraft_version: 'MINECRAFT_VERSION',
+    server_jar_url: 'SERVER_JAR_URL',
+    server_jar_sha1: 'SERVER_JAR_SHA1',
+    server_jar_sha256: 'SERVER_JAR_SHA256',
+    java_version: 'JAVA_VERSION'
+};
+
+const STACK_FIELDS = `
+    id
+    name
+    labels
+    state
+    createdAt
+    outputs {
+        id
+        value
+    }
+`;
+
+function isMinesibleStack(stack) {
+    return Boolean(stack && stack.labels && stack.labels.includes(MINESIBLE_LABEL));
+}
+
+function labelValue(stack, prefix) {
+    const label = ((stack && stack.labels) || []).find(candidate => candidate.startsWith(prefix));
+    return label ? label.slice(prefix.length) || null : null;
+}
+
+// { serverKey, role } from the stack's labels - null when not labelled
+function stackIdentity(stack) {
+    const role = labelValue(stack, ROLE_LABEL_PREFIX);
+    return {
+        serverKey: labelValue(stack, SERVER_LABEL_PREFIX),
+        role: [ROLE_INFRA, ROLE_CONFIG].includes(role) ? role : null
+    };
+}
+
+// Unlabelled stacks are never paired, but still need a role to be shown and
+// deleted on their own; their name is the only hint
+function stackRole(stack) {
+    const { role } = stackIdentity(stack);
+    if (role) {
+        return role;
+    }
+    return stack && /ansible/i.test(stack.name) ? ROLE_CONFIG : ROLE_INFRA;
+}
+
+function serverLabels(serverKey, role) {
+    return [MINESIBLE_LABEL, `${SERVER_LABEL_PREFIX}${serverKey}`, `${ROLE_LABEL_PREFIX}${role}`];
+}
+
+// Outputs as a plain object. Values can come back JSON-encoded ("\"1.2.3.4\"").
+function stackOutputs(stack) {
+    if (!stack || !stack.outputs) {
+        return {};
+    }
+    return stack.outputs.reduce((acc, output) => {
+        acc[output.id] = output.value === null || output.value === undefined
+            ? output.value
+            : String(output.value).replace(/^"|"$/g, '');
+        return acc;
+    }, {});
+}
+
+async function listMinesibleStacks() {
+    const allStacksQuery = `
+        query GetAllStacks {
+            stacks {
+                ${STACK_FIELDS}
+            }
+        }
+    `;
+
+    const result = await spaceliftQuery(allStacksQuery);
+    return (result.stacks || []).filter(isMinesibleStack);
+}
+
+// One stack with the fields listMinesibleStacks returns - null when it is gone
+async function getStack(stackId) {
+    const stackQuery = `
+        query GetStack($id: ID!) {
+            stack(id: $id) {
+                ${STACK_FIELDS}
+            }
+        }
+    `;
+
+    const result = await spaceliftQuery(stackQuery, { id: stackId });
+    return result.stack || null;
+}
+
+// GET /api/servers/:id - one stack of a server with its latest run, 404 for
+// stacks the web manager doesn't own
+async function getServerDetails(stackId) {
+    const stackQuery = `
+        query GetStack($id: ID!) {
+            stack(id: $id) {
+                ${STACK_FIELDS}
+                latestRun {
+                    id
+                    state
+                    createdAt
+                    finishedAt
+                }
+            }
+        }
+    `;
+
+    const result = await spaceliftQuery(stackQuery, { id: stackId });
+    const stack = result.stack || null;
+
+    if (!isMinesibleStack(stack)) {
+        throw new NotFoundError('Server not found');
+    }
+
+    const outputs = stackOutputs(stack);
+    return {
+        id: stack.id,
+        name: stack.name,
+        status: stack.state,
+        ip: outputs.ec2_ip || null,
+        instanceType: outputs.instance_type || 'unknown',
+        maxPlayers: outputs.max_players || 'unknown',
+        created: stack.createdAt,
+        latestRun: stack.latestRun
+    };
+}
+
+// Both stack ids of a server from getServerStacks or groupServerStacks -
+// OpenTofu first
+function serverStackIds(server) {
+    return [server.opentofu && server.opentofu.id, server.ansible && server.ansible.id].filter(Boolean);
+}
+
+async function getServerStacks(stackId) {
+    const stack = await getStack(stackId);
+
+    if (!isMinesibleStack(stack)) {
+        throw new NotFoundError('Server not found');
+    }
+
+    const { serverKey } = stackIdentity(stack);
+    const role = stackRole(stack);
+    const stacks = { [ROLE_INFRA]: null, [ROLE_CONFIG]: null };
+    stacks[role] = stack;
+
+    if (serverKey) {
+        const partnerRole = role === ROLE_CONFIG ? ROLE_INFRA : ROLE_CONFIG;
+        const partners = (await listMinesibleStacks()).filter(candidate => {
+            const identity = stackIdentity(candidate);
+            return candidate.id !== stack.id && identity.serverKey === serverKey && identity.role === partnerRole;
+        });
+        if (partners.length > 1) {
+            // Never guess - a delete must not pick the wrong partner
+            console.warn(`Server ${serverKey} has ${partners.length} ${partnerRole} stacks: ${partners.map(partner => partner.id).join(', ')}`);
+        }
+        stacks[partnerRole] = partners.length === 1 ? partners[0] : null;
+    }
+
+    return {
+        serverKey,
+        stack,
+        opentofu: stacks[ROLE_INFRA],
+        ansible: stacks[ROLE_CONFIG],
+        outputs: stackOutputs(stacks[ROLE_INFRA])
+    };
+}
+
+// Add or replace an environment variable on a stack - picked up by its next run
+async function setStackEnvironment(stackId, name, value) {
+    const configAddMutation = `
+        mutation SetStackEnvironment($stackId: ID!, $config: ConfigInput!) {
+            stackConfigAdd(stack: $stackId, config: $config) {
+                id
+                value
+            }
+        }
+    `;
+
+    const result = await spaceliftQuery(configAddMutation, {
+        stackId,
+        config: { id: name, type: 'ENVIRONMENT_VARIABLE', value: String(value), writeOnly: false }
+    });
+    return result.stackConfigAdd;
+}
+
+// Helper function to determine overall deployment status. A stopped instance
+// has nothing for Ansible to configure, so its stack's state doesn't matter.
+function determineOverallStatus(opentofuStatus, ansibleStatus, instanceState = null) {
+    if (opentofuStatus === 'FINISHED' && instanceState === 'stopped') {
+        return 'Stopped';
+    } else if (opentofuStatus === 'FINISHED' && ansibleStatus === 'FINISHED') {
+        return 'Ready';
+    } else if (opentofuStatus === 'FAILED' || ansibleStatus === 'FAILED') {
+        return 'Failed';
+    } else if (opentofuStatus === 'UNCONFIRMED' || ansibleStatus === 'UNCONFIRMED') {
+        return 'Pending Confirmation';
+    } else if (opentofuStatus === 'PLANNING' || ansibleStatus === 'PLANNING') {
+        return 'Planning';
+    } else if (opentofuStatus === 'APPLYING' || ansibleStatus === 'APPLYING') {
+        return 'Deploying';
+    } else if (opentofuStatus === 'Missing' || ansibleStatus === 'Missing') {
+        return 'Incomplete';
+    } else {
+        return 'In Progress';
+    }
+}
+
+// Server cards for the UI: one per server label, plus one per unlabelled stack
+function groupServerStacks(stacks) {
+    const groups = {};
+
+    stacks.forEach(stack => {
+        const { serverKey } = stackIdentity(stack);
+        const role = stackRole(stack);
+        const groupKey = serverKey || `unlabelled-${stack.id}`;
+
+        if (!groups[groupKey]) {
+            groups[groupKey] = {
+                id: groupKey,
+                // Blueprint stacks are named "...-Blueprint-<key>"; anything else was set up by hand
+                name: serverKey
+                    ? `${/Blueprint-/.test(stack.name) ? 'Blueprint' : 'Manual'}-${serverKey}`
+                    : `Unlabelled-${stack.name}`,
+                status: 'Unknown',
+                ip: null,
+                instanceType: 'unknown',
+                maxPlayers: 'unknown',
+                created: null,
+                instanceState: null,
+                opentofu: null,
+                ansible: null,
+                isManual: !serverKey || !/Blueprint-/.test(stack.name),
+                unlabelled: !serverKey
+            };
+        }
+        const group = groups[groupKey];
+
+        if (role === ROLE_INFRA) {
+            group.opentofu = {
+                id: stack.id,
+                name: stack.name,
+                status: stack.state
+            };
+
+            const outputs = stackOutputs(stack);
+            group.ip = outputs.ec2_ip || null;
+            group.instanceType = outputs.instance_type || 'unknown';
+            group.maxPlayers = outputs.max_players || 'unknown';
+            group.instanceState = outputs.instance_state || null;
+            group.created = stack.createdAt;
+        } else {
+            group.ansible = {
+                id: stack.id,
+                name: stack.name,
+                status: stack.state
+            };
+
+            // If OpenTofu didn't provide creation date, use Ansible's
+            if (!group.created) {
+                group.created = stack.createdAt;
+            }
+        }
+
+        const opentofuStatus = group.opentofu?.status || 'Missing';
+        const ansibleStatus = group.ansible?.status || 'Missing';
+        group.status = determineOverallStatus(opentofuStatus, ansibleStatus, group.instanceState);
+    });
+
+    // Blueprint servers first, then manual ones, then unlabelled stacks
+    const rank = group => (group.unlabelled ? 2 : (group.isManual ? 1 : 0));
+    return Object.values(groups).sort((a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name));
+}
+
+module.exports = {
+    MINESIBLE_LABEL,
+    SERVER_LABEL_PREFIX,
+    ROLE_LABEL_PREFIX,
+    ROLE_INFRA,
+    ROLE_CONFIG,
+    INSTANCE_STATE_VAR,
+    INSTANCE_STATES,
+    INSTANCE_TYPE_VAR,
+    JVM_HEAP_VAR,
+    JVM_FLAGS_VAR,
+    MINECRAFT_VERSION_VARS,
+    isMinesibleStack,
+    stackIdentity,
+    stackRole,
+    serverLabels,
+    stackOutputs,
+    listMinesibleStacks,
+    getStack,
+    getServerDetails,
+    getServerStacks,
+    serverStackIds,
+    setStackEnvironment,
+    determineOverallStatus,
+    groupServerStacks
+};
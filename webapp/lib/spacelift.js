@@ -0,0 +1,289 @@
+// webapp/lib/spacelift.js
+// Shared Spacelift GraphQL client used by every API route
+
+require('dotenv').config();
+const axios = require('axios');
+const {
+    ValidationError,
+    AuthenticationError,
+    PermissionError,
+    NotFoundError,
+    RateLimitError,
+    UpstreamError
+} = require('./errors');
+
+// Spacelift API configuration
+// Required - each account has its own endpoint, so there is no default
+const SPACELIFT_API_URL = process.env.SPACELIFT_API_ENDPOINT;
+const SPACELIFT_API_KEY_ID = process.env.SPACELIFT_API_KEY_ID;
+const SPACELIFT_API_KEY_SECRET = process.env.SPACELIFT_API_KEY_SECRET;
+
+// Retry configuration
+const MAX_RETRIES = parseInt(process.env.SPACELIFT_MAX_RETRIES || '3', 10);
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 8000;
+const REQUEST_TIMEOUT_MS = 30000;
+
+// Network errors where the request never reached Spacelift, so even a
+// mutation can be sent again safely
+const CONNECT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+// Network errors where the request may or may not have been processed
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE'];
+
+// Validate required environment variables
+const REQUIRED_ENV = {
+    SPACELIFT_API_ENDPOINT: SPACELIFT_API_URL,
+    SPACELIFT_API_KEY_ID,
+    SPACELIFT_API_KEY_SECRET
+};
+
+// The names of the required variables that are not set
+function missingConfig() {
+    return Object.keys(REQUIRED_ENV).filter(name => !REQUIRED_ENV[name]);
+}
+
+if (missingConfig().length > 0) {
+    console.error(`Missing required environment variables: ${missingConfig().join(', ')}`);
+}
+
+// Cache for JWT token
+let currentJWT = null;
+let jwtExpiry = null;
+
+function isConfigured() {
+    return missingConfig().length === 0;
+}
+
+function invalidateJWT() {
+    currentJWT = null;
+    jwtExpiry = null;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Exponential backoff with jitter, honouring Retry-After when Spacelift sends one
+function backoffDelay(attempt, retryAfterMs = null) {
+    if (retryAfterMs) {
+        return Math.min(retryAfterMs, RETRY_MAX_DELAY_MS);
+    }
+    const delay = RETRY_BASE_DELAY_MS * Math.pow(2, attempt);
+    return Math.min(delay + Math.floor(Math.random() * RETRY_BASE_DELAY_MS), RETRY_MAX_DELAY_MS);
+}
+
+function parseRetryAfter(headers) {
+    const value = headers && headers['retry-after'];
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return seconds * 1000;
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+// Map a list of GraphQL errors to one of our typed errors
+function classifyGraphQLErrors(errors) {
+    const message = errors.map(error => error.message).join('; ');
+    const codes = errors.map(error => (error.extensions && error.extensions.code) || '').join(' ').toUpperCase();
+    const text = `${codes} ${message}`.toLowerCase();
+
+    if (/unauthenticated|unauthorized|token is expired|invalid token/.test(text)) {
+        return new AuthenticationError(`Spacelift authentication failed: ${message}`, { errors });
+    }
+    if (/forbidden|permission|access denied|not allowed/.test(text)) {
+        return new PermissionError(`Spacelift denied the request: ${message}`, { errors });
+    }
+    if (/not found|does not exist/.test(text)) {
+        return new NotFoundError(message, { errors });
+    }
+    if (/rate limit|too many requests/.test(text)) {
+        return new RateLimitError(`Spacelift rate limit exceeded: ${message}`, null, { errors });
+    }
+    if (/bad_user_input|graphql_validation|invalid|required|must be|cannot query field|unknown argument/.test(text)) {
+        return new ValidationError(message, { errors });
+    }
+    return new UpstreamError(`Spacelift API error: ${message}`, { errors });
+}
+
+// Map an axios failure (HTTP status or network error) to one of our typed errors
+function classifyHttpError(error) {
+    const response = error.response;
+
+    if (!response) {
+        return new UpstreamError(`Could not reach Spacelift: ${error.code || error.message}`);
+    }
+
+    const body = response.data;
+    const graphqlErrors = body && Array.isArray(body.errors) ? body.errors : null;
+    const detail = graphqlErrors ? graphqlErrors.map(e => e.message).join('; ') : (error.message || `HTTP ${response.status}`);
+
+    switch (response.status) {
+        case 400:
+            return new ValidationError(detail, graphqlErrors ? { errors: graphqlErrors } : null);
+        case 401:
+            return new AuthenticationError(`Spacelift authentication failed: ${detail}`);
+        case 403:
+            return new PermissionError(`Spacelift denied the request: ${detail}`);
+        case 404:
+            return new NotFoundError(detail);
+        case 429:
+            return new RateLimitError('Spacelift rate limit exceeded', parseRetryAfter(response.headers));
+        default:
+            return new UpstreamError(`Spacelift API error (HTTP ${response.status}): ${detail}`);
+    }
+}
+
+// Decide whether a failed request is worth sending again
+function isRetryable(error, isMutation) {
+    const response = error.response;
+
+    if (!response) {
+        if (CONNECT_ERROR_CODES.includes(error.code)) return true;
+        // A mutation that timed out may already have been applied
+        return !isMutation && TRANSIENT_ERROR_CODES.includes(error.code);
+    }
+
+    if (response.status === 429) return true;
+    // Same reasoning for 5xx: only queries are safe to repeat
+    return !isMutation && response.status >= 500;
+}
+
+async function postGraphQL(body, headers) {
+    return axios.post(SPACELIFT_API_URL, body, {
+        headers: {
+            'Content-Type': 'application/json',
+            ...headers
+        },
+        timeout: REQUEST_TIMEOUT_MS
+    });
+}
+
+// Function to get JWT token from API key
+async function getJWTToken(forceRefresh = false) {
+    if (!forceRefresh && currentJWT && jwtExpiry && Date.now() < jwtExpiry) {
+        return currentJWT;
+    }
+
+    if (!isConfigured()) {
+        throw new AuthenticationError(`Spacelift API is not configured (${missingConfig().join(', ')})`);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await postGraphQL({
+                query: `
+                    mutation GetSpaceliftToken($id: ID!, $secret: String!) {
+                        apiKeyUser(id: $id, secret: $secret) {
+                            jwt
+                        }
+                    }
+                `,
+                variables: {
+                    id: SPACELIFT_API_KEY_ID,
+                    secret: SPACELIFT_API_KEY_SECRET
+                }
+            });
+
+            if (response.data.errors) {
+                // Any error exchanging the key means the key itself is bad
+                const messages = response.data.errors.map(error => error.message).join('; ');
+                throw new AuthenticationError(`Spacelift authentication failed: ${messages}`, { errors: response.data.errors });
+            }
+
+            currentJWT = response.data.data.apiKeyUser.jwt;
+            jwtExpiry = Date.now() + (50 * 60 * 1000);
+
+            return currentJWT;
+        } catch (error) {
+            if (error instanceof AuthenticationError) {
+                console.error('Failed to get JWT token:', error.message);
+                throw error;
+            }
+
+            // Exchanging the key has no side effects, so it is always safe to retry
+            if (attempt < MAX_RETRIES && isRetryable(error, false)) {
+                const delay = backoffDelay(attempt, error.response && parseRetryAfter(error.response.headers));
+                console.warn(`JWT request failed (${error.response?.status || error.code}), retrying in ${delay}ms...`);
+                await sleep(delay);
+                continue;
+            }
+
+            console.error('Failed to get JWT token:', error.response?.data || error.message);
+            throw classifyHttpError(error);
+        }
+    }
+}
+
+// GraphQL helper function
+//
+// Queries are retried on 5xx and network failures. Mutations are only retried
+// when Spacelift cannot have processed them (connection refused, 429, or an
+// expired JWT) so a deploy or delete is never sent twice. Pass
+// { retryMutation: true } for mutations that are safe to repeat.
+async function spaceliftQuery(query, variables = {}, options = {}) {
+    const isMutation = /^\s*mutation\b/.test(query) && !options.retryMutation;
+    let refreshedToken = false;
+
+    for (let attempt = 0; ; attempt++) {
+        const jwt = await getJWTToken();
+
+        let response;
+        try {
+            response = await postGraphQL({ query, variables }, {
+                'Authorization': `Bearer ${jwt}`
+            });
+        } catch (error) {
+            const status = error.response?.status;
+
+            // Expired or revoked JWT - refresh once and try again
+            if (status === 401 && !refreshedToken) {
+                console.warn('Spacelift returned 401, refreshing JWT token...');
+                invalidateJWT();
+                refreshedToken = true;
+                continue;
+            }
+
+            if (attempt < MAX_RETRIES && isRetryable(error, isMutation)) {
+                const delay = backoffDelay(attempt, error.response && parseRetryAfter(error.response.headers));
+                console.warn(`Spacelift request failed (${status || error.code}), retry ${attempt + 1}/${MAX_RETRIES} in ${delay}ms...`);
+                await sleep(delay);
+                continue;
+            }
+
+            console.error('Spacelift API error:', error.response?.data || error.message);
+            throw classifyHttpError(error);
+        }
+
+        if (response.data.errors && response.data.errors.length > 0) {
+            const typed = classifyGraphQLErrors(response.data.errors);
+
+            // Spacelift reports some auth failures inside a 200 response
+            if (typed instanceof AuthenticationError && !refreshedToken) {
+                console.warn('Spacelift rejected the JWT, refreshing token...');
+                invalidateJWT();
+                refreshedToken = true;
+                continue;
+            }
+
+            if (typed instanceof RateLimitError && attempt < MAX_RETRIES) {
+                const delay = backoffDelay(attempt);
+                console.warn(`Spacelift rate limit hit, retry ${attempt + 1}/${MAX_RETRIES} in ${delay}ms...`);
+                await sleep(delay);
+                continue;
+            }
+
+            console.error('GraphQL errors:', response.data.errors);
+            throw typed;
+        }
+
+        return response.data.data;
+    }
+}
+
+module.exports = {
+    SPACELIFT_API_URL,
+    missingConfig,
+    isConfigured,
+    getJWTToken,
+    spaceliftQuery
+};
@@ -0,0 +1,237 @@
+// webapp/lib/store.js
+// Small JSON document store for state the web manager has to keep between
+// requests (server records, jobs, ...). Serverless instances do not share
+// memory or disk, so production uses an S3 bucket; local development falls
+// back to JSON files on disk.
+//
+//   MINESIBLE_STATE_BUCKET  - S3 bucket to store documents in (enables S3)
+//   MINESIBLE_STATE_PREFIX  - key prefix inside the bucket (default "minesible-state/")
+//   MINESIBLE_DATA_DIR      - directory for the file backend (default "./.data")
+
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getS3Client } = require('./s3');
+
+const STATE_BUCKET = process.env.MINESIBLE_STATE_BUCKET;
+const STATE_PREFIX = process.env.MINESIBLE_STATE_PREFIX || 'minesible-state/';
+const DATA_DIR = process.env.MINESIBLE_DATA_DIR || path.join(process.cwd(), '.data');
+
+// Document ids end up in file names and S3 keys
+function assertSafeName(name) {
+    if (typeof name !== 'string' || !/^[A-Za-z0-9._:-]+$/.test(name) || name.includes('..')) {
+        throw new Error(`Invalid store key: ${name}`);
+    }
+}
+
+// ---- File backend ----
+
+// Conditional writes to one file run one at a time (a single dev process)
+const fileWrites = {};
+
+function fileVersion(text) {
+    return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+const fileBackend = {
+    async get(collection, id) {
+        const versioned = await fileBackend.getVersioned(collection, id);
+        return versioned ? versioned.doc : null;
+    },
+
+    async getVersioned(collection, id) {
+        try {
+            const text = await fs.promises.readFile(path.join(DATA_DIR, collection, `${id}.json`), 'utf8');
+            return { doc: JSON.parse(text), version: fileVersion(text) };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    },
+
+    async putIfVersion(collection, id, doc, version) {
+        const key = `${collection}/${id}`;
+        const write = (fileWrites[key] || Promise.resolve()).then(async () => {
+            const current = await fileBackend.getVersioned(collection, id);
+            if (current ? current.version !== version : version !== null) {
+                return false;
+            }
+            await fileBackend.put(collection, id, doc);
+            return true;
+        });
+        fileWrites[key] = write.catch(() => {});
+        return write;
+    },
+
+    async put(collection, id, doc) {
+        const dir = path.join(DATA_DIR, collection);
+        await fs.promises.mkdir(dir, { recursive: true });
+        // Write then rename so readers never see a half-written file
+        const target = path.join(dir, `${id}.json`);
+        const temp = `${target}.${process.pid}.${Date.now()}.tmp`;
+        await fs.promises.writeFile(temp, JSON.stringify(doc, null, 2));
+        await fs.promises.rename(temp, target);
+    },
+
+    async remove(collection, id) {
+        try {
+            await fs.promises.unlink(path.join(DATA_DIR, collection, `${id}.json`));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    },
+
+    async list(collection) {
+        let files;
+        try {
+            files = await fs.promises.readdir(path.join(DATA_DIR, collection));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        const ids = files.filter(file => file.endsWith('.json')).map(file => file.slice(0, -5));
+        const docs = await Promise.all(ids.map(id => fileBackend.get(collection, id)));
+        return docs.filter(Boolean);
+    }
+};
+
+// ---- S3 backend ----
+
+const s3Backend = {
+    async get(collection, id) {
+        const versioned = await s3Backend.getVersioned(collection, id);
+        return versioned ? versioned.doc : null;
+    },
+
+    // The ETag is the version conditional writes compare against
+    async getVersioned(collection, id) {
+        const { GetObjectCommand } = require('@aws-sdk/client-s3');
+        try {
+            const result = await getS3Client().send(new GetObjectCommand({
+                Bucket: STATE_BUCKET,
+                Key: `${STATE_PREFIX}${collection}/${id}.json`
+            }));
+            return { doc: JSON.parse(await result.Body.transformToString()), version: result.ETag };
+        } catch (error) {
+            if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+            throw error;
+        }
+    },
+
+    async putIfVersion(collection, id, doc, version) {
+        const { PutObjectCommand } = require('@aws-sdk/client-s3');
+        try {
+            await getS3Client().send(new PutObjectCommand({
+                Bucket: STATE_BUCKET,
+                Key: `${STATE_PREFIX}${collection}/${id}.json`,
+                Body: JSON.stringify(doc),
+                ContentType: 'application/json',
+                ...(version === null ? { IfNoneMatch: '*' } : { IfMatch: version })
+            }));
+            return true;
+        } catch (error) {
+            // 412: changed since it was read; 409: another conditional write won
+            const status = error.$metadata?.httpStatusCode;
+            if (status === 412 || status === 409) return false;
+            throw error;
+        }
+    },
+
+    async put(collection, id, doc) {
+        const { PutObjectCommand } = require('@aws-sdk/client-s3');
+        await getS3Client().send(new PutObjectCommand({
+            Bucket: STATE_BUCKET,
+            Key: `${STATE_PREFIX}${collection}/${id}.json`,
+            Body: JSON.stringify(doc),
+            ContentType: 'application/json'
+        }));
+    },
+
+    async remove(collection, id) {
+        const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+        await getS3Client().send(new DeleteObjectCommand({
+            Bucket: STATE_BUCKET,
+            Key: `${STATE_PREFIX}${collection}/${id}.json`
+        }));
+    },
+
+    async list(collection) {
+        const { ListObjectsV2Command } = require('@aws-sdk/client-s3');
+        const prefix = `${STATE_PREFIX}${collection}/`;
+        const ids = [];
+        let continuationToken;
+
+        do {
+            const page = await getS3Client().send(new ListObjectsV2Command({
+                Bucket: STATE_BUCKET,
+                Prefix: prefix,
+                ContinuationToken: continuationToken
+            }));
+            (page.Contents || []).forEach(object => {
+                if (object.Key.endsWith('.json')) {
+                    ids.push(object.Key.slice(prefix.length, -5));
+                }
+            });
+            continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (continuationToken);
+
+        const docs = await Promise.all(ids.map(id => s3Backend.get(collection, id)));
+        return docs.filter(Boolean);
+    }
+};
+
+const backend = STATE_BUCKET ? s3Backend : fileBackend;
+
+if (!STATE_BUCKET && process.env.NODE_ENV === 'production') {
+    console.warn(`MINESIBLE_STATE_BUCKET is not set - state is stored in ${DATA_DIR} and will not survive serverless restarts`);
+}
+
+async function getDocument(collection, id) {
+    assertSafeName(collection);
+    assertSafeName(id);
+    return backend.get(collection, id);
+}
+
+// { doc, version } - or null. Pass the version to putDocumentIfUnchanged.
+async function getVersionedDocument(collection, id) {
+    assertSafeName(collection);
+    assertSafeName(id);
+    return backend.getVersioned(collection, id);
+}
+
+// Write doc only if nobody has written it since it was read at version -
+// a null version writes it only if it doesn't exist yet. Returns whether it
+// was written.
+async function putDocumentIfUnchanged(collection, id, doc, version) {
+    assertSafeName(collection);
+    assertSafeName(id);
+    return backend.putIfVersion(collection, id, doc, version);
+}
+
+async function putDocument(collection, id, doc) {
+    assertSafeName(collection);
+    assertSafeName(id);
+    await backend.put(collection, id, doc);
+    return doc;
+}
+
+async function deleteDocument(collection, id) {
+    assertSafeName(collection);
+    assertSafeName(id);
+    await backend.remove(collection, id);
+}
+
+async function listDocuments(collection) {
+    assertSafeName(collection);
+    return backend.list(collection);
+}
+
+module.exports = {
+    getDocument,
+    getVersionedDocument,
+    putDocument,
+    putDocumentIfUnchanged,
+    deleteDocument,
+    listDocuments
+};
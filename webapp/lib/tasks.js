@@ -0,0 +1,169 @@
+// webapp/lib/tasks.js
+// Spacelift tasks - one-off commands (ansible-playbook ...) run on a stack -
+// and tracked runs, which apply the stack's code and config again.
+// Both return a run id straight away; the run's state says how it went.
+
+const { spaceliftQuery } = require('./spacelift');
+const { NotFoundError } = require('./errors');
+
+// Run states after which nothing else will happen
+const TERMINAL_STATES = ['FINISHED', 'FAILED', 'CANCELED', 'DISCARDED', 'STOPPED'];
+
+async function triggerTask(stackId, command) {
+    const triggerTaskMutation = `
+        mutation TriggerTask($stackId: ID!, $command: String!) {
+            taskTrigger(
+                stack: $stackId,
+                command: $command
+            ) {
+                id
+                state
+            }
+        }
+    `;
+
+    const result = await spaceliftQuery(triggerTaskMutation, { stackId, command });
+    return result.taskTrigger;
+}
+
+// A tracked run plans and applies the stack. Stacks without autodeploy stop at
+// UNCONFIRMED until confirmRun is called.
+async function triggerTrackedRun(stackId) {
+    const triggerRunMutation = `
+        mutation TriggerRun($stackId: ID!) {
+            runTrigger(stack: $stackId, runType: TRACKED) {
+                id
+                state
+            }
+        }
+    `;
+
+    const result = await spaceliftQuery(triggerRunMutation, { stackId });
+    return result.runTrigger;
+}
+
+async function confirmRun(stackId, runId) {
+    const confirmRunMutation = `
+        mutation ConfirmRun($stackId: ID!, $runId: ID!) {
+            runConfirm(stack: $stackId, run: $runId) {
+                id
+                state
+            }
+        }
+    `;
+
+    const result = await spaceliftQuery(confirmRunMutation, { stackId, runId });
+    return result.runConfirm;
+}
+
+// Run states that mean the task has not started executing yet
+const QUEUED_STATES = ['QUEUED', 'READY', 'PENDING'];
+
+// Spacelift timestamps are unix seconds; accept milliseconds and ISO strings too
+function toDate(value) {
+    if (value === null || value === undefined) return null;
+    const date = typeof value === 'number'
+        ? new Date(value > 1000000000000 ? value : value * 1000)
+        : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// Collapse Spacelift run states into what the UI shows
+function taskPhase(state) {
+    if (state === 'FINISHED') return 'succeeded';
+    if (TERMINAL_STATES.includes(state)) return 'failed';
+    if (QUEUED_STATES.includes(state)) return 'queued';
+    return 'running';
+}
+
+// Helper function to explain a failed run from its state history
+function failureReason(run, history) {
+    if (run.state === 'FINISHED' || !TERMINAL_STATES.includes(run.state)) {
+        return null;
+    }
+    // The state before the terminal one is where it went wrong
+    const before = history.filter(transition => transition.state !== run.state).pop();
+    const where = before ? ` while ${before.state}` : '';
+    switch (run.state) {
+        case 'CANCELED': return `Task was canceled${where}`;
+        case 'DISCARDED': return 'Task was discarded before it ran';
+        case 'STOPPED': return `Task was stopped${where}`;
+        default: return `Task failed${where} - see the run logs in Spacelift`;
+    }
+}
+
+async function getTaskStatus(stackId, taskId) {
+    const getRunQuery = `
+        query GetRun($stackId: ID!, $runId: ID!) {
+            stack(id: $stackId) {
+                id
+                run(id: $runId) {
+                    id
+                    type
+                    state
+                    createdAt
+                    updatedAt
+                    history {
+                        state
+                        timestamp
+                    }
+                }
+            }
+        }
+    `;
+
+    const result = await spaceliftQuery(getRunQuery, { stackId, runId: taskId });
+
+    if (!result.stack || !result.stack.run) {
+        throw new NotFoundError(`Task ${taskId} not found on stack ${stackId}`);
+    }
+
+    const run = result.stack.run;
+    // Oldest transition first
+    const history = (run.history || [])
+        .map(transition => ({ state: transition.state, at: toDate(transition.timestamp) }))
+        .sort((a, b) => (a.at ? a.at.getTime() : 0) - (b.at ? b.at.getTime() : 0));
+
+    const finished = TERMINAL_STATES.includes(run.state);
+    const startedAt = toDate(run.createdAt);
+    const finishedAt = finished
+        ? (history.length > 0 ? history[history.length - 1].at : toDate(run.updatedAt))
+        : null;
+
+    return {
+        id: run.id,
+        state: run.state,
+        phase: taskPhase(run.state),
+        finished,
+        succeeded: run.state === 'FINISHED',
+        startedAt: startedAt ? startedAt.toISOString() : null,
+        finishedAt: finishedAt ? finishedAt.toISOString() : null,
+        durationSeconds: startedAt && (finishedAt || !finished)
+            ? Math.round(((finishedAt || new Date()).getTime() - startedAt.getTime()) / 1000)
+            : null,
+        failureReason: failureReason(run, history)
+    };
+}
+
+// Poll a task until it finishes or timeoutMs passes; returns the last status
+async function waitForTask(stackId, taskId, options = {}) {
+    const timeoutMs = options.timeoutMs || 20000;
+    const intervalMs = options.intervalMs || 3000;
+    const deadline = Date.now() + timeoutMs;
+
+    let status = await getTaskStatus(stackId, taskId);
+    while (!status.finished && Date.now() + intervalMs < deadline) {
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+        status = await getTaskStatus(stackId, taskId);
+    }
+    return status;
+}
+
+module.exports = {
+    TERMINAL_STATES,
+    triggerTask,
+    triggerTrackedRun,
+    confirmRun,
+    getTaskStatus,
+    waitForTask
+};
@@ -0,0 +1,467 @@
+// webapp/lib/webhooks.js
+// Signed JSON webhooks for other tooling. Admins subscribe a URL to some event
+// types; every matching event is stored as a delivery and sent by a
+// 'webhook-delivery' job, retried with backoff. Deliveries stay in the store
+// as the delivery log, and any of them can be sent again (replayed).
+//
+// Each request is a POST of { id, type, createdAt, data } - id is the event's
+// and stays the same across retries and replays, so receivers can drop
+// duplicates - with the headers:
+//
+//   X-Minesible-Event      - the event type
+//   X-Minesible-Delivery   - the delivery id (a replay gets a new one)
+//   X-Minesible-Timestamp  - Unix seconds when this attempt was signed
+//   X-Minesible-Signature  - "sha256=" + hex HMAC-SHA256 of "<timestamp>.<body>",
+//                            keyed with the subscription's secret
+//
+// Receivers must be public: hosts resolving to loopback, link-local (the EC2
+// metadata service), private or other reserved addresses are refused when the
+// webhook is saved and again on every connection. Only the receiver's status
+// code is logged, never its answer.
+//
+//   WEBHOOK_PRIVATE_HOSTS - host[:port]s exempt from that check, comma
+//                           separated (e.g. localhost:9000 for a local receiver)
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const { getDocument, putDocument, deleteDocument, listDocuments } = require('./store');
+const { registerJobType, createJob, advanceJobInBackground } = require('./jobs');
+const { ValidationError, NotFoundError } = require('./errors');
+
+const SUBSCRIPTIONS = 'webhooks';
+const DELIVERIES = 'webhook-deliveries';
+
+const WEBHOOK_EVENTS = [
+    'deploy.started',
+    'server.ready',
+    'server.failed',
+    'save.completed',
+    'save.failed',
+    'server.deleted',
+    'player.joined'
+];
+
+const MAX_SUBSCRIPTIONS = 20;
+const REQUEST_TIMEOUT_MS = 10000;
+// Wait before each retry; the delivery fails after the last
+const RETRY_DELAYS_MS = [10000, 60000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000];
+// Finished deliveries kept per subscription
+const DELIVERY_LOG_SIZE = 100;
+
+// Addresses a webhook may not reach
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function newId(prefix) {
+    return `${prefix}-${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function privateHostAllowed(parsed) {
+    return (process.env.WEBHOOK_PRIVATE_HOSTS || '')
+        .split(',')
+        .map(host => host.trim().toLowerCase())
+        .filter(Boolean)
+        .includes(parsed.host.toLowerCase());
+}
+
+function isBlockedAddress(address) {
+    // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) {
+        return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+    }
+    const family = net.isIP(address);
+    return family === 0 || BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup that refuses blocked addresses - used for every delivery, so a
+// host can't point somewhere else after it was checked
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            return callback(error);
+        }
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+        if (blocked) {
+            const refused = new Error(`${hostname} resolves to ${blocked.address}, which webhooks may not reach`);
+            refused.code = 'EADDRBLOCKED';
+            return callback(refused);
+        }
+        callback(null, address, family);
+    });
+}
+
+async function assertPublicHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+    } catch (error) {
+        throw new ValidationError(`Webhook host ${host} could not be resolved`);
+    }
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+        throw new ValidationError(`Webhook host ${host} resolves to ${blocked.address} - webhooks can only go to public addresses`);
+    }
+}
+
+async function validateSubscriptionUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(String(url).trim());
+    } catch (error) {
+        throw new ValidationError(`Invalid webhook URL: ${url}`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new ValidationError('Webhook URLs must use http or https');
+    }
+    if (parsed.username || parsed.password) {
+        throw new ValidationError('Put credentials in the receiver, not the webhook URL - requests are signed instead');
+    }
+    if (!privateHostAllowed(parsed)) {
+        await assertPublicHost(parsed.hostname);
+    }
+    return parsed.toString();
+}
+
+// The URL without its query string, for logs and the audit trail
+function displayUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return `${parsed.protocol}//${parsed.host}${parsed.pathname}${parsed.search ? '?…' : ''}`;
+    } catch (error) {
+        return '(invalid URL)';
+    }
+}
+
+// Check { url, events, description, active } from a client; missing fields
+// keep the current values
+async function normalizeSubscription(input, current = null) {
+    if (!input || typeof input !== 'object') {
+        throw new ValidationError('A webhook must be an object: { "url": "https://...", "events": ["server.ready"] }');
+    }
+
+    const url = input.url === undefined && current ? current.url : await validateSubscriptionUrl(input.url || '');
+
+    const events = input.events === undefined ? (current ? current.events : WEBHOOK_EVENTS) : input.events;
+    if (!Array.isArray(events) || events.length === 0) {
+        throw new ValidationError(`events must list at least one of: ${WEBHOOK_EVENTS.join(', ')}`, { events: WEBHOOK_EVENTS });
+    }
+    const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+        throw new ValidationError(`Unknown webhook events: ${unknown.join(', ')}`, { events: WEBHOOK_EVENTS });
+    }
+
+    const description = input.description === undefined
+        ? (current ? current.description : '')
+        : String(input.description || '').trim().slice(0, 200);
+    const active = input.active === undefined ? (current ? current.active : true) : Boolean(input.active);
+
+    return { url, events: WEBHOOK_EVENTS.filter(event => events.includes(event)), description, active };
+}
+
+// A subscription as the API shows it - the secret only when it is created or rotated
+function publicSubscription(subscription) {
+    const { secret, ...rest } = subscription;
+    return { ...rest, secretHint: `…${secret.slice(-4)}` };
+}
+
+async function listSubscriptions() {
+    const subscriptions = await listDocuments(SUBSCRIPTIONS);
+    return subscriptions.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+async function getSubscription(subscriptionId) {
+    if (!/^whk-[a-z0-9-]+$/.test(subscriptionId || '')) {
+        throw new ValidationError(`Invalid webhook id: ${subscriptionId}`);
+    }
+    const subscription = await getDocument(SUBSCRIPTIONS, subscriptionId);
+    if (!subscription) {
+        throw new NotFoundError(`Webhook ${subscriptionId} not found`);
+    }
+    return subscription;
+}
+
+// Returns the stored subscription, secret included - show it to the user once
+async function createSubscription(input, createdBy = null) {
+    const fields = await normalizeSubscription(input);
+    if ((await listSubscriptions()).length >= MAX_SUBSCRIPTIONS) {
+        throw new ValidationError(`At most ${MAX_SUBSCRIPTIONS} webhooks`);
+    }
+
+    const now = new Date().toISOString();
+    const subscription = {
+        id: newId('whk'),
+        ...fields,
+        secret: generateSecret(),
+        createdBy,
+        createdAt: now,
+        updatedAt: now
+    };
+    await putDocument(SUBSCRIPTIONS, subscription.id, subscription);
+    console.log(`Created webhook ${subscription.id} to ${displayUrl(subscription.url)} for ${subscription.events.join(', ')}`);
+    return subscription;
+}
+
+// input.rotateSecret replaces the secret; deliveries still pending are
+// signed with the new one
+async function updateSubscription(subscriptionId, input) {
+    const current = await getSubscription(subscriptionId);
+    const subscription = {
+        ...current,
+        ...await normalizeSubscription(input, current),
+        secret: input.rotateSecret ? generateSecret() : current.secret,
+        updatedAt: new Date().toISOString()
+    };
+    await putDocument(SUBSCRIPTIONS, subscriptionId, subscription);
+    return subscription;
+}
+
+// Its delivery log goes with it
+async function deleteSubscription(subscriptionId) {
+    const subscription = await getSubscription(subscriptionId);
+    await deleteDocument(SUBSCRIPTIONS, subscriptionId);
+
+    const deliveries = (await listDocuments(DELIVERIES)).filter(delivery => delivery.subscriptionId === subscriptionId);
+    for (const delivery of deliveries) {
+        await deleteDocument(DELIVERIES, delivery.id);
+    }
+    console.log(`Deleted webhook ${subscriptionId} and ${deliveries.length} deliveries`);
+    return subscription;
+}
+
+// Newest first
+async function listDeliveries(subscriptionId, limit = 50) {
+    const deliveries = (await listDocuments(DELIVERIES))
+        .filter(delivery => delivery.subscriptionId === subscriptionId)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return deliveries.slice(0, limit);
+}
+
+async function getDelivery(deliveryId) {
+    if (!/^dlv-[a-z0-9-]+$/.test(deliveryId || '')) {
+        throw new ValidationError(`Invalid delivery id: ${deliveryId}`);
+    }
+    const delivery = await getDocument(DELIVERIES, deliveryId);
+    if (!delivery) {
+        throw new NotFoundError(`Delivery ${deliveryId} not found`);
+    }
+    return delivery;
+}
+
+// Drop each subscription's oldest finished deliveries beyond DELIVERY_LOG_SIZE
+async function pruneDeliveries(subscriptionIds) {
+    const finished = (await listDocuments(DELIVERIES))
+        .filter(delivery => delivery.status !== 'pending' && subscriptionIds.includes(delivery.subscriptionId))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    for (const subscriptionId of subscriptionIds) {
+        const old = finished.filter(delivery => delivery.subscriptionId === subscriptionId).slice(DELIVERY_LOG_SIZE);
+        for (const delivery of old) {
+            await deleteDocument(DELIVERIES, delivery.id);
+        }
+    }
+}
+
+async function queueDelivery(subscription, event, fields = {}) {
+    const delivery = {
+        id: newId('dlv'),
+        subscriptionId: subscription.id,
+        event,
+        status: 'pending',
+        attempts: [],
+        nextAttemptAt: null,
+        jobId: null,
+        replayOf: null,
+        requestedBy: null,
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        ...fields
+    };
+    const job = await createJob('webhook-delivery', { deliveryId: delivery.id });
+    delivery.jobId = job.id;
+    await putDocument(DELIVERIES, delivery.id, delivery);
+    advanceJobInBackground(job.id);
+    return delivery;
+}
+
+// Send an event to every active subscription that wants it. data is the
+// event's details ({ serverKey, stackIds, ip, ... }); empty fields are left
+// out. Never throws - returns the deliveries queued.
+async function emitWebhookEvent(type, data = {}) {
+    try {
+        if (!WEBHOOK_EVENTS.includes(type)) {
+            throw new Error(`Unknown webhook event: ${type}`);
+        }
+
+        const subscriptions = (await listSubscriptions())
+            .filter(subscription => subscription.active && subscription.events.includes(type));
+        if (subscriptions.length === 0) {
+            return [];
+        }
+
+        const event = {
+            id: newId('evt'),
+            type,
+            createdAt: new Date().toISOString(),
+            data: Object.keys(data).reduce((clean, key) => {
+                if (data[key] !== null && data[key] !== undefined) clean[key] = data[key];
+                return clean;
+            }, {})
+        };
+
+        const deliveries = [];
+        for (const subscription of subscriptions) {
+            deliveries.push(await queueDelivery(subscription, event));
+        }
+        await pruneDeliveries(subscriptions.map(subscription => subscription.id));
+        console.log(`Queued ${type} event ${event.id} for ${deliveries.length} webhook(s)`);
+        return deliveries;
+    } catch (error) {
+        console.error(`Failed to queue ${type} webhooks:`, error.message);
+        return [];
+    }
+}
+
+// Send a delivery's event again, as a new delivery
+async function replayDelivery(deliveryId, requestedBy = null) {
+    const original = await getDelivery(deliveryId);
+    const subscription = await getSubscription(original.subscriptionId);
+    const delivery = await queueDelivery(subscription, original.event, { replayOf: original.id, requestedBy });
+    console.log(`Replaying ${original.event.type} delivery ${original.id} as ${delivery.id}`);
+    return delivery;
+}
+
+// One attempt. Returns { ok, status, retryable, retryAfterMs, error, durationMs } - never throws.
+async function postDelivery(subscription, delivery) {
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+
+    try {
+        const response = await axios.post(subscription.url, body, {
+            timeout: REQUEST_TIMEOUT_MS,
+            maxRedirects: 0,
+            lookup: privateHostAllowed(new URL(subscription.url)) ? undefined : publicLookup,
+            // Nothing of the answer is kept
+            responseType: 'stream',
+            validateStatus: () => true,
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'minesible-webhooks',
+                'X-Minesible-Event': delivery.event.type,
+                'X-Minesible-Delivery': delivery.id,
+                'X-Minesible-Timestamp': String(timestamp),
+                'X-Minesible-Signature': signPayload(subscription.secret, timestamp, body)
+            }
+        });
+
+        response.data.destroy();
+        const retryAfter = Number(response.headers['retry-after']);
+        return {
+            ok: response.status >= 200 && response.status < 300,
+            status: response.status,
+            // Other 4xx mean the receiver rejected it - fix it and replay
+            retryable: response.status === 408 || response.status === 429 || response.status >= 500,
+            retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : null,
+            error: response.status >= 200 && response.status < 300 ? null : `HTTP ${response.status}`,
+            durationMs: Date.now() - startedAt
+        };
+    } catch (error) {
+        return {
+            ok: false,
+            status: null,
+            // A blocked address stays blocked
+            retryable: error.code !== 'EADDRBLOCKED',
+            retryAfterMs: null,
+            error: error.code === 'EADDRBLOCKED' ? error.message : (error.code || error.message),
+            durationMs: Date.now() - startedAt
+        };
+    }
+}
+
+// ---- webhook-delivery ----
+// params: { deliveryId }
+// The delivery document is the log: every attempt is added to it.
+
+registerJobType('webhook-delivery', {
+    firstStep: 'send',
+    steps: {
+        async send(job, log) {
+            const delivery = await getDocument(DELIVERIES, job.params.deliveryId);
+            if (!delivery) {
+                return { fail: 'Delivery no longer exists (webhook deleted)' };
+            }
+            const subscription = await getDocument(SUBSCRIPTIONS, delivery.subscriptionId);
+
+            const finish = async (status, error = null) => {
+                Object.assign(delivery, { status, nextAttemptAt: null, finishedAt: new Date().toISOString() });
+                await putDocument(DELIVERIES, delivery.id, delivery);
+                return status === 'delivered'
+                    ? { done: true, result: { deliveryId: delivery.id, attempts: delivery.attempts.length } }
+                    : { fail: error, result: { deliveryId: delivery.id, attempts: delivery.attempts.length } };
+            };
+
+            if (!subscription) {
+                return finish('failed', 'Webhook was deleted');
+            }
+
+            const outcome = await postDelivery(subscription, delivery);
+            delivery.attempts.push({
+                at: new Date().toISOString(),
+                status: outcome.status,
+                error: outcome.error,
+                durationMs: outcome.durationMs
+            });
+
+            if (outcome.ok) {
+                log(`✅ ${delivery.event.type} delivered to ${displayUrl(subscription.url)} (HTTP ${outcome.status})`, 'success');
+                return finish('delivered');
+            }
+            if (!outcome.retryable || delivery.attempts.length > RETRY_DELAYS_MS.length) {
+                log(`❌ ${delivery.event.type} to ${displayUrl(subscription.url)} failed after ${delivery.attempts.length} attempt(s): ${outcome.error}`, 'error');
+                return finish('failed', `Not delivered: ${outcome.error}`);
+            }
+
+            const delayMs = Math.max(outcome.retryAfterMs || 0, RETRY_DELAYS_MS[delivery.attempts.length - 1]);
+            delivery.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+            await putDocument(DELIVERIES, delivery.id, delivery);
+            log(`⚠️ ${delivery.event.type} to ${displayUrl(subscription.url)} failed (${outcome.error}) - retrying in ${Math.round(delayMs / 1000)}s`, 'warning');
+            return { next: 'send', delayMs };
+        }
+    }
+});
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    signPayload,
+    displayUrl,
+    normalizeSubscription,
+    publicSubscription,
+    listSubscriptions,
+    getSubscription,
+    createSubscription,
+    updateSubscription,
+    deleteSubscription,
+    listDeliveries,
+    getDelivery,
+    replayDelivery,
+    emitWebhookEvent
+};
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCron, nextOccurrence } = require('../lib/cron-schedule');
+
+test('finds the next weekly occurrence', () => {
+    const next = nextOccurrence(parseCron('0 18 * * fri'), new Date('2027-01-04T12:00:00Z'), 'Europe/Berlin');
+    assert.strictEqual(next.toISOString(), '2027-01-08T17:00:00.000Z');
+});
+
+test('does not skip the day after DST starts', () => {
+    // Berlin moves to CEST on 2027-03-28; that Saturday-Sunday night has 23 hours
+    const next = nextOccurrence(parseCron('30 0 * * mon'), new Date('2027-03-27T23:10:00Z'), 'Europe/Berlin');
+    assert.strictEqual(next.toISOString(), '2027-03-28T22:30:00.000Z');
+});
+
+test('does not skip the day after DST ends', () => {
+    // Berlin moves back to CET on 2027-10-31, a 25-hour day
+    const next = nextOccurrence(parseCron('30 0 * * mon'), new Date('2027-10-30T22:10:00Z'), 'Europe/Berlin');
+    assert.strictEqual(next.toISOString(), '2027-10-31T23:30:00.000Z');
+});
+
+test('skips the hour that does not exist when DST starts', () => {
+    const next = nextOccurrence(parseCron('30 2 * * *'), new Date('2027-03-27T12:00:00Z'), 'Europe/Berlin');
+    assert.strictEqual(next.toISOString(), '2027-03-29T00:30:00.000Z');
+});
@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const {
+    encodeVarInt,
+    decodeVarInt,
+    encodeString,
+    encodePacket,
+    readPacket,
+    pingServer,
+    reportedVersion
+} = require('../lib/minecraft-ping');
+
+const STATUS = {
+    version: { name: 'Paper 1.21.1', protocol: 767 },
+    description: { text: '§aHello ', extra: [{ text: 'world' }] },
+    players: { online: 2, max: 20, sample: [{ name: 'alex', id: 'a' }, { name: 'steve', id: 's' }] }
+};
+
+// A local stand-in for a Minecraft server. onPacket(packet, socket) answers
+// each complete packet the client sends; the server's port is on .port.
+async function startResponder(onPacket) {
+    const received = [];
+    const server = net.createServer(socket => {
+        let buffer = Buffer.alloc(0);
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let packet;
+            while ((packet = readPacket(buffer))) {
+                buffer = packet.rest;
+                received.push(packet);
+                onPacket(packet, socket);
+            }
+        });
+        socket.on('error', () => {});
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { port: server.address().port, received, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+function statusPacket(json) {
+    return encodePacket(0x00, encodeString(JSON.stringify(json)));
+}
+
+// Answers the status request, then the ping with the same payload
+function answerStatus(packet, socket) {
+    if (packet.packetId === 0x00 && packet.data.length === 0) {
+        socket.write(statusPacket(STATUS));
+    } else if (packet.packetId === 0x01) {
+        socket.write(encodePacket(0x01, packet.data));
+    }
+}
+
+test('VarInts round-trip, negative numbers included', () => {
+    for (const value of [0, 1, 127, 128, 25565, 2147483647, -1]) {
+        const decoded = decodeVarInt(encodeVarInt(value));
+        assert.deepStrictEqual(decoded, { value, size: encodeVarInt(value).length });
+    }
+    assert.strictEqual(decodeVarInt(Buffer.from([0x80])), null);
+});
+
+test('sends the status handshake and reads the status', async () => {
+    const responder = await startResponder(answerStatus);
+    try {
+        const status = await pingServer('127.0.0.1', responder.port, { timeout: 2000 });
+
+        const handshake = responder.received[0];
+        assert.strictEqual(handshake.packetId, 0x00);
+        const protocol = decodeVarInt(handshake.data);
+        assert.strictEqual(protocol.value, -1);
+        const hostLength = decodeVarInt(handshake.data, protocol.size);
+        const hostStart = protocol.size + hostLength.size;
+        assert.strictEqual(handshake.data.toString('utf8', hostStart, hostStart + hostLength.value), '127.0.0.1');
+        assert.strictEqual(handshake.data.readUInt16BE(hostStart + hostLength.value), responder.port);
+        assert.strictEqual(handshake.data[hostStart + hostLength.value + 2], 1);
+
+        assert.strictEqual(status.online, true);
+        assert.deepStrictEqual(status.version, { name: 'Paper 1.21.1', protocol: 767 });
+        assert.strictEqual(status.motd, 'Hello world');
+        assert.strictEqual(status.players.online, 2);
+        assert.deepStrictEqual(status.players.sample.map(player => player.name), ['alex', 'steve']);
+        assert.strictEqual(typeof status.latency, 'number');
+        assert.strictEqual(reportedVersion(status.version.name), '1.21.1');
+    } finally {
+        await responder.close();
+    }
+});
+
+test('reads a status split over many small writes', async () => {
+    const responder = await startResponder((packet, socket) => {
+        if (packet.packetId === 0x00 && packet.data.length === 0) {
+            const bytes = statusPacket(STATUS);
+            for (let offset = 0; offset < bytes.length; offset += 7) {
+                socket.write(bytes.slice(offset, offset + 7));
+            }
+        } else if (packet.packetId === 0x01) {
+            socket.write(encodePacket(0x01, packet.data));
+        }
+    });
+    try {
+        const status = await pingServer('127.0.0.1', responder.port, { timeout: 2000 });
+        assert.strictEqual(status.online, true);
+        assert.strictEqual(status.players.max, 20);
+    } finally {
+        await responder.close();
+    }
+});
+
+test('keeps the status when the server closes instead of answering the ping', async () => {
+    const responder = await startResponder((packet, socket) => {
+        if (packet.packetId === 0x00 && packet.data.length === 0) {
+            socket.end(statusPacket(STATUS));
+        }
+    });
+    try {
+        const status = await pingServer('127.0.0.1', responder.port, { timeout: 2000 });
+        assert.strictEqual(status.online, true);
+        assert.strictEqual(status.version.name, 'Paper 1.21.1');
+    } finally {
+        await responder.close();
+    }
+});
+
+test('reports a status that is not JSON as offline', async () => {
+    const responder = await startResponder((packet, socket) => {
+        if (packet.packetId === 0x00 && packet.data.length === 0) {
+            socket.write(encodePacket(0x00, encodeString('{"version": ')));
+        }
+    });
+    try {
+        const status = await pingServer('127.0.0.1', responder.port, { timeout: 2000 });
+        assert.strictEqual(status.online, false);
+        assert.match(status.error, /^Invalid status response/);
+    } finally {
+        await responder.close();
+    }
+});
+
+test('reports a malformed packet length as offline', async () => {
+    const responder = await startResponder((packet, socket) => {
+        if (packet.packetId === 0x00 && packet.data.length === 0) {
+            socket.write(Buffer.from([0xff, 0xff, 0xff, 0xff, 0xff, 0x01]));
+        }
+    });
+    try {
+        const status = await pingServer('127.0.0.1', responder.port, { timeout: 2000 });
+        assert.strictEqual(status.online, false);
+        assert.match(status.error, /VarInt is too big/);
+    } finally {
+        await responder.close();
+    }
+});
+
+test('times out when the server never answers', async () => {
+    const responder = await startResponder(() => {});
+    try {
+        const startedAt = Date.now();
+        const status = await pingServer('127.0.0.1', responder.port, { timeout: 200 });
+        assert.deepStrictEqual(status, { online: false, error: 'Timed out after 200ms' });
+        assert.ok(Date.now() - startedAt < 2000);
+    } finally {
+        await responder.close();
+    }
+});
+
+test('reports a closed port as offline', async () => {
+    const responder = await startResponder(() => {});
+    const { port } = responder;
+    await responder.close();
+
+    const status = await pingServer('127.0.0.1', port, { timeout: 2000 });
+    assert.deepStrictEqual(status, { online: false, error: 'ECONNREFUSED' });
+});
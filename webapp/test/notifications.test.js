@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+// State goes to a throwaway directory - set before the store is loaded
+process.env.MINESIBLE_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'minesible-notifications-'));
+// Empty rather than unset, so a developer's .env can't point the tests at S3
+process.env.MINESIBLE_STATE_BUCKET = '';
+
+const { validateWebhookUrl, notify, sendTestNotification } = require('../lib/notifications');
+const { getJob, isTerminal } = require('../lib/jobs');
+const { ValidationError } = require('../lib/errors');
+
+// A local stand-in for Discord: the path picks the answer
+const ANSWERS = {
+    '/ok': { status: 204 },
+    '/busy': { status: 500 },
+    '/slow-down': { status: 429, body: { message: 'You are being rate limited.', retry_after: 45 } },
+    '/gone': { status: 404, body: { message: 'Unknown Webhook', code: 10015 } }
+};
+const requests = [];
+let receiver;
+let baseUrl;
+
+test.before(async () => {
+    receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ method: req.method, path: req.url, body: JSON.parse(body || 'null') });
+            const answer = ANSWERS[req.url] || { status: 404 };
+            res.writeHead(answer.status, { 'Content-Type': 'application/json' });
+            res.end(answer.body ? JSON.stringify(answer.body) : '');
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, resolve));
+    const { port } = receiver.address();
+    baseUrl = `http://localhost:${port}`;
+    process.env.NOTIFICATION_WEBHOOK_HOSTS = `localhost:${port}`;
+});
+
+test.after(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+    fs.rmSync(process.env.MINESIBLE_DATA_DIR, { recursive: true, force: true });
+});
+
+// notify() advances its job in the background - wait until that has settled
+async function settledJob(jobId) {
+    for (let i = 0; i < 100; i++) {
+        const job = await getJob(jobId);
+        if (!job.lockedUntil && (job.status === 'waiting' || isTerminal(job))) {
+            return job;
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`Job ${jobId} did not settle`);
+}
+
+async function notifyOnly(hookPath) {
+    process.env.DISCORD_WEBHOOK_URLS = `${baseUrl}${hookPath}`;
+    const job = await notify('server.ready', { serverKey: 'alpha', ip: '203.0.113.7' });
+    assert.ok(job, 'a notify job is queued');
+    return settledJob(job.id);
+}
+
+test('refuses webhook URLs that are not Discord or an allowed stand-in', () => {
+    for (const url of [
+        'http://127.0.0.1:9000/api/webhooks/1/abc',
+        'http://169.254.169.254/latest/meta-data/',
+        'https://10.0.0.1/api/webhooks/1/abc',
+        'http://discord.com/api/webhooks/1/abc',
+        'https://discord.com/not-a-webhook'
+    ]) {
+        assert.throws(() => validateWebhookUrl(url), ValidationError, url);
+    }
+    assert.strictEqual(validateWebhookUrl('https://discord.com/api/webhooks/123/abc_DEF-9'), 'https://discord.com/api/webhooks/123/abc_DEF-9');
+    assert.strictEqual(validateWebhookUrl(`${baseUrl}/ok`), `${baseUrl}/ok`);
+});
+
+test('delivers an embed', async () => {
+    const job = await notifyOnly('/ok');
+
+    assert.strictEqual(job.status, 'succeeded');
+    const request = requests.filter(entry => entry.path === '/ok').pop();
+    assert.strictEqual(request.method, 'POST');
+    assert.strictEqual(request.body.username, 'Minesible');
+    assert.strictEqual(request.body.embeds[0].title, '✅ Ready: alpha');
+});
+
+test('retries a webhook that answers 5xx', async () => {
+    const before = Date.now();
+    const job = await notifyOnly('/busy');
+    const [delivery] = Object.values(job.data.deliveries);
+
+    assert.strictEqual(job.status, 'waiting');
+    assert.strictEqual(delivery.attempts, 1);
+    assert.strictEqual(delivery.gaveUp, false);
+    assert.strictEqual(delivery.lastError, 'HTTP 500');
+    const delayMs = new Date(delivery.nextAttemptAt).getTime() - before;
+    assert.ok(delayMs >= 10000 && delayMs < 15000, `retried after ${delayMs}ms`);
+});
+
+test('waits as long as a 429 asks before retrying', async () => {
+    const before = Date.now();
+    const job = await notifyOnly('/slow-down');
+    const [delivery] = Object.values(job.data.deliveries);
+
+    assert.strictEqual(job.status, 'waiting');
+    assert.strictEqual(delivery.lastError, 'HTTP 429');
+    const delayMs = new Date(delivery.nextAttemptAt).getTime() - before;
+    assert.ok(delayMs >= 45000 && delayMs < 50000, `retried after ${delayMs}ms`);
+});
+
+test('gives up on a webhook that answers 4xx', async () => {
+    const job = await notifyOnly('/gone');
+    const [delivery] = Object.values(job.data.deliveries);
+
+    assert.strictEqual(job.status, 'failed');
+    assert.match(job.error, /^Not delivered to /);
+    assert.strictEqual(delivery.attempts, 1);
+    assert.strictEqual(delivery.gaveUp, true);
+    assert.strictEqual(delivery.lastError, 'HTTP 404');
+});
+
+test('test notifications report what each webhook answered', async () => {
+    const results = await sendTestNotification([`${baseUrl}/ok`, `${baseUrl}/gone`], { user: 'admin' });
+
+    assert.deepStrictEqual(results.map(result => [result.delivered, result.status]), [[true, 204], [false, 404]]);
+    assert.strictEqual(requests.filter(entry => entry.path === '/ok').pop().body.embeds[0].title, '🔔 Test notification');
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { PACKET_TYPE, encodePacket, decodePackets, runRconCommand } = require('../lib/rcon');
+
+const PASSWORD = 'correct horse';
+
+// A local stand-in for the Minecraft RCON listener. commands maps a command
+// to its output; options.fragmentSize splits each output into packets of
+// that many characters, options.chunkSize splits what is written into TCP
+// writes of that many bytes.
+async function startRconServer(commands = {}, options = {}) {
+    const received = [];
+    const server = net.createServer(socket => {
+        let buffer = Buffer.alloc(0);
+        let authenticated = false;
+
+        const send = (bytes) => {
+            const size = options.chunkSize || bytes.length;
+            for (let offset = 0; offset < bytes.length; offset += size) {
+                socket.write(bytes.slice(offset, offset + size));
+            }
+        };
+
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            const decoded = decodePackets(buffer);
+            buffer = decoded.rest;
+
+            decoded.packets.forEach(packet => {
+                received.push(packet);
+                if (options.silent) {
+                    return;
+                }
+                if (packet.type === PACKET_TYPE.AUTH) {
+                    authenticated = packet.body === PASSWORD;
+                    send(encodePacket(authenticated ? packet.requestId : -1, PACKET_TYPE.AUTH_RESPONSE));
+                } else if (!authenticated) {
+                    socket.destroy();
+                } else if (packet.type === PACKET_TYPE.EXEC_COMMAND) {
+                    const output = commands[packet.body] || `Unknown command: ${packet.body}`;
+                    const size = options.fragmentSize || output.length || 1;
+                    for (let offset = 0; offset < output.length; offset += size) {
+                        send(encodePacket(packet.requestId, PACKET_TYPE.RESPONSE_VALUE, output.slice(offset, offset + size)));
+                    }
+                } else {
+                    // What Minecraft answers to the empty type-0 packet sent after a command
+                    send(encodePacket(packet.requestId, PACKET_TYPE.RESPONSE_VALUE, `Unknown request ${packet.type}`));
+                }
+            });
+        });
+        socket.on('error', () => {});
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { port: server.address().port, received, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test('packets round-trip', () => {
+    const bytes = Buffer.concat([encodePacket(7, PACKET_TYPE.EXEC_COMMAND, 'list'), encodePacket(8, 0, '')]);
+    const { packets, rest } = decodePackets(bytes.slice(0, bytes.length - 3));
+
+    assert.deepStrictEqual(packets, [{ requestId: 7, type: PACKET_TYPE.EXEC_COMMAND, body: 'list' }]);
+    assert.strictEqual(rest.length, 14 - 3);
+    assert.throws(() => decodePackets(Buffer.from([1, 0, 0, 0, 0, 0, 0, 0])), /Invalid RCON packet length: 1/);
+});
+
+test('authenticates and runs a command', async () => {
+    const server = await startRconServer({ list: 'There are 1 of a max of 20 players online: alex' });
+    try {
+        const output = await runRconCommand('127.0.0.1', server.port, PASSWORD, 'list', { timeout: 2000 });
+
+        assert.strictEqual(output, 'There are 1 of a max of 20 players online: alex');
+        assert.deepStrictEqual(server.received.map(packet => packet.type), [PACKET_TYPE.AUTH, PACKET_TYPE.EXEC_COMMAND, PACKET_TYPE.RESPONSE_VALUE]);
+        assert.strictEqual(server.received[0].body, PASSWORD);
+    } finally {
+        await server.close();
+    }
+});
+
+test('rejects a wrong password', async () => {
+    const server = await startRconServer({ list: 'nobody' });
+    try {
+        await assert.rejects(
+            runRconCommand('127.0.0.1', server.port, 'wrong', 'list', { timeout: 2000 }),
+            /RCON authentication failed: wrong password/
+        );
+        // The command never goes out
+        assert.strictEqual(server.received.length, 1);
+    } finally {
+        await server.close();
+    }
+});
+
+test('joins output that comes in several packets', async () => {
+    const output = 'x'.repeat(4096) + 'end';
+    const server = await startRconServer({ help: output }, { fragmentSize: 1000 });
+    try {
+        assert.strictEqual(await runRconCommand('127.0.0.1', server.port, PASSWORD, 'help', { timeout: 2000 }), output);
+    } finally {
+        await server.close();
+    }
+});
+
+test('reads packets split over many small writes', async () => {
+    const server = await startRconServer({ seed: 'Seed: [-4172144997902289642]' }, { chunkSize: 3 });
+    try {
+        assert.strictEqual(await runRconCommand('127.0.0.1', server.port, PASSWORD, 'seed', { timeout: 2000 }), 'Seed: [-4172144997902289642]');
+    } finally {
+        await server.close();
+    }
+});
+
+test('times out when the server never answers', async () => {
+    const server = await startRconServer({}, { silent: true });
+    try {
+        await assert.rejects(
+            runRconCommand('127.0.0.1', server.port, PASSWORD, 'list', { timeout: 200 }),
+            error => /RCON authentication timed out after 200ms/.test(error.message) && !error.unreachable
+        );
+    } finally {
+        await server.close();
+    }
+});
+
+test('fails on a closed port', async () => {
+    const server = await startRconServer();
+    const { port } = server;
+    await server.close();
+
+    await assert.rejects(
+        runRconCommand('127.0.0.1', port, PASSWORD, 'list', { timeout: 2000 }),
+        error => /RCON connection failed: ECONNREFUSED/.test(error.message) && error.unreachable === true
+    );
+});
+
+test('refuses commands that are too long before sending them', async () => {
+    const server = await startRconServer();
+    try {
+        await assert.rejects(
+            runRconCommand('127.0.0.1', server.port, PASSWORD, 'say ' + 'a'.repeat(1500), { timeout: 2000 }),
+            /RCON command is too long/
+        );
+        assert.strictEqual(server.received.filter(packet => packet.type === PACKET_TYPE.EXEC_COMMAND).length, 0);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseBody } = require('../lib/request');
+const { ValidationError } = require('../lib/errors');
+
+test('reads parsed, string and empty bodies', () => {
+    assert.deepStrictEqual(parseBody({ body: { hours: 2 } }), { hours: 2 });
+    assert.deepStrictEqual(parseBody({ body: '{"hours": 2}' }), { hours: 2 });
+    assert.deepStrictEqual(parseBody({ body: '  ' }), {});
+    assert.deepStrictEqual(parseBody({}), {});
+});
+
+test('refuses bad JSON as a validation error', () => {
+    assert.throws(() => parseBody({ body: '{"hours": ' }), error => error instanceof ValidationError && /not valid JSON/.test(error.message));
+    assert.throws(() => parseBody({ body: '[1, 2]' }), /must be a JSON object/);
+    assert.throws(() => parseBody({ body: 'null' }), /must be a JSON object/);
+});